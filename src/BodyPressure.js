@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { ColorMap } from './ColorMap.js';
+import { ColorLegend } from './ColorLegend.js';
+import { SurfacePressure } from './SurfacePressure.js';
+
+/**
+ * Colours the body by surface Cp and integrates the pressure forces.
+ *
+ * Every obstacle part is included, and the forces are summed over all of
+ * them. Cp has its own range (and legend) but follows the colormap chosen for
+ * the flow, so the body and the particles read the same way.
+ */
+export class BodyPressure {
+    /**
+     * @param {OBJLoader} objLoader - Owner of the body parts
+     * @param {VelocityField} velocityField
+     * @param {ColorMap} flowColorMap - Colormap to follow
+     * @param {HTMLElement} legendContainer
+     */
+    constructor(objLoader, velocityField, flowColorMap, legendContainer) {
+        this.objLoader = objLoader;
+        this.velocityField = velocityField;
+        this.solver = new SurfacePressure();
+
+        this.enabled = false;
+        this.result = null;
+        this.parts = [];              // { mesh, offset, count } currently coloured
+        this.originals = new Map();   // Per part: material colour, vertexColors and the geometry's own colour attribute
+
+        this.colorMap = new ColorMap();
+        this.colorMap.setScalar('cp');
+        this.colorMap.setColormap(flowColorMap.colormap);
+        this.legend = new ColorLegend(this.colorMap, legendContainer, 'Surface Cp');
+        this.legend.visible = false;
+
+        flowColorMap.addEventListener('change', () => {
+            if (flowColorMap.colormap === this.colorMap.colormap) return;
+            this.colorMap.setColormap(flowColorMap.colormap);
+            this.applyColors();
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.legend.visible = enabled;
+        if (enabled) this.update();
+        else this.restoreMaterial();
+    }
+
+    /**
+     * Recompute Cp and forces for the current body and field
+     * @returns {Object|null} SurfacePressure result
+     */
+    update() {
+        if (!this.enabled) return null;
+
+        const meshes = this.objLoader.getObstacleMeshes();
+        const field = this.velocityField.readData();
+        this.restoreMaterial();
+        if (!meshes.length || !field) return null;
+
+        const { positions, indices, parts } = BodyPressure.worldGeometry(meshes);
+        this.parts = parts;
+        this.solver.freestream = this.velocityField.freestream;
+        this.result = this.solver.compute(positions, indices, field, parts);
+
+        const { min, max } = this.result.range;
+        this.colorMap.setRange(min, max > min ? max : min + 1e-3);
+        this.applyColors();
+
+        console.log("🪂 Surface pressure integrated", {
+            Cd: this.result.coefficients.drag.toFixed(4),
+            Cl: this.result.coefficients.lift.toFixed(4),
+            Cs: this.result.coefficients.side.toFixed(4),
+            referenceArea: this.result.referenceArea.toFixed(4)
+        });
+        return this.result;
+    }
+
+    /**
+     * Vertex positions of several meshes in world space, merged, with one
+     * triangle index over all of them. parts[i] says where mesh i's vertices went.
+     * @returns {{positions: Float32Array, indices: Uint32Array, parts: Array<{mesh, offset, count}>}}
+     */
+    static worldGeometry(meshes) {
+        const parts = [];
+        let vertexCount = 0;
+        let indexCount = 0;
+        meshes.forEach(mesh => {
+            const geometry = mesh.geometry;
+            const count = geometry.attributes.position.count;
+            parts.push({ mesh, offset: vertexCount, count });
+            vertexCount += count;
+            indexCount += geometry.index ? geometry.index.count : count;
+        });
+
+        const positions = new Float32Array(vertexCount * 3);
+        const indices = new Uint32Array(indexCount);
+        const v = new THREE.Vector3();
+        let i = 0;
+        parts.forEach(({ mesh, offset, count }) => {
+            mesh.updateMatrixWorld(true);
+            const attribute = mesh.geometry.attributes.position;
+            for (let k = 0; k < count; k++) {
+                v.fromBufferAttribute(attribute, k).applyMatrix4(mesh.matrixWorld);
+                positions[(offset + k) * 3] = v.x;
+                positions[(offset + k) * 3 + 1] = v.y;
+                positions[(offset + k) * 3 + 2] = v.z;
+            }
+            // Unindexed parts are triangle soups: number their vertices in order
+            const index = mesh.geometry.index;
+            const n = index ? index.count : count;
+            for (let k = 0; k < n; k++) indices[i++] = offset + (index ? index.getX(k) : k);
+        });
+        return { positions, indices, parts };
+    }
+
+    applyColors() {
+        if (!this.enabled || !this.parts.length || !this.result) return;
+
+        const { vertexCp } = this.result;
+        const { min, max } = this.colorMap;
+        const color = new THREE.Color();
+        this.parts.forEach(({ mesh, offset, count }) => {
+            const colors = new Float32Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                const [r, g, b] = this.colorMap.sample((vertexCp[offset + i] - min) / (max - min));
+                // Colormaps are defined in sRGB; vertex colours are linear
+                color.setRGB(r / 255, g / 255, b / 255, THREE.SRGBColorSpace);
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            }
+
+            const material = mesh.material;
+            if (!this.originals.has(mesh)) {
+                // Loaded files (PLY) may bring vertex colours of their own, put back afterwards
+                this.originals.set(mesh, {
+                    color: material.color.clone(),
+                    vertexColors: material.vertexColors,
+                    attribute: mesh.geometry.getAttribute('color')
+                });
+                // Vertex colours are multiplied by the base colour, so show them unaltered
+                material.color.set(0xffffff);
+                material.vertexColors = true;
+                material.needsUpdate = true;
+            }
+            mesh.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        });
+    }
+
+    restoreMaterial() {
+        this.originals.forEach(({ color, vertexColors, attribute }, mesh) => {
+            const material = mesh.material;
+            material.color.copy(color);
+            material.vertexColors = vertexColors;
+            material.needsUpdate = true;
+            if (attribute) mesh.geometry.setAttribute('color', attribute);
+            else mesh.geometry.deleteAttribute('color');
+        });
+        this.parts = [];
+        this.originals.clear();
+    }
+
+    dispose() {
+        this.restoreMaterial();
+        this.legend.dispose();
+        this.colorMap.dispose();
+    }
+}
+
+export default BodyPressure;
@@ -0,0 +1,113 @@
+/**
+ * Colour bar drawn over the canvas: gradient, tick labels and the scalar's
+ * name and units. Redraws whenever the ColorMap changes. draw() renders the
+ * same legend into any 2D context, so captures can composite it too.
+ */
+export class ColorLegend {
+    static WIDTH = 260;
+    static HEIGHT = 64;
+
+    /**
+     * @param {ColorMap} colorMap
+     * @param {HTMLElement} container - Element the legend canvas is added to
+     * @param {string|null} title - Replaces the scalar's label
+     */
+    constructor(colorMap, container = document.body, title = null) {
+        this.colorMap = colorMap;
+        this.title = title;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'color-legend';
+        this.canvas.style.width = `${ColorLegend.WIDTH}px`;
+        this.canvas.style.height = `${ColorLegend.HEIGHT}px`;
+        container.appendChild(this.canvas);
+
+        this.onChange = () => this.update();
+        this.colorMap.addEventListener('change', this.onChange);
+        this.update();
+    }
+
+    update() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = ColorLegend.WIDTH * ratio;
+        this.canvas.height = ColorLegend.HEIGHT * ratio;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, ColorLegend.WIDTH, ColorLegend.HEIGHT);
+        this.draw(ctx, ColorLegend.WIDTH, ColorLegend.HEIGHT);
+    }
+
+    set visible(value) {
+        this.canvas.style.display = value ? '' : 'none';
+    }
+
+    get visible() {
+        return this.canvas.style.display !== 'none';
+    }
+
+    /**
+     * Draw the legend into a 2D context, filling (0, 0, width, height)
+     */
+    draw(ctx, width, height) {
+        const { min, max } = this.colorMap;
+        const pad = 10;
+        const barTop = 24;
+        const barHeight = Math.max(8, height - barTop - 22);
+        const barWidth = width - pad * 2;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(30, 30, 30, 0.85)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '12px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.title || this.colorMap.label, pad, 6);
+
+        // Gradient, one column per pixel
+        for (let i = 0; i < barWidth; i++) {
+            const [r, g, b] = this.colorMap.sample(i / (barWidth - 1));
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(pad + i, barTop, 1, barHeight);
+        }
+        ctx.strokeStyle = '#888';
+        ctx.strokeRect(pad + 0.5, barTop + 0.5, barWidth - 1, barHeight - 1);
+
+        // Ticks
+        ctx.fillStyle = '#ccc';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        const ticks = niceTicks(min, max, 5);
+        const decimals = Math.max(0, -Math.floor(Math.log10(ticks.step) + 1e-9));
+        ticks.values.forEach(value => {
+            const x = pad + (value - min) / (max - min) * (barWidth - 1);
+            ctx.fillRect(Math.round(x), barTop + barHeight, 1, 4);
+            ctx.fillText(value.toFixed(decimals), x, barTop + barHeight + 6);
+        });
+        ctx.restore();
+    }
+
+    dispose() {
+        this.colorMap.removeEventListener('change', this.onChange);
+        this.canvas.remove();
+    }
+}
+
+/**
+ * Round tick values (1, 2 or 5 x 10^n apart) covering [min, max]
+ */
+function niceTicks(min, max, count) {
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough) || magnitude * 10;
+
+    const values = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-6; v += step) {
+        values.push(Math.abs(v) < step * 1e-6 ? 0 : v);
+    }
+    return { step, values };
+}
+
+export default ColorLegend;
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+
+/**
+ * Colour mapping shared by every view of the flow: which scalar is shown,
+ * the colormap (a 256 x 1 lookup texture) and the value range.
+ *
+ * `uniforms` is meant to be merged into ShaderMaterials that include the
+ * colorMapping shader chunk, so all of them follow the same settings.
+ */
+
+// Control points, evenly spaced, interpolated into the lookup table
+const COLORMAPS = {
+    classic: { label: 'Classic (blue → red)', stops: ['#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff9900', '#ff0000'] },
+    viridis: { label: 'Viridis', stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'] },
+    plasma: { label: 'Plasma', stops: ['#0d0887', '#4c02a1', '#7e03a8', '#a92395', '#cc4778', '#e56b5d', '#f89540', '#fdc328', '#f0f921'] },
+    coolwarm: { label: 'Cool–Warm', stops: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#de604d', '#b40426'] },
+    jet: { label: 'Jet', stops: ['#00007f', '#0000ff', '#007fff', '#00ffff', '#7fff7f', '#ffff00', '#ff7f00', '#ff0000', '#7f0000'] },
+    greyscale: { label: 'Greyscale', stops: ['#000000', '#ffffff'] }
+};
+
+// Ids match scalarValue() in the colorMapping shader chunk
+const SCALARS = {
+    speed: { id: 0, label: 'Speed', units: 'm/s' },
+    vx: { id: 1, label: 'Velocity X', units: 'm/s' },
+    vy: { id: 2, label: 'Velocity Y', units: 'm/s' },
+    vz: { id: 3, label: 'Velocity Z', units: 'm/s' },
+    cp: { id: 4, label: 'Pressure Coefficient Cp', units: '' },
+    vorticity: { id: 5, label: 'Vorticity Magnitude', units: '1/s' },
+    age: { id: 6, label: 'Particle Age', units: 's' }
+};
+
+const LUT_SIZE = 256;
+
+export class ColorMap extends THREE.EventDispatcher {
+    static COLORMAPS = COLORMAPS;
+    static SCALARS = SCALARS;
+
+    constructor() {
+        super();
+
+        this.scalar = 'speed';
+        this.colormap = 'classic';
+        this.autoRange = true;
+        this.min = 0;
+        this.max = 3;
+
+        this.lut = new Uint8Array(LUT_SIZE * 4);
+        this.texture = new THREE.DataTexture(this.lut, LUT_SIZE, 1, THREE.RGBAFormat);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+
+        this.uniforms = {
+            colormap: { value: this.texture },
+            scalarType: { value: SCALARS.speed.id },
+            rangeMin: { value: this.min },
+            rangeMax: { value: this.max },
+            freestreamSpeed: { value: 1.0 }
+        };
+
+        this.setColormap(this.colormap);
+    }
+
+    setColormap(name) {
+        if (!COLORMAPS[name]) return;
+        this.colormap = name;
+
+        // Interpolated in display (sRGB) space, which is what the shaders output
+        const colors = COLORMAPS[name].stops.map(hexToRgb);
+        for (let i = 0; i < LUT_SIZE; i++) {
+            const t = i / (LUT_SIZE - 1) * (colors.length - 1);
+            const k = Math.min(Math.floor(t), colors.length - 2);
+            const f = t - k;
+            for (let c = 0; c < 3; c++) {
+                this.lut[i * 4 + c] = Math.round(colors[k][c] * (1 - f) + colors[k + 1][c] * f);
+            }
+            this.lut[i * 4 + 3] = 255;
+        }
+        this.texture.needsUpdate = true;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setScalar(name) {
+        if (!SCALARS[name]) return;
+        this.scalar = name;
+        this.uniforms.scalarType.value = SCALARS[name].id;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setRange(min, max) {
+        if (!(max > min)) return;
+        this.min = min;
+        this.max = max;
+        this.uniforms.rangeMin.value = min;
+        this.uniforms.rangeMax.value = max;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setAutoRange(enabled) {
+        this.autoRange = enabled;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setFreestreamSpeed(speed) {
+        this.uniforms.freestreamSpeed.value = speed;
+    }
+
+    /**
+     * Colour of a normalised value as an [r, g, b] triple in 0-255
+     */
+    sample(t) {
+        const i = Math.round(Math.min(1, Math.max(0, t)) * (LUT_SIZE - 1)) * 4;
+        return [this.lut[i], this.lut[i + 1], this.lut[i + 2]];
+    }
+
+    get label() {
+        const { label, units } = SCALARS[this.scalar];
+        return units ? `${label} [${units}]` : label;
+    }
+
+    /**
+     * Fit the range to the current field (2nd to 98th percentile over fluid nodes)
+     * @param {{grid: Object, data: Float32Array}|null} field
+     * @param {number} maxAge - Particle lifespan in frames, for the age scalar
+     */
+    updateAutoRange(field, maxAge) {
+        if (!this.autoRange) return;
+
+        if (this.scalar === 'age') {
+            this.setRange(0, maxAge / 60);
+            return;
+        }
+        if (!field) return;
+
+        const values = this.sampleField(field);
+        if (values.length === 0) return;
+        values.sort();
+
+        const lo = values[Math.floor(values.length * 0.02)];
+        const hi = values[Math.min(values.length - 1, Math.floor(values.length * 0.98))];
+        const pad = hi > lo ? 0 : Math.max(Math.abs(lo) * 0.1, 1e-3);
+        this.setRange(lo - pad, hi + pad);
+    }
+
+    /**
+     * Current scalar at (up to ~50k) fluid nodes of the field
+     */
+    sampleField({ grid, data }) {
+        const { nx, ny, nz, step } = grid;
+        const n = nx * ny * nz;
+        const stride = Math.max(1, Math.floor(n / 50000));
+        const speedRef = this.uniforms.freestreamSpeed.value || 1;
+        const values = [];
+
+        for (let i = 0; i < n; i += stride) {
+            if (data[i * 4 + 3] < 0) continue; // Inside the body
+
+            const u = data[i * 4], v = data[i * 4 + 1], w = data[i * 4 + 2];
+            let value;
+            switch (this.scalar) {
+                case 'speed': value = Math.hypot(u, v, w); break;
+                case 'vx': value = u; break;
+                case 'vy': value = v; break;
+                case 'vz': value = w; break;
+                case 'cp': value = 1 - (u * u + v * v + w * w) / (speedRef * speedRef); break;
+                case 'vorticity': {
+                    const x = i % nx;
+                    const y = Math.floor(i / nx) % ny;
+                    const z = Math.floor(i / (nx * ny));
+                    value = vorticityAt(data, nx, ny, nz, step, x, y, z);
+                    break;
+                }
+            }
+            values.push(value);
+        }
+        return Float32Array.from(values);
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * |curl u| by central differences (one-sided at the grid edge)
+ */
+function vorticityAt(data, nx, ny, nz, step, x, y, z) {
+    const at = (xi, yi, zi, c) => data[(((zi * ny + yi) * nx) + xi) * 4 + c];
+    const diff = (axis, c) => {
+        const lo = [x, y, z], hi = [x, y, z];
+        const size = [nx, ny, nz][axis];
+        lo[axis] = Math.max(0, lo[axis] - 1);
+        hi[axis] = Math.min(size - 1, hi[axis] + 1);
+        const span = (hi[axis] - lo[axis]) * step[axis];
+        return span > 0 ? (at(hi[0], hi[1], hi[2], c) - at(lo[0], lo[1], lo[2], c)) / span : 0;
+    };
+
+    const wx = diff(1, 2) - diff(2, 1);
+    const wy = diff(2, 0) - diff(0, 2);
+    const wz = diff(0, 1) - diff(1, 0);
+    return Math.hypot(wx, wy, wz);
+}
+
+export default ColorMap;
@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+/**
+ * Outlines of the particle emitters in their tag colours, plus a
+ * TransformControls gizmo that moves and turns the selected one.
+ *
+ * Each outline is drawn in the emitter's frame (U along x, V along y), so the
+ * emitter pose is just the helper's position and rotation. Helpers follow the
+ * emitter list's 'change' events; gizmo drags are written back with set().
+ */
+export class EmitterGizmos extends THREE.EventDispatcher {
+    static POINT_SIZE = 0.06;
+    static NORMAL_LENGTH = 0.25;
+
+    /**
+     * @param {SceneManager} sceneManager
+     * @param {ParticleEmitters} emitters
+     */
+    constructor(sceneManager, emitters) {
+        super();
+        this.scene = sceneManager.scene;
+        this.emitters = emitters;
+        this.helpers = new Map();  // emitter id -> { group, lines, key }
+        this.selected = null;
+
+        this.gizmo = new TransformControls(sceneManager.camera, sceneManager.renderer.domElement);
+        this.gizmo.setSize(0.6);
+        // Dragging the gizmo must not orbit the camera
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            sceneManager.controls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => {
+            if (!this.selected) return;
+            const { group } = this.helpers.get(this.selected.id);
+            this.emitters.set(this.selected.id, { position: group.position, quaternion: group.quaternion });
+        });
+        this.scene.add(this.gizmo);
+
+        this.onChange = () => this.sync();
+        this.emitters.addEventListener('change', this.onChange);
+        this.sync();
+    }
+
+    /**
+     * Attach the gizmo to an emitter (null detaches it)
+     */
+    select(id) {
+        this.selected = this.emitters.get(id);
+        if (this.selected) this.gizmo.attach(this.helpers.get(id).group);
+        else this.gizmo.detach();
+        this.dispatchEvent({ type: 'change', emitter: this.selected });
+    }
+
+    /**
+     * @param {string} mode - 'translate' | 'rotate' | 'off'
+     */
+    setGizmoMode(mode) {
+        this.gizmo.enabled = this.gizmo.visible = mode !== 'off';
+        if (mode !== 'off') this.gizmo.setMode(mode);
+    }
+
+    setVisible(visible) {
+        this.helpers.forEach(({ group }) => { group.visible = visible; });
+    }
+
+    /**
+     * Bring the helpers in line with the emitter list
+     */
+    sync() {
+        const ids = new Set(this.emitters.emitters.map(emitter => emitter.id));
+        this.helpers.forEach((helper, id) => {
+            if (!ids.has(id)) this.removeHelper(id);
+        });
+
+        this.emitters.emitters.forEach(emitter => {
+            let helper = this.helpers.get(emitter.id);
+            if (!helper) {
+                const group = new THREE.Group();
+                const lines = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial());
+                group.add(lines);
+                this.scene.add(group);
+                helper = { group, lines, key: null };
+                this.helpers.set(emitter.id, helper);
+            }
+
+            // Outline geometry only changes with the shape
+            const key = `${emitter.type}:${emitter.sizeU}:${emitter.sizeV}`;
+            if (helper.key !== key) {
+                helper.lines.geometry.dispose();
+                helper.lines.geometry = EmitterGizmos.outline(emitter);
+                helper.key = key;
+            }
+            helper.lines.material.color.set(emitter.color);
+            helper.group.position.copy(emitter.position);
+            helper.group.rotation.copy(emitter.rotation);
+        });
+
+        if (this.selected && !ids.has(this.selected.id)) {
+            const last = this.emitters.emitters[this.emitters.emitters.length - 1];
+            this.select(last ? last.id : null);
+        }
+    }
+
+    removeHelper(id) {
+        const { group, lines } = this.helpers.get(id);
+        if (this.gizmo.object === group) this.gizmo.detach();
+        this.scene.remove(group);
+        lines.geometry.dispose();
+        lines.material.dispose();
+        this.helpers.delete(id);
+    }
+
+    /**
+     * Line segments outlining an emitter in its own frame
+     */
+    static outline(emitter) {
+        const { sizeU, sizeV } = emitter;
+        const points = [];
+        const segment = (a, b) => points.push(new THREE.Vector3(...a), new THREE.Vector3(...b));
+        const circle = (radius, plane, steps = 48) => {
+            for (let i = 0; i < steps; i++) {
+                const a = i / steps * Math.PI * 2;
+                const b = (i + 1) / steps * Math.PI * 2;
+                segment(plane(radius * Math.cos(a), radius * Math.sin(a)), plane(radius * Math.cos(b), radius * Math.sin(b)));
+            }
+        };
+        const normal = () => segment([0, 0, 0], [0, 0, EmitterGizmos.NORMAL_LENGTH]);
+
+        switch (emitter.type) {
+            case 'point': {
+                // Wire octahedron
+                const s = EmitterGizmos.POINT_SIZE;
+                const tips = [[s, 0, 0], [-s, 0, 0], [0, s, 0], [0, -s, 0], [0, 0, s], [0, 0, -s]];
+                for (let i = 0; i < 6; i++) {
+                    for (let j = i + 1; j < 6; j++) {
+                        if (Math.floor(i / 2) !== Math.floor(j / 2)) segment(tips[i], tips[j]);
+                    }
+                }
+                break;
+            }
+            case 'rake':
+                segment([-sizeU / 2, 0, 0], [sizeU / 2, 0, 0]);
+                segment([-sizeU / 2, -0.05, 0], [-sizeU / 2, 0.05, 0]);
+                segment([sizeU / 2, -0.05, 0], [sizeU / 2, 0.05, 0]);
+                break;
+            case 'rect': {
+                const u = sizeU / 2, v = sizeV / 2;
+                segment([-u, -v, 0], [u, -v, 0]);
+                segment([u, -v, 0], [u, v, 0]);
+                segment([u, v, 0], [-u, v, 0]);
+                segment([-u, v, 0], [-u, -v, 0]);
+                normal();
+                break;
+            }
+            case 'disc':
+                circle(sizeU, (x, y) => [x, y, 0]);
+                normal();
+                break;
+            case 'sphere':
+                circle(sizeU, (x, y) => [x, y, 0]);
+                circle(sizeU, (x, y) => [x, 0, y]);
+                circle(sizeU, (x, y) => [0, x, y]);
+                break;
+        }
+        return new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    dispose() {
+        this.emitters.removeEventListener('change', this.onChange);
+        [...this.helpers.keys()].forEach(id => this.removeHelper(id));
+        this.gizmo.dispose();
+        this.scene.remove(this.gizmo);
+    }
+}
+
+export default EmitterGizmos;
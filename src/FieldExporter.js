@@ -0,0 +1,299 @@
+/**
+ * Writes velocity fields and traced streamlines for use in other tools.
+ *
+ * Fields: legacy VTK (binary STRUCTURED_POINTS), XML ImageData (.vti, raw
+ * appended data) and the raw float32 + JSON header format FieldImporter
+ * reads. The signed obstacle distance is included when the field has one.
+ * Streamlines: OBJ polylines, PLY (vertices with speed and age, edges) and
+ * CSV. Surfaces (isosurfaces, the body): OBJ with one object each. Probe
+ * samples: CSV. Every writer returns a Blob.
+ */
+
+const NO_DISTANCE = 1e3; // Alpha value of fields without an obstacle
+
+export class FieldExporter {
+    static FIELD_FORMATS = ['vtk', 'vti', 'raw'];
+    static STREAMLINE_FORMATS = ['obj', 'ply', 'csv'];
+    static SURFACE_FORMATS = ['obj'];
+
+    /**
+     * @param {string} format - 'vtk' | 'vti' | 'raw'
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} grid
+     * @param {Float32Array} data - RGBA (velocity, signed distance)
+     * @returns {Blob}
+     */
+    exportField(format, grid, data) {
+        if (format === 'vtk') return this.writeLegacyVTK(grid, data);
+        if (format === 'vti') return this.writeImageData(grid, data);
+        if (format === 'raw') return this.writeRaw(grid, data);
+        throw new Error(`Unknown field export format "${format}"`);
+    }
+
+    /**
+     * @param {string} format - 'obj' | 'ply' | 'csv'
+     * @param {Array<{points: Float32Array, speed: Float32Array, age: Float32Array}>} lines
+     * @returns {Blob}
+     */
+    exportStreamlines(format, lines) {
+        if (format === 'obj') return this.writeOBJ(lines);
+        if (format === 'ply') return this.writePLY(lines);
+        if (format === 'csv') return this.writeCSV(lines);
+        throw new Error(`Unknown streamline export format "${format}"`);
+    }
+
+    /**
+     * @param {string} format - 'obj'
+     * @param {Array<{name: string, positions: Float32Array, normals?: Float32Array, indices?: Uint32Array}>} surfaces
+     *     Triangle meshes; without indices every three vertices form a triangle
+     * @returns {Blob}
+     */
+    exportSurfaces(format, surfaces) {
+        if (format === 'obj') return this.writeSurfacesOBJ(surfaces);
+        throw new Error(`Unknown surface export format "${format}"`);
+    }
+
+    /**
+     * Point probes and line probe samples as one CSV table. Line rows carry
+     * their distance s along the line; point rows leave it empty.
+     * @param {Array<{id: number, sample: Object}>} points
+     * @param {Array<Object>} lineSamples - FieldProbe.sampleLine output
+     * @returns {Blob}
+     */
+    exportProbes(points, lineSamples = []) {
+        const columns = ['vx', 'vy', 'vz', 'speed', 'cp', 'vorticity'];
+        const row = (probe, s, sample) => [
+            probe, s, ...sample.position, ...columns.map(c => sample.inside ? '' : sample[c]), sample.inside ? 1 : 0
+        ].join(',');
+
+        const rows = ['probe,s,x,y,z,' + columns.join(',') + ',inside'];
+        points.filter(point => point.sample).forEach(point => rows.push(row(`P${point.id}`, '', point.sample)));
+        lineSamples.forEach(sample => rows.push(row('line', sample.s, sample)));
+        return new Blob([rows.join('\n') + '\n'], { type: 'text/csv' });
+    }
+
+    /**
+     * Velocity and (if present) distance as separate tightly packed arrays
+     */
+    splitComponents(data) {
+        const n = data.length / 4;
+        const velocity = new Float32Array(n * 3);
+        const distance = new Float32Array(n);
+        let hasDistance = false;
+
+        for (let i = 0; i < n; i++) {
+            velocity[i * 3] = data[i * 4];
+            velocity[i * 3 + 1] = data[i * 4 + 1];
+            velocity[i * 3 + 2] = data[i * 4 + 2];
+            distance[i] = data[i * 4 + 3];
+            if (distance[i] < NO_DISTANCE) hasDistance = true;
+        }
+        return { velocity, distance: hasDistance ? distance : null };
+    }
+
+    writeLegacyVTK(grid, data) {
+        const { nx, ny, nz, min, step } = grid;
+        const { velocity, distance } = this.splitComponents(data);
+        const n = nx * ny * nz;
+
+        const parts = [
+            '# vtk DataFile Version 3.0\n',
+            'CFD velocity field\n',
+            'BINARY\n',
+            'DATASET STRUCTURED_POINTS\n',
+            `DIMENSIONS ${nx} ${ny} ${nz}\n`,
+            `ORIGIN ${min.join(' ')}\n`,
+            `SPACING ${step.join(' ')}\n`,
+            `POINT_DATA ${n}\n`,
+            'VECTORS velocity float\n',
+            bigEndian(velocity),
+            '\n'
+        ];
+        if (distance) {
+            parts.push('SCALARS distance float 1\nLOOKUP_TABLE default\n', bigEndian(distance), '\n');
+        }
+        return new Blob(parts, { type: 'application/octet-stream' });
+    }
+
+    writeImageData(grid, data) {
+        const { nx, ny, nz, min, step } = grid;
+        const { velocity, distance } = this.splitComponents(data);
+        const extent = `0 ${nx - 1} 0 ${ny - 1} 0 ${nz - 1}`;
+
+        // Appended blocks: UInt32 byte count, then the data
+        const blocks = [velocity, distance].filter(Boolean);
+        const offsets = [];
+        let offset = 0;
+        blocks.forEach(block => {
+            offsets.push(offset);
+            offset += 4 + block.byteLength;
+        });
+
+        const arrays = [
+            `        <DataArray type="Float32" Name="velocity" NumberOfComponents="3" format="appended" offset="${offsets[0]}"/>\n`
+        ];
+        if (distance) {
+            arrays.push(`        <DataArray type="Float32" Name="distance" format="appended" offset="${offsets[1]}"/>\n`);
+        }
+
+        const parts = [
+            '<?xml version="1.0"?>\n',
+            '<VTKFile type="ImageData" version="1.0" byte_order="LittleEndian" header_type="UInt32">\n',
+            `  <ImageData WholeExtent="${extent}" Origin="${min.join(' ')}" Spacing="${step.join(' ')}">\n`,
+            `    <Piece Extent="${extent}">\n`,
+            `      <PointData Vectors="velocity"${distance ? ' Scalars="distance"' : ''}>\n`,
+            ...arrays,
+            '      </PointData>\n',
+            '    </Piece>\n',
+            '  </ImageData>\n',
+            '  <AppendedData encoding="raw">\n_'
+        ];
+        blocks.forEach(block => parts.push(uint32(block.byteLength), littleEndian(block)));
+        parts.push('\n  </AppendedData>\n</VTKFile>\n');
+
+        return new Blob(parts, { type: 'application/octet-stream' });
+    }
+
+    writeRaw(grid, data) {
+        const { nx, ny, nz, min, step } = grid;
+        const { velocity, distance } = this.splitComponents(data);
+        const components = distance ? 4 : 3;
+
+        const header = new TextEncoder().encode(JSON.stringify({
+            dimensions: [nx, ny, nz],
+            origin: min,
+            spacing: step,
+            components: components,
+            names: distance ? ['vx', 'vy', 'vz', 'distance'] : ['vx', 'vy', 'vz']
+        }));
+
+        const body = distance ? data : velocity;
+        return new Blob([uint32(header.length), header, littleEndian(body)], { type: 'application/octet-stream' });
+    }
+
+    writeOBJ(lines) {
+        const parts = [`# ${lines.length} streamlines\n`];
+        let first = 1;
+
+        lines.forEach(line => {
+            const count = line.age.length;
+            const vertices = [];
+            for (let k = 0; k < count; k++) {
+                vertices.push(`v ${line.points[k * 3]} ${line.points[k * 3 + 1]} ${line.points[k * 3 + 2]}`);
+            }
+            const indices = Array.from({ length: count }, (_, k) => first + k);
+            parts.push(vertices.join('\n'), '\n', `l ${indices.join(' ')}\n`);
+            first += count;
+        });
+        return new Blob(parts, { type: 'text/plain' });
+    }
+
+    writeSurfacesOBJ(surfaces) {
+        const parts = [`# ${surfaces.length} surfaces\n`];
+        let first = 1;
+        let firstNormal = 1; // Normals are numbered separately and not every surface has them
+
+        surfaces.forEach(({ name, positions, normals, indices }) => {
+            const count = positions.length / 3;
+            const rows = [`o ${name}`];
+            for (let k = 0; k < count; k++) {
+                rows.push(`v ${positions[k * 3]} ${positions[k * 3 + 1]} ${positions[k * 3 + 2]}`);
+            }
+            if (normals) {
+                for (let k = 0; k < count; k++) {
+                    rows.push(`vn ${normals[k * 3]} ${normals[k * 3 + 1]} ${normals[k * 3 + 2]}`);
+                }
+            }
+
+            const triangles = indices ? indices.length / 3 : count / 3;
+            for (let t = 0; t < triangles; t++) {
+                const corners = [0, 1, 2].map(c => indices ? indices[t * 3 + c] : t * 3 + c);
+                rows.push(normals
+                    ? `f ${corners.map(v => `${first + v}//${firstNormal + v}`).join(' ')}`
+                    : `f ${corners.map(v => first + v).join(' ')}`);
+            }
+            parts.push(rows.join('\n'), '\n');
+            first += count;
+            if (normals) firstNormal += count;
+        });
+        return new Blob(parts, { type: 'text/plain' });
+    }
+
+    writePLY(lines) {
+        const vertexCount = lines.reduce((n, line) => n + line.age.length, 0);
+        const edgeCount = lines.reduce((n, line) => n + line.age.length - 1, 0);
+
+        const parts = [[
+            'ply',
+            'format ascii 1.0',
+            `comment ${lines.length} streamlines`,
+            `element vertex ${vertexCount}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            'property float speed',
+            'property float age',
+            `element edge ${edgeCount}`,
+            'property int vertex1',
+            'property int vertex2',
+            'end_header'
+        ].join('\n') + '\n'];
+
+        lines.forEach(line => {
+            const rows = [];
+            for (let k = 0; k < line.age.length; k++) {
+                rows.push(`${line.points[k * 3]} ${line.points[k * 3 + 1]} ${line.points[k * 3 + 2]} ${line.speed[k]} ${line.age[k]}`);
+            }
+            parts.push(rows.join('\n'), '\n');
+        });
+
+        let first = 0;
+        lines.forEach(line => {
+            const rows = [];
+            for (let k = 0; k < line.age.length - 1; k++) rows.push(`${first + k} ${first + k + 1}`);
+            if (rows.length) parts.push(rows.join('\n'), '\n');
+            first += line.age.length;
+        });
+        return new Blob(parts, { type: 'text/plain' });
+    }
+
+    writeCSV(lines) {
+        const parts = ['line,x,y,z,speed,age\n'];
+
+        lines.forEach((line, id) => {
+            const rows = [];
+            for (let k = 0; k < line.age.length; k++) {
+                rows.push(`${id},${line.points[k * 3]},${line.points[k * 3 + 1]},${line.points[k * 3 + 2]},${line.speed[k]},${line.age[k]}`);
+            }
+            parts.push(rows.join('\n'), '\n');
+        });
+        return new Blob(parts, { type: 'text/csv' });
+    }
+}
+
+function uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+}
+
+/**
+ * Float32 values as big-endian bytes (legacy VTK binary)
+ */
+function bigEndian(values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < values.length; i++) view.setFloat32(i * 4, values[i], false);
+    return bytes;
+}
+
+/**
+ * Float32 values as little-endian bytes, whatever the platform order
+ */
+function littleEndian(values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < values.length; i++) view.setFloat32(i * 4, values[i], true);
+    return bytes;
+}
+
+export default FieldExporter;
@@ -0,0 +1,140 @@
+import { Voxelizer } from './Voxelizer.js';
+import { PotentialFlowSolver } from './PotentialFlowSolver.js';
+import { LatticeBoltzmannSolver } from './LatticeBoltzmannSolver.js';
+import { FieldImporter } from './FieldImporter.js';
+
+/**
+ * CPU side of velocity field generation: voxelize the obstacle, then run the
+ * selected method. Shared by the field worker and the main-thread fallback,
+ * so it and the modules it imports only deal in plain arrays (no three.js).
+ *
+ * Progress is reported as { fraction, message } with fraction in [0, 1].
+ */
+export class FieldGenerator {
+    constructor() {
+        this.voxelizer = new Voxelizer();
+        this.potentialSolver = new PotentialFlowSolver();
+        this.latticeBoltzmann = new LatticeBoltzmannSolver();
+        this.importer = new FieldImporter();
+    }
+
+    /**
+     * @param {Object} request
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} request.grid
+     * @param {string} request.method - 'potential' | 'radial' | 'lbm' | 'navier-stokes' | 'import'
+     * @param {Float32Array|null} request.triangles - World-space triangle soup
+     * @param {number[]} [request.partStarts] - First triangle of each body part
+     * @param {number[]} request.freestream
+     * @param {number} request.reynolds
+     * @param {number} request.referenceLength
+     * @param {ArrayBuffer} [request.buffer] - File contents for 'import' (the file defines the grid)
+     * @param {string} [request.fileName]
+     * @param {function} onProgress
+     * @param {function} shouldCancel - Polled by iterative methods between chunks
+     * @returns {Promise<{data: Float32Array, solid: Uint8Array, sdf: Float32Array, grid: Object, stats: Object}|null>}
+     */
+    async generate(request, onProgress = () => {}, shouldCancel = () => false) {
+        if (request.method === 'import') return this.importField(request, onProgress);
+
+        const { grid, method, triangles } = request;
+        const freestream = request.freestream || [1, 0, 0];
+        const size = grid.nx * grid.ny * grid.nz;
+        const data = new Float32Array(size * 4); // RGB velocity, A signed distance
+        const stats = {};
+
+        // Obstacle voxels and signed distance (first 20% of the progress bar)
+        let solid = null;
+        let sdf = null;
+        if (triangles && triangles.length > 0) {
+            onProgress({ fraction: 0, message: 'Voxelizing geometry' });
+            ({ solid, sdf } = this.voxelizer.voxelize(triangles, grid, request.partStarts));
+            stats.voxelizer = this.voxelizer.lastStats;
+        }
+
+        const solverProgress = (message) => (fraction) => {
+            onProgress({ fraction: 0.2 + 0.8 * Math.min(1, Math.max(0, fraction)), message });
+        };
+
+        if (method === 'potential') {
+            // Laplace solve for the potential, velocity = grad(phi)
+            this.potentialSolver.solve(grid, solid, freestream, data, solverProgress('Solving potential flow'));
+            stats.solver = this.potentialSolver.lastStats;
+        } else if (method === 'lbm') {
+            const report = solverProgress('Lattice Boltzmann');
+            const result = await this.latticeBoltzmann.run(grid, solid, {
+                freestream: freestream,
+                reynolds: request.reynolds,
+                referenceLength: request.referenceLength
+            }, {
+                onProgress: ({ step, maxSteps, residual }) => {
+                    // Whichever is further along: step budget or residual towards tolerance
+                    const converged = Math.log(residual) / Math.log(this.latticeBoltzmann.tolerance);
+                    report(Math.max(step / maxSteps, Math.min(converged, 0.99)));
+                },
+                shouldCancel: shouldCancel
+            });
+            if (!result) return null;
+            data.set(result);
+            stats.solver = this.latticeBoltzmann.lastStats;
+        } else if (method === 'navier-stokes') {
+            // Uniform start; the GPU solver develops the flow from here
+            for (let i = 0; i < size; i++) {
+                if (solid && solid[i]) continue;
+                data[i * 4] = freestream[0];
+                data[i * 4 + 1] = freestream[1];
+                data[i * 4 + 2] = freestream[2];
+            }
+        } else if (method === 'radial') {
+            this.radialField(grid, data, solverProgress('Building radial field'));
+        }
+
+        // Obstacle avoidance, and the signed distance in alpha (large where there is no body)
+        for (let i = 0; i < size; i++) {
+            if (solid && solid[i]) {
+                data[i * 4] = 0;
+                data[i * 4 + 1] = 0;
+                data[i * 4 + 2] = 0;
+            }
+            data[i * 4 + 3] = sdf ? sdf[i] : 1e3;
+        }
+
+        onProgress({ fraction: 1, message: 'Done' });
+        return { data, solid, sdf, grid, stats };
+    }
+
+    /**
+     * Velocity from an external solver's output file
+     */
+    importField(request, onProgress) {
+        onProgress({ fraction: 0, message: `Reading ${request.fileName}` });
+        const { grid, data, stats } = this.importer.parse(request.buffer, request.fileName);
+        onProgress({ fraction: 1, message: 'Done' });
+        return { data, solid: null, sdf: null, grid, stats: { importer: stats } };
+    }
+
+    /**
+     * Unit vectors pointing away from the origin
+     */
+    radialField(grid, data, onProgress) {
+        const { nx, ny, nz, min, step } = grid;
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            const pz = min[2] + z * step[2];
+            for (let y = 0; y < ny; y++) {
+                const py = min[1] + y * step[1];
+                for (let x = 0; x < nx; x++, i++) {
+                    const px = min[0] + x * step[0];
+                    const dist = Math.sqrt(px * px + py * py + pz * pz);
+                    if (dist > 0.1) {
+                        data[i * 4] = px / dist;
+                        data[i * 4 + 1] = py / dist;
+                        data[i * 4 + 2] = pz / dist;
+                    }
+                }
+            }
+            onProgress((z + 1) / nz);
+        }
+    }
+}
+
+export default FieldGenerator;
@@ -0,0 +1,689 @@
+/**
+ * Reads velocity fields written by external CFD codes.
+ *
+ * Supported: legacy VTK (STRUCTURED_POINTS, RECTILINEAR_GRID; ASCII or
+ * BINARY), XML ImageData (.vti; ascii, inline base64 or appended data,
+ * uncompressed) and a raw float32 format:
+ *
+ *   uint32 (little-endian)  byte length N of the JSON header
+ *   N bytes                 UTF-8 JSON { dimensions: [nx, ny, nz], origin: [x, y, z],
+ *                                        spacing: [dx, dy, dz], components: 3 }
+ *   float32 (little-endian) nx * ny * nz * components values, x fastest
+ *
+ * The result uses VelocityField's node-centred grid and RGBA layout; fields on
+ * non-uniform or oversized grids are trilinearly resampled. A scalar array
+ * named "distance" (or a raw 4th component listed as such in "names", as
+ * FieldExporter writes) is read back as the body's signed distance; without
+ * one alpha is left at NO_DISTANCE.
+ */
+
+const VELOCITY_NAMES = /^(u|v|vel|velocity|velocities|vectors?)$/i;
+const DISTANCE_NAMES = /^(distance|sdf)$/i;
+const NO_DISTANCE = 1e3; // Alpha value of fields without an obstacle
+
+export class FieldImporter {
+    constructor(options = {}) {
+        this.maxDimension = options.maxDimension ?? 256; // Per axis; larger grids are resampled
+        this.lastStats = null;
+    }
+
+    static formatFor(fileName) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (extension === 'vtk') return 'vtk';
+        if (extension === 'vti') return 'vti';
+        if (extension === 'raw' || extension === 'f32') return 'raw';
+        return null;
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} fileName - Used to pick the format
+     * @returns {{grid: Object, data: Float32Array, stats: Object}}
+     */
+    parse(buffer, fileName) {
+        const format = FieldImporter.formatFor(fileName);
+        let source;
+
+        if (format === 'vtk') {
+            source = parseLegacyVTK(buffer);
+        } else if (format === 'vti') {
+            source = parseImageData(buffer);
+        } else if (format === 'raw') {
+            source = parseRaw(buffer);
+        } else {
+            throw new Error(`Unsupported field file "${fileName}" (expected .vtk, .vti or .raw)`);
+        }
+
+        const { grid, data, resampled } = this.toGrid(source);
+        this.lastStats = {
+            format: format,
+            array: source.name,
+            distance: source.distances !== null,
+            sourceDimensions: source.coordinates.map(c => c.length),
+            dimensions: [grid.nx, grid.ny, grid.nz],
+            resampled: resampled
+        };
+        return { grid, data, stats: this.lastStats };
+    }
+
+    /**
+     * Copy onto the texture grid, resampling when the source is non-uniform,
+     * flat along an axis, or larger than maxDimension
+     */
+    toGrid(source) {
+        const { coordinates, vectors, distances, uniform } = source;
+        const dims = coordinates.map(c => c.length);
+        coordinates.forEach((c, a) => {
+            for (let i = 1; i < c.length; i++) {
+                if (!(c[i] > c[i - 1])) throw new Error(`Grid coordinates along ${'XYZ'[a]} must be increasing`);
+            }
+        });
+
+        const direct = uniform && dims.every(n => n > 1 && n <= this.maxDimension);
+        const grid = { nx: 0, ny: 0, nz: 0, min: [0, 0, 0], step: [0, 0, 0] };
+        const targetDims = dims.map(n => Math.max(2, Math.min(n, this.maxDimension)));
+
+        // A single layer (2D data) is given the thickness of the coarsest other axis
+        const spans = coordinates.map(c => c[c.length - 1] - c[0]);
+        const thickness = Math.max(...spans.map((s, a) => (dims[a] > 1 ? s / (dims[a] - 1) : 0))) || 1;
+
+        for (let a = 0; a < 3; a++) {
+            const c = coordinates[a];
+            const span = dims[a] > 1 ? spans[a] : thickness;
+            grid.min[a] = dims[a] > 1 ? c[0] : c[0] - thickness / 2;
+            grid.step[a] = span / (targetDims[a] - 1);
+        }
+        [grid.nx, grid.ny, grid.nz] = targetDims;
+
+        const size = grid.nx * grid.ny * grid.nz;
+        const data = new Float32Array(size * 4);
+
+        if (direct) {
+            for (let i = 0; i < size; i++) {
+                data[i * 4] = finite(vectors[i * 3]);
+                data[i * 4 + 1] = finite(vectors[i * 3 + 1]);
+                data[i * 4 + 2] = finite(vectors[i * 3 + 2]);
+                data[i * 4 + 3] = distances ? distance(distances[i]) : NO_DISTANCE;
+            }
+            return { grid, data, resampled: false };
+        }
+
+        // Per-axis lookup: source cell and weight for every target node
+        const axes = [0, 1, 2].map(a => {
+            const n = targetDims[a];
+            const index = new Int32Array(n);
+            const weight = new Float32Array(n);
+            for (let i = 0; i < n; i++) {
+                locate(coordinates[a], grid.min[a] + i * grid.step[a], index, weight, i);
+            }
+            return { index, weight };
+        });
+
+        const [sx, sy] = dims;
+        for (let z = 0, i = 0; z < grid.nz; z++) {
+            const z0 = axes[2].index[z], wz = axes[2].weight[z], z1 = Math.min(z0 + 1, dims[2] - 1);
+            for (let y = 0; y < grid.ny; y++) {
+                const y0 = axes[1].index[y], wy = axes[1].weight[y], y1 = Math.min(y0 + 1, dims[1] - 1);
+                for (let x = 0; x < grid.nx; x++, i++) {
+                    const x0 = axes[0].index[x], wx = axes[0].weight[x], x1 = Math.min(x0 + 1, dims[0] - 1);
+
+                    // Corner nodes of the source cell, lowest x/y/z first
+                    const n000 = (z0 * sy + y0) * sx + x0, n100 = (z0 * sy + y0) * sx + x1;
+                    const n010 = (z0 * sy + y1) * sx + x0, n110 = (z0 * sy + y1) * sx + x1;
+                    const n001 = (z1 * sy + y0) * sx + x0, n101 = (z1 * sy + y0) * sx + x1;
+                    const n011 = (z1 * sy + y1) * sx + x0, n111 = (z1 * sy + y1) * sx + x1;
+
+                    for (let c = 0; c < 3; c++) {
+                        const c00 = finite(vectors[n000 * 3 + c]) * (1 - wx) + finite(vectors[n100 * 3 + c]) * wx;
+                        const c10 = finite(vectors[n010 * 3 + c]) * (1 - wx) + finite(vectors[n110 * 3 + c]) * wx;
+                        const c01 = finite(vectors[n001 * 3 + c]) * (1 - wx) + finite(vectors[n101 * 3 + c]) * wx;
+                        const c11 = finite(vectors[n011 * 3 + c]) * (1 - wx) + finite(vectors[n111 * 3 + c]) * wx;
+                        const c0 = c00 * (1 - wy) + c10 * wy;
+                        const c1 = c01 * (1 - wy) + c11 * wy;
+                        data[i * 4 + c] = c0 * (1 - wz) + c1 * wz;
+                    }
+
+                    if (distances) {
+                        const d00 = distance(distances[n000]) * (1 - wx) + distance(distances[n100]) * wx;
+                        const d10 = distance(distances[n010]) * (1 - wx) + distance(distances[n110]) * wx;
+                        const d01 = distance(distances[n001]) * (1 - wx) + distance(distances[n101]) * wx;
+                        const d11 = distance(distances[n011]) * (1 - wx) + distance(distances[n111]) * wx;
+                        const d0 = d00 * (1 - wy) + d10 * wy;
+                        const d1 = d01 * (1 - wy) + d11 * wy;
+                        data[i * 4 + 3] = d0 * (1 - wz) + d1 * wz;
+                    } else {
+                        data[i * 4 + 3] = NO_DISTANCE;
+                    }
+                }
+            }
+        }
+        return { grid, data, resampled: true };
+    }
+}
+
+function finite(value) {
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Missing distances count as far from any body
+ */
+function distance(value) {
+    return Number.isFinite(value) ? value : NO_DISTANCE;
+}
+
+/**
+ * Cell containing p along a coordinate axis (clamped), and the weight of its upper node
+ */
+function locate(coords, p, index, weight, i) {
+    const n = coords.length;
+    if (n === 1 || p <= coords[0]) {
+        index[i] = 0;
+        weight[i] = 0;
+        return;
+    }
+    if (p >= coords[n - 1]) {
+        index[i] = n - 2;
+        weight[i] = 1;
+        return;
+    }
+    let lo = 0, hi = n - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (coords[mid] <= p) lo = mid;
+        else hi = mid;
+    }
+    index[i] = lo;
+    weight[i] = (p - coords[lo]) / (coords[lo + 1] - coords[lo]);
+}
+
+function uniformAxis(n, origin, spacing) {
+    const c = new Float64Array(n);
+    for (let i = 0; i < n; i++) c[i] = origin + i * spacing;
+    return c;
+}
+
+/**
+ * Cell-centred data: one fewer node per axis, at the midpoints
+ */
+function cellCentres(coords) {
+    if (coords.length < 2) return coords;
+    const c = new Float64Array(coords.length - 1);
+    for (let i = 0; i < c.length; i++) c[i] = (coords[i] + coords[i + 1]) / 2;
+    return c;
+}
+
+/**
+ * Pick the velocity among the 3-component arrays: point data before cell
+ * data, velocity-like names before anything else
+ */
+function pickVelocity(arrays, preferred) {
+    const vectors = arrays.filter(a => a.components === 3);
+    if (vectors.length === 0) throw new Error('No 3-component (vector) array found in the file');
+
+    const rank = (a) => (a.location === 'point' ? 0 : 2) +
+        (a.name === preferred || VELOCITY_NAMES.test(a.name) ? 0 : 1);
+    return vectors.reduce((best, a) => (rank(a) < rank(best) ? a : best));
+}
+
+/**
+ * The signed distance stored next to the velocity, or null if there is none
+ */
+function pickDistance(arrays, velocity) {
+    const match = arrays.find(a => a.components === 1 && a.location === velocity.location && DISTANCE_NAMES.test(a.name));
+    return match && match.values.length * 3 === velocity.values.length ? match.values : null;
+}
+
+// ---------------------------------------------------------------------------
+// Legacy VTK
+// ---------------------------------------------------------------------------
+
+const VTK_TYPES = {
+    bit: null,
+    unsigned_char: ['getUint8', 1],
+    char: ['getInt8', 1],
+    unsigned_short: ['getUint16', 2],
+    short: ['getInt16', 2],
+    unsigned_int: ['getUint32', 4],
+    int: ['getInt32', 4],
+    unsigned_long: ['getBigUint64', 8],
+    long: ['getBigInt64', 8],
+    vtktypeuint64: ['getBigUint64', 8],
+    vtktypeint64: ['getBigInt64', 8],
+    vtkidtype: ['getInt32', 4],
+    float: ['getFloat32', 4],
+    double: ['getFloat64', 8]
+};
+
+/**
+ * Line and value reader over a legacy VTK file. The text view is decoded one
+ * character per byte, so string and byte offsets coincide.
+ */
+class LegacyReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.text = new TextDecoder('latin1').decode(new Uint8Array(buffer));
+        this.offset = 0;
+        this.binary = false;
+    }
+
+    readLine() {
+        if (this.offset >= this.text.length) return null;
+        let end = this.text.indexOf('\n', this.offset);
+        if (end < 0) end = this.text.length;
+        const line = this.text.slice(this.offset, end).replace(/\r$/, '');
+        this.offset = end + 1;
+        return line;
+    }
+
+    nextLine() {
+        let line;
+        while ((line = this.readLine()) !== null) {
+            if (line.trim()) return line.trim();
+        }
+        return null;
+    }
+
+    readValues(count, type, ArrayType = Float32Array) {
+        const out = new ArrayType(count);
+
+        if (!this.binary) {
+            const text = this.text;
+            const length = text.length;
+            let pos = this.offset;
+            for (let k = 0; k < count; k++) {
+                while (pos < length && text.charCodeAt(pos) <= 32) pos++;
+                const start = pos;
+                while (pos < length && text.charCodeAt(pos) > 32) pos++;
+                if (start === pos) throw new Error('Unexpected end of VTK file');
+                out[k] = Number(text.slice(start, pos));
+            }
+            this.offset = pos;
+            return out;
+        }
+
+        const spec = VTK_TYPES[type.toLowerCase()];
+        if (!spec) throw new Error(`Unsupported VTK data type "${type}"`);
+        const [getter, size] = spec;
+        if (this.offset + count * size > this.view.byteLength) throw new Error('Unexpected end of VTK file');
+
+        // Legacy binary is always big-endian
+        for (let k = 0, o = this.offset; k < count; k++, o += size) {
+            out[k] = Number(this.view[getter](o, false));
+        }
+        this.offset += count * size;
+        return out;
+    }
+}
+
+function parseLegacyVTK(buffer) {
+    const reader = new LegacyReader(buffer);
+    const version = reader.readLine();
+    if (!version || !version.startsWith('# vtk')) throw new Error('Not a legacy VTK file (missing "# vtk" header)');
+    reader.readLine(); // Title
+    const encoding = (reader.nextLine() || '').toUpperCase();
+    if (encoding !== 'ASCII' && encoding !== 'BINARY') throw new Error(`Unknown VTK encoding "${encoding}"`);
+    reader.binary = encoding === 'BINARY';
+
+    let dataset = null;
+    let dims = null;
+    let origin = [0, 0, 0];
+    let spacing = [1, 1, 1];
+    const axes = [null, null, null];
+    const arrays = [];
+    let location = 'point';
+    let count = 0;
+
+    let line;
+    while ((line = reader.nextLine()) !== null) {
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0].toUpperCase();
+
+        switch (keyword) {
+            case 'DATASET':
+                dataset = tokens[1].toUpperCase();
+                if (dataset !== 'STRUCTURED_POINTS' && dataset !== 'RECTILINEAR_GRID') {
+                    throw new Error(`Unsupported VTK dataset ${dataset} (expected STRUCTURED_POINTS or RECTILINEAR_GRID)`);
+                }
+                break;
+            case 'DIMENSIONS':
+                dims = tokens.slice(1, 4).map(Number);
+                break;
+            case 'ORIGIN':
+                origin = tokens.slice(1, 4).map(Number);
+                break;
+            case 'SPACING':
+            case 'ASPECT_RATIO':
+                spacing = tokens.slice(1, 4).map(Number);
+                break;
+            case 'X_COORDINATES':
+            case 'Y_COORDINATES':
+            case 'Z_COORDINATES':
+                axes['XYZ'.indexOf(keyword[0])] = reader.readValues(parseInt(tokens[1]), tokens[2], Float64Array);
+                break;
+            case 'POINT_DATA':
+                location = 'point';
+                count = parseInt(tokens[1]);
+                break;
+            case 'CELL_DATA':
+                location = 'cell';
+                count = parseInt(tokens[1]);
+                break;
+            case 'VECTORS':
+            case 'NORMALS':
+                arrays.push({ name: tokens[1], components: 3, location, values: reader.readValues(count * 3, tokens[2]) });
+                break;
+            case 'SCALARS': {
+                const components = parseInt(tokens[3] || '1');
+                const table = reader.nextLine(); // LOOKUP_TABLE name
+                if (!table.toUpperCase().startsWith('LOOKUP_TABLE')) throw new Error('SCALARS without LOOKUP_TABLE');
+                arrays.push({ name: tokens[1], components, location, values: reader.readValues(count * components, tokens[2]) });
+                break;
+            }
+            case 'LOOKUP_TABLE':
+                // Colour table definition: RGBA per entry, bytes in binary files
+                reader.readValues(parseInt(tokens[2]) * 4, 'unsigned_char');
+                break;
+            case 'COLOR_SCALARS':
+                reader.readValues(count * parseInt(tokens[2]), 'unsigned_char');
+                break;
+            case 'TEXTURE_COORDINATES':
+                reader.readValues(count * parseInt(tokens[2]), tokens[3]);
+                break;
+            case 'TENSORS':
+                reader.readValues(count * 9, tokens[2]);
+                break;
+            case 'FIELD': {
+                const arrayCount = parseInt(tokens[2]);
+                for (let k = 0; k < arrayCount; k++) {
+                    const header = reader.nextLine().split(/\s+/);
+                    if (header[0].toUpperCase() === 'NULL_ARRAY') continue;
+                    const components = parseInt(header[1]);
+                    const tuples = parseInt(header[2]);
+                    const values = reader.readValues(components * tuples, header[3]);
+                    if (tuples === count) arrays.push({ name: header[0], components, location, values });
+                }
+                break;
+            }
+            case 'METADATA':
+                // Information block, terminated by an empty line
+                while ((line = reader.readLine()) !== null && line.trim()) { /* skip */ }
+                break;
+            default:
+                // Unknown section keyword; nothing sensible to skip
+                if (/^[A-Z_]+$/.test(keyword)) throw new Error(`Unsupported VTK section ${keyword}`);
+        }
+    }
+
+    if (!dataset || !dims) throw new Error('VTK file has no DATASET/DIMENSIONS');
+
+    let coordinates = dataset === 'STRUCTURED_POINTS'
+        ? dims.map((n, a) => uniformAxis(n, origin[a], spacing[a]))
+        : axes.map((c, a) => c || uniformAxis(dims[a], 0, 1));
+    const velocity = pickVelocity(arrays);
+    if (velocity.location === 'cell') coordinates = coordinates.map(cellCentres);
+    checkCount(coordinates, velocity);
+
+    return {
+        name: velocity.name,
+        coordinates,
+        vectors: velocity.values,
+        distances: pickDistance(arrays, velocity),
+        uniform: dataset === 'STRUCTURED_POINTS'
+    };
+}
+
+function checkCount(coordinates, array) {
+    const expected = coordinates.reduce((n, c) => n * c.length, 1);
+    if (array.values.length !== expected * 3) {
+        throw new Error(`Array "${array.name}" has ${array.values.length / 3} tuples, grid has ${expected}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// XML ImageData (.vti)
+// ---------------------------------------------------------------------------
+
+const XML_TYPES = {
+    Int8: ['getInt8', 1],
+    UInt8: ['getUint8', 1],
+    Int16: ['getInt16', 2],
+    UInt16: ['getUint16', 2],
+    Int32: ['getInt32', 4],
+    UInt32: ['getUint32', 4],
+    Int64: ['getBigInt64', 8],
+    UInt64: ['getBigUint64', 8],
+    Float32: ['getFloat32', 4],
+    Float64: ['getFloat64', 8]
+};
+
+function attributes(tag) {
+    const attrs = {};
+    for (const match of tag.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) attrs[match[1]] = match[2];
+    return attrs;
+}
+
+function parseImageData(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const text = new TextDecoder('latin1').decode(bytes);
+
+    // Raw appended data starts after an underscore and may contain anything, so keep it out of the XML scan
+    const appendedTag = /<AppendedData\b([^>]*)>/.exec(text);
+    const appendedStart = appendedTag ? text.indexOf('_', appendedTag.index + appendedTag[0].length) + 1 : -1;
+    const xml = appendedTag ? text.slice(0, appendedTag.index) : text;
+
+    const fileTag = /<VTKFile\b([^>]*)>/.exec(xml);
+    if (!fileTag) throw new Error('Not a VTK XML file (missing <VTKFile>)');
+    const file = attributes(fileTag[1]);
+    if (file.type !== 'ImageData') throw new Error(`Unsupported VTK XML type "${file.type}" (expected ImageData)`);
+    if (file.compressor) {
+        throw new Error('Compressed .vti files are not supported; save the file again without compression');
+    }
+    const littleEndian = file.byte_order !== 'BigEndian';
+    const header = XML_TYPES[file.header_type || 'UInt32'];
+
+    const imageTag = /<ImageData\b([^>]*)>/.exec(xml);
+    if (!imageTag) throw new Error('Missing <ImageData> element');
+    const image = attributes(imageTag[1]);
+    const whole = image.WholeExtent.trim().split(/\s+/).map(Number);
+    const origin = (image.Origin || '0 0 0').trim().split(/\s+/).map(Number);
+    const spacing = (image.Spacing || '1 1 1').trim().split(/\s+/).map(Number);
+    const pointDims = [0, 1, 2].map(a => whole[2 * a + 1] - whole[2 * a] + 1);
+
+    const appendedEnd = text.lastIndexOf('</AppendedData>');
+    const appended = appendedTag ? {
+        encoding: attributes(appendedTag[1]).encoding || 'raw',
+        start: appendedStart,
+        end: appendedEnd > appendedStart ? appendedEnd : text.length
+    } : null;
+
+    // Appended base64 arrays run together; each ends where the next offset begins
+    const offsets = [...xml.matchAll(/\boffset\s*=\s*"(\d+)"/g)].map(m => parseInt(m[1])).sort((a, b) => a - b);
+
+    const decodeArray = (attrs, content) => {
+        const type = XML_TYPES[attrs.type];
+        if (!type) throw new Error(`Unsupported data type "${attrs.type}"`);
+        const format = attrs.format || 'ascii';
+
+        if (format === 'ascii') {
+            return Float32Array.from(content.trim().split(/\s+/).filter(Boolean), Number);
+        }
+
+        let block;
+        if (format === 'binary') {
+            block = decodeBase64(content);
+        } else if (format === 'appended') {
+            if (!appended) throw new Error('Appended array without <AppendedData>');
+            const offset = parseInt(attrs.offset);
+            if (appended.encoding === 'raw') {
+                const start = appended.start + offset;
+                const length = Number(new DataView(buffer)[header[0]](start, littleEndian));
+                return readTyped(new DataView(buffer, start + header[1], length), type, littleEndian);
+            }
+            const next = offsets.find(o => o > offset);
+            block = decodeBase64(text.slice(appended.start + offset, next !== undefined ? appended.start + next : appended.end));
+        } else {
+            throw new Error(`Unsupported DataArray format "${format}"`);
+        }
+
+        const view = new DataView(block.buffer);
+        const length = Number(view[header[0]](0, littleEndian));
+        return readTyped(new DataView(block.buffer, header[1], length), type, littleEndian);
+    };
+
+    // Every piece is copied into the whole extent
+    const arrays = new Map();
+    for (const piece of xml.matchAll(/<Piece\b([^>]*)>([\s\S]*?)<\/Piece>/g)) {
+        const extent = attributes(piece[1]).Extent.trim().split(/\s+/).map(Number);
+
+        for (const section of piece[2].matchAll(/<(PointData|CellData)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+            const location = section[1] === 'PointData' ? 'point' : 'cell';
+            const shrink = location === 'cell' ? 1 : 0;
+            const wholeDims = pointDims.map(n => Math.max(1, n - shrink));
+            const pieceDims = [0, 1, 2].map(a => Math.max(1, extent[2 * a + 1] - extent[2 * a] + 1 - shrink));
+
+            for (const element of section[3].matchAll(/<DataArray\b([^>]*?)(?:\/>|>([\s\S]*?)<\/DataArray>)/g)) {
+                const attrs = attributes(element[1]);
+                const components = parseInt(attrs.NumberOfComponents || '1');
+                const key = `${location}:${attrs.Name}`;
+                if (!arrays.has(key)) {
+                    arrays.set(key, {
+                        name: attrs.Name,
+                        components,
+                        location,
+                        values: new Float32Array(wholeDims[0] * wholeDims[1] * wholeDims[2] * components)
+                    });
+                }
+                const target = arrays.get(key);
+                const values = decodeArray(attrs, element[2] || '');
+
+                for (let z = 0, i = 0; z < pieceDims[2]; z++) {
+                    const wz = extent[4] - whole[4] + z;
+                    for (let y = 0; y < pieceDims[1]; y++) {
+                        const wy = extent[2] - whole[2] + y;
+                        for (let x = 0; x < pieceDims[0]; x++, i++) {
+                            const wi = (wz * wholeDims[1] + wy) * wholeDims[0] + extent[0] - whole[0] + x;
+                            for (let c = 0; c < components; c++) {
+                                target.values[wi * components + c] = values[i * components + c];
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    const pointData = /<PointData\b([^>]*)>/.exec(xml);
+    const velocity = pickVelocity([...arrays.values()], pointData ? attributes(pointData[1]).Vectors : undefined);
+    let coordinates = pointDims.map((n, a) => uniformAxis(n, origin[a] + whole[2 * a] * spacing[a], spacing[a]));
+    if (velocity.location === 'cell') coordinates = coordinates.map(cellCentres);
+    checkCount(coordinates, velocity);
+
+    return {
+        name: velocity.name,
+        coordinates,
+        vectors: velocity.values,
+        distances: pickDistance([...arrays.values()], velocity),
+        uniform: true
+    };
+}
+
+function readTyped(view, [getter, size], littleEndian) {
+    const count = Math.floor(view.byteLength / size);
+    const out = new Float32Array(count);
+    for (let k = 0; k < count; k++) out[k] = Number(view[getter](k * size, littleEndian));
+    return out;
+}
+
+/**
+ * Base64 decoder that tolerates whitespace and padding in the middle of the
+ * text: VTK encodes the block header and the data separately
+ */
+function decodeBase64(text) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const lookup = new Int16Array(128).fill(-1);
+    for (let i = 0; i < alphabet.length; i++) lookup[alphabet.charCodeAt(i)] = i;
+
+    const out = new Uint8Array(Math.ceil(text.length / 4) * 3);
+    let length = 0;
+    let quartet = 0, filled = 0, padding = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code === 61) { // '='
+            padding++;
+            filled++;
+        } else {
+            const value = code < 128 ? lookup[code] : -1;
+            if (value < 0) continue; // Whitespace
+            quartet = (quartet << 6) | value;
+            filled++;
+            if (padding) throw new Error('Malformed base64 data');
+        }
+        if (filled === 4) {
+            quartet <<= 6 * padding;
+            out[length++] = (quartet >> 16) & 255;
+            if (padding < 2) out[length++] = (quartet >> 8) & 255;
+            if (padding < 1) out[length++] = quartet & 255;
+            quartet = filled = padding = 0;
+        }
+    }
+    return out.slice(0, length);
+}
+
+// ---------------------------------------------------------------------------
+// Raw float32 with JSON header
+// ---------------------------------------------------------------------------
+
+function parseRaw(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 4) throw new Error('Raw field file is empty');
+    const headerLength = view.getUint32(0, true);
+    if (4 + headerLength > buffer.byteLength) throw new Error('Raw field header length exceeds the file size');
+
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+    } catch (err) {
+        throw new Error(`Raw field header is not valid JSON: ${err.message}`);
+    }
+
+    const dims = header.dimensions;
+    if (!Array.isArray(dims) || dims.length !== 3) throw new Error('Raw field header needs "dimensions": [nx, ny, nz]');
+    const origin = header.origin || [0, 0, 0];
+    const spacing = header.spacing || [1, 1, 1];
+    const components = header.components || 3;
+    if (components < 3) throw new Error('Raw field needs at least 3 components per node');
+
+    const count = dims[0] * dims[1] * dims[2];
+    const start = 4 + headerLength;
+    if (start + count * components * 4 > buffer.byteLength) {
+        throw new Error(`Raw field data is truncated (expected ${count * components} float32 values)`);
+    }
+
+    // The header length need not keep the data 4-byte aligned
+    const values = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        for (let c = 0; c < 3; c++) {
+            values[i * 3 + c] = view.getFloat32(start + (i * components + c) * 4, true);
+        }
+    }
+
+    // A 4th component is only taken as the distance when the header names it so
+    const names = header.names || [];
+    let distances = null;
+    if (components >= 4 && DISTANCE_NAMES.test(names[3] || '')) {
+        distances = new Float32Array(count);
+        for (let i = 0; i < count; i++) distances[i] = view.getFloat32(start + (i * components + 3) * 4, true);
+    }
+
+    return {
+        name: header.name || 'velocity',
+        coordinates: dims.map((n, a) => uniformAxis(n, origin[a], spacing[a])),
+        vectors: values,
+        distances: distances,
+        uniform: true
+    };
+}
+
+export default FieldImporter;
@@ -0,0 +1,87 @@
+import { StreamlineTracer } from './StreamlineTracer.js';
+
+/**
+ * Point and line probes: trilinear velocity at arbitrary positions plus the
+ * derived speed, pressure coefficient (Bernoulli) and vorticity magnitude
+ * (central differences one grid step apart).
+ */
+export class FieldProbe {
+    static QUANTITIES = {
+        speed: { label: 'Speed', units: 'm/s' },
+        vx: { label: 'Velocity X', units: 'm/s' },
+        vy: { label: 'Velocity Y', units: 'm/s' },
+        vz: { label: 'Velocity Z', units: 'm/s' },
+        cp: { label: 'Cp', units: '' },
+        vorticity: { label: 'Vorticity', units: '1/s' }
+    };
+
+    /**
+     * @param {{grid: Object, data: Float32Array}} field
+     * @param {number[]} freestream - Reference velocity for Cp
+     */
+    constructor(field, freestream = [1, 0, 0]) {
+        this.grid = field.grid;
+        this.data = field.data;
+        this.tracer = new StreamlineTracer(field.grid, field.data);
+        this.speedRef2 = freestream[0] ** 2 + freestream[1] ** 2 + freestream[2] ** 2 || 1;
+        this.lo = [0, 0, 0];
+        this.hi = [0, 0, 0];
+    }
+
+    /**
+     * @param {number[]} p - World position
+     * @returns {{position:number[], inside:boolean, vx:number, vy:number, vz:number, speed:number, cp:number, vorticity:number}}
+     */
+    sample(p) {
+        const [vx, vy, vz] = this.tracer.sample(p[0], p[1], p[2], [0, 0, 0]);
+        const speed = Math.hypot(vx, vy, vz);
+        return {
+            position: [p[0], p[1], p[2]],
+            inside: this.insideBody(p),
+            vx, vy, vz,
+            speed,
+            cp: 1 - speed * speed / this.speedRef2,
+            vorticity: this.vorticity(p)
+        };
+    }
+
+    /**
+     * Evenly spaced samples from a to b, each with its distance s along the line
+     */
+    sampleLine(a, b, count = 100) {
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            const t = count > 1 ? i / (count - 1) : 0;
+            const sample = this.sample([0, 1, 2].map(k => a[k] + (b[k] - a[k]) * t));
+            sample.s = t * length;
+            samples.push(sample);
+        }
+        return samples;
+    }
+
+    vorticity(p) {
+        const { step } = this.grid;
+        // d[axis][component] = du_component / dx_axis
+        const d = [0, 1, 2].map(axis => {
+            const a = p.slice(), b = p.slice();
+            a[axis] -= step[axis];
+            b[axis] += step[axis];
+            this.tracer.sample(a[0], a[1], a[2], this.lo);
+            this.tracer.sample(b[0], b[1], b[2], this.hi);
+            return [0, 1, 2].map(c => (this.hi[c] - this.lo[c]) / (2 * step[axis]));
+        });
+        return Math.hypot(d[1][2] - d[2][1], d[2][0] - d[0][2], d[0][1] - d[1][0]);
+    }
+
+    /**
+     * Nearest-node signed distance test (negative alpha is inside the body)
+     */
+    insideBody(p) {
+        const { nx, ny, nz, min, step } = this.grid;
+        const index = [nx, ny, nz].map((n, k) => Math.max(0, Math.min(n - 1, Math.round((p[k] - min[k]) / step[k]))));
+        return this.data[((index[2] * ny + index[1]) * nx + index[0]) * 4 + 3] < 0;
+    }
+}
+
+export default FieldProbe;
@@ -0,0 +1,156 @@
+import { FieldGenerator } from './FieldGenerator.js';
+
+/**
+ * Small pool of module workers running FieldGenerator jobs.
+ *
+ * run() returns { promise, cancel }. The promise resolves with the generated
+ * arrays, or null if the job was cancelled. Cancelling a running job
+ * terminates its worker and starts a fresh one, since the solvers don't
+ * check for messages mid-loop. Without Worker support jobs run inline.
+ */
+export class FieldWorkerPool {
+    constructor(size = FieldWorkerPool.defaultSize()) {
+        this.size = size;
+        this.supported = typeof Worker !== 'undefined';
+        this.slots = [];     // { worker, job }
+        this.queue = [];
+        this.nextJobId = 0;
+        this.inline = null;  // Main-thread fallback generator
+    }
+
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * Queue a generation request
+     * @param {Object} request - See FieldGenerator.generate
+     * @param {function({fraction:number, message:string})} onProgress
+     */
+    run(request, onProgress = () => {}) {
+        const job = {
+            id: ++this.nextJobId,
+            request,
+            onProgress,
+            cancelled: false,
+            slot: null
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        if (!this.supported) {
+            this.runInline(job);
+        } else {
+            this.queue.push(job);
+            this.schedule();
+        }
+
+        return {
+            promise: job.promise,
+            cancel: () => this.cancel(job)
+        };
+    }
+
+    runInline(job) {
+        if (!this.inline) this.inline = new FieldGenerator();
+        // Let the caller attach handlers (and the page repaint) before blocking
+        setTimeout(() => {
+            if (job.cancelled) return;
+            this.inline.generate(job.request, job.onProgress, () => job.cancelled)
+                .then(result => job.resolve(job.cancelled ? null : result), job.reject);
+        }, 0);
+    }
+
+    schedule() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(s => !s.job);
+            if (!slot) {
+                if (this.slots.length >= this.size) return;
+                slot = this.createSlot();
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            job.slot = slot;
+
+            // Posted as a copy, not transferred: if the worker fails to load,
+            // the job reruns inline and still needs the triangles and file contents
+            slot.worker.postMessage({ jobId: job.id, request: job.request });
+        }
+    }
+
+    createSlot() {
+        const slot = { worker: null, job: null };
+        slot.worker = new Worker(new URL('./fieldWorker.js', import.meta.url), { type: 'module' });
+        slot.worker.onmessage = (e) => this.onMessage(slot, e.data);
+        slot.worker.onerror = (e) => {
+            // Errors inside a job are posted back as messages, so this is a load failure
+            e.preventDefault();
+            console.warn('⚠️ Field worker unavailable, generating on the main thread', e.message);
+            this.fallBackToInline();
+        };
+        this.slots.push(slot);
+        return slot;
+    }
+
+    onMessage(slot, message) {
+        const job = slot.job;
+        if (!job || job.id !== message.jobId) return;
+
+        if (message.type === 'progress') {
+            job.onProgress(message.progress);
+        } else if (message.type === 'result') {
+            this.finish(slot, (j) => j.resolve(message.result));
+        } else if (message.type === 'error') {
+            this.finish(slot, (j) => j.reject(new Error(message.message)));
+        }
+    }
+
+    finish(slot, settle) {
+        const job = slot.job;
+        slot.job = null;
+        if (job) settle(job);
+        this.schedule();
+    }
+
+    fallBackToInline() {
+        const jobs = [...this.slots.map(slot => slot.job).filter(Boolean), ...this.queue];
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+        this.queue = [];
+        this.supported = false;
+        jobs.forEach(job => {
+            job.slot = null;
+            this.runInline(job);
+        });
+    }
+
+    cancel(job) {
+        if (job.cancelled) return;
+        job.cancelled = true;
+
+        const queued = this.queue.indexOf(job);
+        if (queued >= 0) this.queue.splice(queued, 1);
+
+        if (job.slot && job.slot.job === job) {
+            // Solvers run in tight loops, so the only way to stop one is to kill it
+            const slot = job.slot;
+            slot.worker.terminate();
+            this.slots.splice(this.slots.indexOf(slot), 1);
+        }
+
+        job.resolve(null);
+        this.schedule();
+    }
+
+    dispose() {
+        this.queue.slice().forEach(job => this.cancel(job));
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+    }
+}
+
+export default FieldWorkerPool;
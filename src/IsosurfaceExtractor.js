@@ -0,0 +1,191 @@
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+
+/**
+ * Marching cubes over the node-centred velocity grid.
+ *
+ * computeScalar() derives a per-node quantity (speed or the Q-criterion
+ * from central-difference velocity gradients); extract() turns one level of
+ * it into an indexed triangle mesh with gradient normals. Vertices on shared
+ * cube edges are reused, so the mesh is watertight inside the grid.
+ */
+
+// Cube corners as (x, y, z) offsets, in the order the tables expect
+const CORNERS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+
+// Cube edges as [corner, corner]
+const EDGES = [
+    [0, 1], [1, 2], [3, 2], [0, 3],
+    [4, 5], [5, 6], [7, 6], [4, 7],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+export class IsosurfaceExtractor {
+    static QUANTITIES = {
+        speed: { label: 'Speed', units: 'm/s' },
+        q: { label: 'Q-Criterion', units: '1/s²' }
+    };
+
+    /**
+     * Per-node scalar for the isosurface
+     * @param {string} quantity - 'speed' | 'q'
+     * @param {{nx:number, ny:number, nz:number, step:number[]}} grid
+     * @param {Float32Array} data - RGBA (velocity, signed distance)
+     * @returns {Float32Array}
+     */
+    computeScalar(quantity, grid, data) {
+        if (quantity === 'speed') return this.computeSpeed(grid, data);
+        if (quantity === 'q') return this.computeQCriterion(grid, data);
+        throw new Error(`Unknown isosurface quantity "${quantity}"`);
+    }
+
+    computeSpeed(grid, data) {
+        const n = grid.nx * grid.ny * grid.nz;
+        const values = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            values[i] = Math.hypot(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        return values;
+    }
+
+    /**
+     * Q = 0.5 (|Ω|² - |S|²) = -0.5 Σ J_ij J_ji with J = ∇u. Positive where
+     * rotation dominates strain, i.e. in vortex cores. Zero inside the body.
+     */
+    computeQCriterion(grid, data) {
+        const { nx, ny, nz, step } = grid;
+        const values = new Float32Array(nx * ny * nz);
+        const J = new Float64Array(9); // J[i * 3 + j] = du_i / dx_j
+        const strides = [4, nx * 4, nx * ny * 4];
+        const sizes = [nx, ny, nz];
+
+        for (let z = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    const node = (z * ny + y) * nx + x;
+                    if (data[node * 4 + 3] < 0) continue;
+
+                    const coords = [x, y, z];
+                    for (let j = 0; j < 3; j++) {
+                        // Central differences, one-sided at the grid edge
+                        const lo = coords[j] > 0 ? -1 : 0;
+                        const hi = coords[j] < sizes[j] - 1 ? 1 : 0;
+                        const span = (hi - lo) * step[j];
+                        for (let i = 0; i < 3; i++) {
+                            J[i * 3 + j] = span > 0
+                                ? (data[node * 4 + hi * strides[j] + i] - data[node * 4 + lo * strides[j] + i]) / span
+                                : 0;
+                        }
+                    }
+
+                    let sum = 0;
+                    for (let i = 0; i < 3; i++) {
+                        for (let j = 0; j < 3; j++) sum += J[i * 3 + j] * J[j * 3 + i];
+                    }
+                    values[node] = -0.5 * sum;
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Surface where values == iso
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} grid
+     * @param {Float32Array} values - One scalar per node
+     * @param {number} iso
+     * @returns {{positions: Float32Array, normals: Float32Array, indices: Uint32Array}}
+     */
+    extract(grid, values, iso) {
+        const { nx, ny, nz, min, step } = grid;
+        const positions = [];
+        const normals = [];
+        const indices = [];
+
+        // Vertex on each grid edge, keyed by (lower node, axis)
+        const edgeVertex = new Map();
+        const cubeVertices = new Int32Array(12);
+
+        const nodeIndex = (x, y, z) => (z * ny + y) * nx + x;
+
+        // Gradient of the scalar at a node (central differences)
+        const gradient = (x, y, z, out) => {
+            const c = [x, y, z];
+            const size = [nx, ny, nz];
+            for (let a = 0; a < 3; a++) {
+                const lo = c.slice(), hi = c.slice();
+                lo[a] = Math.max(0, c[a] - 1);
+                hi[a] = Math.min(size[a] - 1, c[a] + 1);
+                const span = (hi[a] - lo[a]) * step[a];
+                out[a] = span > 0 ? (values[nodeIndex(...hi)] - values[nodeIndex(...lo)]) / span : 0;
+            }
+            return out;
+        };
+        const g0 = [0, 0, 0], g1 = [0, 0, 0];
+
+        const vertexOnEdge = (x, y, z, edge) => {
+            const [ca, cb] = EDGES[edge];
+            const a = CORNERS[ca], b = CORNERS[cb];
+            const ax = x + a[0], ay = y + a[1], az = z + a[2];
+            const bx = x + b[0], by = y + b[1], bz = z + b[2];
+            const axis = a[0] !== b[0] ? 0 : (a[1] !== b[1] ? 1 : 2);
+            const key = nodeIndex(ax, ay, az) * 3 + axis;
+
+            const cached = edgeVertex.get(key);
+            if (cached !== undefined) return cached;
+
+            const va = values[nodeIndex(ax, ay, az)];
+            const vb = values[nodeIndex(bx, by, bz)];
+            const t = va === vb ? 0.5 : (iso - va) / (vb - va);
+
+            positions.push(
+                min[0] + (ax + (bx - ax) * t) * step[0],
+                min[1] + (ay + (by - ay) * t) * step[1],
+                min[2] + (az + (bz - az) * t) * step[2]
+            );
+
+            // Normals point down the gradient, out of the region above the iso value
+            gradient(ax, ay, az, g0);
+            gradient(bx, by, bz, g1);
+            const n = [0, 1, 2].map(c => -(g0[c] + (g1[c] - g0[c]) * t));
+            const length = Math.hypot(n[0], n[1], n[2]) || 1;
+            normals.push(n[0] / length, n[1] / length, n[2] / length);
+
+            const vertex = positions.length / 3 - 1;
+            edgeVertex.set(key, vertex);
+            return vertex;
+        };
+
+        for (let z = 0; z < nz - 1; z++) {
+            for (let y = 0; y < ny - 1; y++) {
+                for (let x = 0; x < nx - 1; x++) {
+                    let cube = 0;
+                    for (let c = 0; c < 8; c++) {
+                        const o = CORNERS[c];
+                        if (values[nodeIndex(x + o[0], y + o[1], z + o[2])] < iso) cube |= 1 << c;
+                    }
+
+                    const edges = edgeTable[cube];
+                    if (edges === 0) continue;
+
+                    for (let e = 0; e < 12; e++) {
+                        if (edges & (1 << e)) cubeVertices[e] = vertexOnEdge(x, y, z, e);
+                    }
+                    for (let k = cube * 16; triTable[k] !== -1; k += 3) {
+                        indices.push(cubeVertices[triTable[k]], cubeVertices[triTable[k + 1]], cubeVertices[triTable[k + 2]]);
+                    }
+                }
+            }
+        }
+
+        return {
+            positions: Float32Array.from(positions),
+            normals: Float32Array.from(normals),
+            indices: Uint32Array.from(indices)
+        };
+    }
+}
+
+export default IsosurfaceExtractor;
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { IsosurfaceExtractor } from './IsosurfaceExtractor.js';
+
+/**
+ * Semi-transparent isosurface of speed or Q-criterion over the current field.
+ *
+ * The per-node scalar is cached per field, so moving the iso value only
+ * re-runs marching cubes. rebuild() must be called whenever the field changes.
+ */
+export class Isosurfaces {
+    static COLORS = { speed: 0x4fc3f7, q: 0xffa726 };
+
+    constructor(scene, velocityField) {
+        this.scene = scene;
+        this.velocityField = velocityField;
+        this.extractor = new IsosurfaceExtractor();
+
+        this.quantity = 'speed';
+        this.isoValue = null;        // null: pick a default once the range is known
+        this.enabled = false;
+        this.values = null;          // Cached scalar for the current field
+        this.range = { min: 0, max: 1 };
+        this.surface = null;         // Last extraction, for export
+
+        this.material = new THREE.MeshPhongMaterial({
+            color: Isosurfaces.COLORS.speed,
+            transparent: true,
+            opacity: 0.45,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            shininess: 40
+        });
+        this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material);
+        this.mesh.visible = false;
+        this.mesh.renderOrder = 1; // After the opaque body
+        this.scene.add(this.mesh);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.mesh.visible = enabled;
+        if (enabled && !this.values) this.rebuild();
+    }
+
+    setQuantity(quantity) {
+        if (!IsosurfaceExtractor.QUANTITIES[quantity]) return;
+        this.quantity = quantity;
+        this.material.color.setHex(Isosurfaces.COLORS[quantity]);
+        this.values = null;
+        this.isoValue = null;
+        if (this.enabled) this.rebuild();
+    }
+
+    setIsoValue(value) {
+        this.isoValue = value;
+        if (this.enabled) this.extract();
+    }
+
+    /**
+     * Recompute the scalar for the current field and extract the surface.
+     * Also resets the iso value when it falls outside the new range.
+     */
+    rebuild() {
+        this.values = null;
+        this.surface = null;
+        if (!this.enabled) return;
+
+        const field = this.velocityField.readData();
+        if (!field) return;
+
+        this.grid = field.grid;
+        this.values = this.extractor.computeScalar(this.quantity, field.grid, field.data);
+        this.range = this.computeRange(this.values);
+        if (this.isoValue === null || !(this.isoValue > this.range.min && this.isoValue < this.range.max)) {
+            this.isoValue = this.defaultIsoValue();
+        }
+        this.extract();
+    }
+
+    /**
+     * Slider range: up to the 99th percentile, so a few extreme nodes next
+     * to the body don't squash it. Q only makes sense above zero.
+     */
+    computeRange(values) {
+        const sorted = Float32Array.from(values).sort();
+        const hi = sorted[Math.floor((sorted.length - 1) * 0.99)];
+        const lo = this.quantity === 'q' ? 0 : sorted[0];
+        return { min: lo, max: hi > lo ? hi : lo + 1 };
+    }
+
+    defaultIsoValue() {
+        const { min, max } = this.range;
+        // Low speed outlines recirculation; Q at a few percent of its range picks out vortex cores
+        return this.quantity === 'q' ? min + (max - min) * 0.05 : min + (max - min) * 0.3;
+    }
+
+    extract() {
+        if (!this.values) return;
+
+        const start = performance.now();
+        const surface = this.extractor.extract(this.grid, this.values, this.isoValue);
+        this.surface = surface;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(surface.normals, 3));
+        geometry.setIndex(new THREE.BufferAttribute(surface.indices, 1));
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = geometry;
+
+        console.log("🫧 Isosurface extracted", {
+            quantity: this.quantity,
+            isoValue: this.isoValue,
+            triangles: surface.indices.length / 3,
+            ms: Math.round(performance.now() - start)
+        });
+    }
+
+    get label() {
+        const { label, units } = IsosurfaceExtractor.QUANTITIES[this.quantity];
+        return this.isoValue === null ? label : `${label} = ${this.isoValue.toPrecision(3)} ${units}`;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default Isosurfaces;
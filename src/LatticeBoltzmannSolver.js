@@ -0,0 +1,286 @@
+/**
+ * Lattice Boltzmann solver (D3Q19, BGK collision) on the voxel grid.
+ *
+ * Runs in chunks of steps so progress can be reported between them, and
+ * returns macroscopic velocity in the same RGBA layout as VelocityField.
+ * Solid voxels use halfway bounce-back; domain faces the freestream enters
+ * through are equilibrium velocity inlets, faces it leaves through are
+ * zero-gradient outflows. The grid's cells must be cubic.
+ *
+ * Distributions are stored node-major (f[i * 19 + q]) so collision reads are contiguous.
+ */
+
+// D3Q19 lattice: rest, 6 face neighbours, 12 edge neighbours
+const CX = Int32Array.of(0, 1, -1, 0, 0, 0, 0, 1, -1, 1, -1, 1, -1, 1, -1, 0, 0, 0, 0);
+const CY = Int32Array.of(0, 0, 0, 1, -1, 0, 0, 1, -1, -1, 1, 0, 0, 0, 0, 1, -1, 1, -1);
+const CZ = Int32Array.of(0, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 1, -1, -1, 1, 1, -1, -1, 1);
+const W = Float64Array.of(1 / 3,
+    1 / 18, 1 / 18, 1 / 18, 1 / 18, 1 / 18, 1 / 18,
+    1 / 36, 1 / 36, 1 / 36, 1 / 36, 1 / 36, 1 / 36,
+    1 / 36, 1 / 36, 1 / 36, 1 / 36, 1 / 36, 1 / 36);
+const Q = 19;
+const OPPOSITE = CX.map((_, q) => CX.findIndex((_, p) => CX[p] === -CX[q] && CY[p] === -CY[q] && CZ[p] === -CZ[q]));
+
+// Node kinds
+const FLUID = 0;
+const SOLID = 1;
+const INLET = 2;
+const OUTFLOW = 3;
+
+export class LatticeBoltzmannSolver {
+    static CUBIC_TOLERANCE = 1e-3;  // Relative cell size difference still treated as cubic
+
+    constructor(options = {}) {
+        this.latticeVelocity = options.latticeVelocity ?? 0.08; // Inlet speed in lattice units (low Mach)
+        this.minTau = options.minTau ?? 0.51;                    // Stability floor for the relaxation time
+        this.maxSteps = options.maxSteps ?? 4000;
+        this.checkInterval = options.checkInterval ?? 50;        // Steps between convergence checks
+        this.tolerance = options.tolerance ?? 1e-4;              // Relative velocity change per check
+        this.stepsPerChunk = options.stepsPerChunk ?? 10;
+        this.lastStats = null;
+    }
+
+    /**
+     * Relaxation time for a target Reynolds number
+     * @param {number} reynolds - Re = U L / nu
+     * @param {number} lengthCells - Reference length in lattice cells
+     */
+    relaxationTime(reynolds, lengthCells) {
+        const nu = this.latticeVelocity * lengthCells / Math.max(reynolds, 1e-6);
+        return 3 * nu + 0.5;
+    }
+
+    /**
+     * Iterate to a steady (or time-averaged) state
+     * @param {{nx:number, ny:number, nz:number, step:number[]}} grid
+     * @param {Uint8Array|null} solid
+     * @param {Object} params - { freestream, reynolds, referenceLength }
+     * @param {Object} callbacks - { onProgress({step, maxSteps, residual}), shouldCancel() }
+     * @returns {Promise<Float32Array|null>} RGBA velocity, or null if cancelled
+     */
+    async run(grid, solid, params, callbacks = {}) {
+        const { nx, ny, nz } = grid;
+        const n = nx * ny * nz;
+        const { onProgress, shouldCancel } = callbacks;
+
+        const freestream = params.freestream || [1, 0, 0];
+        const speed = Math.hypot(freestream[0], freestream[1], freestream[2]) || 1;
+        const scale = this.latticeVelocity / speed;
+        const inlet = [freestream[0] * scale, freestream[1] * scale, freestream[2] * scale];
+
+        // Every link streams one node per step on each axis, which is only right for cubic cells
+        const cell = grid.step[0];
+        if (grid.step.some(s => Math.abs(s - cell) > LatticeBoltzmannSolver.CUBIC_TOLERANCE * cell)) {
+            throw new Error(`Lattice Boltzmann needs cubic cells, got ${grid.step.map(s => s.toPrecision(3)).join(' × ')}. Match the node counts to the domain's aspect.`);
+        }
+        const lengthCells = (params.referenceLength || 1) / cell;
+        let tau = this.relaxationTime(params.reynolds || 100, lengthCells);
+        if (tau < this.minTau) {
+            console.warn(`⚠️ LBM relaxation time ${tau.toFixed(4)} unstable at this resolution, clamped to ${this.minTau}`);
+            tau = this.minTau;
+        }
+        const omega = 1 / tau;
+        const effectiveReynolds = this.latticeVelocity * lengthCells / ((tau - 0.5) / 3);
+
+        const kind = this.classifyNodes(grid, solid, inlet);
+        let f = new Float32Array(Q * n);
+        let fNext = new Float32Array(Q * n);
+        const feq = new Float64Array(Q);
+        this.setEquilibrium(f, kind, inlet, n, feq);
+
+        const velocity = new Float32Array(n * 3);
+        const previous = new Float32Array(n * 3);
+        let residual = 1;
+        let step = 0;
+
+        while (step < this.maxSteps) {
+            const chunkEnd = Math.min(step + this.stepsPerChunk, this.maxSteps);
+            for (; step < chunkEnd; step++) {
+                this.collideAndStream(grid, kind, f, fNext, omega);
+                this.applyBoundaries(grid, kind, fNext, inlet, feq);
+                const swap = f; f = fNext; fNext = swap;
+
+                if ((step + 1) % this.checkInterval === 0) {
+                    this.macroscopicVelocity(f, kind, n, velocity);
+                    residual = relativeChange(velocity, previous);
+                    previous.set(velocity);
+                }
+            }
+
+            if (onProgress) onProgress({ step, maxSteps: this.maxSteps, residual });
+            if (step >= this.checkInterval * 2 && residual < this.tolerance) break;
+
+            // Yield so the page can repaint and a newer request can cancel us
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (shouldCancel && shouldCancel()) return null;
+        }
+
+        this.macroscopicVelocity(f, kind, n, velocity);
+
+        const out = new Float32Array(n * 4);
+        const toPhysical = 1 / scale;
+        for (let i = 0; i < n; i++) {
+            if (kind[i] === SOLID) continue;
+            out[i * 4] = velocity[i * 3] * toPhysical;
+            out[i * 4 + 1] = velocity[i * 3 + 1] * toPhysical;
+            out[i * 4 + 2] = velocity[i * 3 + 2] * toPhysical;
+        }
+
+        this.lastStats = { steps: step, residual, tau, effectiveReynolds };
+        return out;
+    }
+
+    classifyNodes(grid, solid, inlet) {
+        const { nx, ny, nz } = grid;
+        const kind = new Uint8Array(nx * ny * nz);
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    if (solid && solid[i]) {
+                        kind[i] = SOLID;
+                        continue;
+                    }
+                    const ox = x === 0 ? -1 : x === nx - 1 ? 1 : 0;
+                    const oy = y === 0 ? -1 : y === ny - 1 ? 1 : 0;
+                    const oz = z === 0 ? -1 : z === nz - 1 ? 1 : 0;
+                    if (ox === 0 && oy === 0 && oz === 0) {
+                        kind[i] = FLUID;
+                    } else {
+                        const outward = ox * inlet[0] + oy * inlet[1] + oz * inlet[2];
+                        kind[i] = outward > 0 ? OUTFLOW : INLET;
+                    }
+                }
+            }
+        }
+        return kind;
+    }
+
+    setEquilibrium(f, kind, u, n, feq) {
+        equilibrium(1, u[0], u[1], u[2], feq);
+        for (let i = 0; i < n; i++) {
+            if (kind[i] === SOLID) continue;
+            for (let q = 0; q < Q; q++) f[i * Q + q] = feq[q];
+        }
+    }
+
+    /**
+     * BGK collision fused with push streaming; links into solids bounce back
+     */
+    collideAndStream(grid, kind, f, fNext, omega) {
+        const { nx, ny, nz } = grid;
+        const offset = CX.map((cx, q) => cx + CY[q] * nx + CZ[q] * nx * ny);
+        const post = new Float64Array(Q);
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            const zEdge = z === 0 || z === nz - 1;
+            for (let y = 0; y < ny; y++) {
+                const yEdge = zEdge || y === 0 || y === ny - 1;
+                for (let x = 0; x < nx; x++, i++) {
+                    const k = kind[i];
+                    if (k === SOLID) continue;
+
+                    if (k === FLUID) {
+                        let rho = 0, ux = 0, uy = 0, uz = 0;
+                        for (let q = 0; q < Q; q++) {
+                            const fq = f[i * Q + q];
+                            rho += fq;
+                            ux += fq * CX[q];
+                            uy += fq * CY[q];
+                            uz += fq * CZ[q];
+                        }
+                        ux /= rho; uy /= rho; uz /= rho;
+
+                        const usq = 1.5 * (ux * ux + uy * uy + uz * uz);
+                        for (let q = 0; q < Q; q++) {
+                            const cu = 3 * (CX[q] * ux + CY[q] * uy + CZ[q] * uz);
+                            const feq = W[q] * rho * (1 + cu + 0.5 * cu * cu - usq);
+                            const fq = f[i * Q + q];
+                            post[q] = fq + omega * (feq - fq);
+                        }
+                    } else {
+                        for (let q = 0; q < Q; q++) post[q] = f[i * Q + q];
+                    }
+
+                    const edge = yEdge || x === 0 || x === nx - 1;
+                    for (let q = 0; q < Q; q++) {
+                        if (edge) {
+                            const tx = x + CX[q], ty = y + CY[q], tz = z + CZ[q];
+                            if (tx < 0 || ty < 0 || tz < 0 || tx >= nx || ty >= ny || tz >= nz) continue;
+                        }
+
+                        const j = i + offset[q];
+                        if (kind[j] === SOLID) {
+                            fNext[i * Q + OPPOSITE[q]] = post[q];
+                        } else {
+                            fNext[j * Q + q] = post[q];
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    applyBoundaries(grid, kind, f, inlet, feq) {
+        const { nx, ny, nz } = grid;
+        equilibrium(1, inlet[0], inlet[1], inlet[2], feq);
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    if (kind[i] === INLET) {
+                        for (let q = 0; q < Q; q++) f[i * Q + q] = feq[q];
+                    } else if (kind[i] === OUTFLOW) {
+                        // Copy from the neighbour one cell further inside
+                        const ix = x === 0 ? 1 : x === nx - 1 ? nx - 2 : x;
+                        const iy = y === 0 ? 1 : y === ny - 1 ? ny - 2 : y;
+                        const iz = z === 0 ? 1 : z === nz - 1 ? nz - 2 : z;
+                        const j = (iz * ny + iy) * nx + ix;
+                        if (kind[j] === SOLID) continue;
+                        for (let q = 0; q < Q; q++) f[i * Q + q] = f[j * Q + q];
+                    }
+                }
+            }
+        }
+    }
+
+    macroscopicVelocity(f, kind, n, out) {
+        for (let i = 0; i < n; i++) {
+            if (kind[i] === SOLID) {
+                out[i * 3] = out[i * 3 + 1] = out[i * 3 + 2] = 0;
+                continue;
+            }
+            let rho = 0, ux = 0, uy = 0, uz = 0;
+            for (let q = 0; q < Q; q++) {
+                const fq = f[i * Q + q];
+                rho += fq;
+                ux += fq * CX[q];
+                uy += fq * CY[q];
+                uz += fq * CZ[q];
+            }
+            out[i * 3] = ux / rho;
+            out[i * 3 + 1] = uy / rho;
+            out[i * 3 + 2] = uz / rho;
+        }
+    }
+}
+
+function equilibrium(rho, ux, uy, uz, out) {
+    const usq = 1.5 * (ux * ux + uy * uy + uz * uz);
+    for (let q = 0; q < Q; q++) {
+        const cu = 3 * (CX[q] * ux + CY[q] * uy + CZ[q] * uz);
+        out[q] = W[q] * rho * (1 + cu + 0.5 * cu * cu - usq);
+    }
+}
+
+function relativeChange(current, previous) {
+    let diff = 0, norm = 0;
+    for (let i = 0; i < current.length; i++) {
+        const d = current[i] - previous[i];
+        diff += d * d;
+        norm += current[i] * current[i];
+    }
+    return norm > 0 ? Math.sqrt(diff / norm) : 0;
+}
+
+export default LatticeBoltzmannSolver;
@@ -0,0 +1,353 @@
+/**
+ * Mesh checks before voxelization. The voxelizer's scanline parity assumes a
+ * closed, consistently wound surface; holes, non-manifold edges and
+ * duplicated shells make it fill the wrong cells without any error.
+ *
+ * validate() welds coincident vertices, then counts open edges (one face),
+ * non-manifold edges (three or more faces), edges whose two faces run the same
+ * way (inconsistent winding), degenerate triangles, shells and holes.
+ * repair() makes the winding consistent and outward per shell and fills
+ * small holes.
+ */
+export class MeshValidator {
+    /**
+     * @param {Object} options - { tolerance: weld distance relative to the bounding box
+     *     diagonal, maxHoleEdges: largest hole repair() fills }
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 1e-5;
+        this.maxHoleEdges = options.maxHoleEdges ?? 32;
+    }
+
+    /**
+     * @param {Float32Array} positions - Vertices (xyz)
+     * @param {ArrayLike<number>|null} indices - Triangles; null for a triangle soup
+     * @returns {Object} Report: counts, watertight/consistent flags, problem edge
+     *     segments ({open, nonManifold, inconsistent} as xyz pairs) and the welded mesh
+     */
+    validate(positions, indices = null) {
+        const welded = this.weld(positions, indices);
+        const edges = MeshValidator.edgeMap(welded.indices);
+
+        const open = [], nonManifold = [], inconsistent = [];
+        edges.forEach((uses, key) => {
+            if (uses.length === 1) open.push(key);
+            else if (uses.length > 2) nonManifold.push(key);
+            else if (uses[0].forward === uses[1].forward) inconsistent.push(key);
+        });
+
+        const vertexCount = welded.positions.length / 3;
+        const segments = (keys) => {
+            const out = new Float32Array(keys.length * 6);
+            keys.forEach((key, i) => {
+                const a = Math.floor(key / vertexCount), b = key % vertexCount;
+                out.set(welded.positions.subarray(a * 3, a * 3 + 3), i * 6);
+                out.set(welded.positions.subarray(b * 3, b * 3 + 3), i * 6 + 3);
+            });
+            return out;
+        };
+
+        return {
+            vertices: positions.length / 3,
+            weldedVertices: vertexCount,
+            triangles: welded.indices.length / 3,
+            degenerate: welded.degenerate,
+            openEdges: open.length,
+            nonManifoldEdges: nonManifold.length,
+            inconsistentEdges: inconsistent.length,
+            shells: MeshValidator.shells(welded.indices, edges).count,
+            holes: MeshValidator.boundaryLoops(welded.indices, edges).length,
+            watertight: open.length === 0 && nonManifold.length === 0,
+            consistent: inconsistent.length === 0,
+            segments: {
+                open: segments(open),
+                nonManifold: segments(nonManifold),
+                inconsistent: segments(inconsistent)
+            },
+            mesh: welded
+        };
+    }
+
+    /**
+     * Make the winding consistent and outward in every shell, and fill holes of
+     * up to maxHoleEdges edges with a fan around their centroid
+     * @param {{positions: Float32Array, indices: Uint32Array}} mesh - Welded mesh (report.mesh)
+     * @param {Object} options - { fixOrientation, fillHoles }
+     * @returns {{positions: Float32Array, indices: Uint32Array, flipped: number, filled: number}}
+     */
+    repair(mesh, options = {}) {
+        let positions = mesh.positions;
+        let indices = mesh.indices.slice();
+        let filled = 0;
+
+        if (options.fixOrientation) this.unifyWinding(indices);
+
+        if (options.fillHoles) {
+            const loops = MeshValidator.boundaryLoops(indices, MeshValidator.edgeMap(indices))
+                .filter(loop => loop.length <= this.maxHoleEdges);
+            if (loops.length) {
+                const extraVertices = loops.length;
+                const extraTriangles = loops.reduce((sum, loop) => sum + loop.length, 0);
+                const grownPositions = new Float32Array(positions.length + extraVertices * 3);
+                grownPositions.set(positions);
+                const grownIndices = new Uint32Array(indices.length + extraTriangles * 3);
+                grownIndices.set(indices);
+
+                let v = positions.length / 3;
+                let t = indices.length;
+                loops.forEach(loop => {
+                    const centroid = [0, 0, 0];
+                    loop.forEach(a => {
+                        for (let k = 0; k < 3; k++) centroid[k] += positions[a * 3 + k] / loop.length;
+                    });
+                    grownPositions.set(centroid, v * 3);
+                    // Boundary edge a→b belongs to a face running a→b, so the patch runs b→a
+                    loop.forEach((a, i) => {
+                        const b = loop[(i + 1) % loop.length];
+                        grownIndices[t++] = b;
+                        grownIndices[t++] = a;
+                        grownIndices[t++] = v;
+                    });
+                    v++;
+                });
+                positions = grownPositions;
+                indices = grownIndices;
+                filled = loops.length;
+            }
+        }
+
+        // Closed shells with negative volume are inside out. An open shell has
+        // no meaningful volume, so its orientation is left as unified.
+        if (options.fixOrientation) {
+            const edges = MeshValidator.edgeMap(indices);
+            const { shellOf, count } = MeshValidator.shells(indices, edges);
+            const open = new Uint8Array(count);
+            edges.forEach(uses => {
+                if (uses.length === 1) open[shellOf[uses[0].triangle]] = 1;
+            });
+            const volume = new Float64Array(count);
+            for (let t = 0; t < indices.length / 3; t++) {
+                volume[shellOf[t]] += signedVolume(positions, indices, t);
+            }
+            for (let t = 0; t < indices.length / 3; t++) {
+                if (!open[shellOf[t]] && volume[shellOf[t]] < 0) flipTriangle(indices, t);
+            }
+        }
+
+        // Net faces whose winding changed (a face may be flipped twice above);
+        // flipTriangle swaps the last two corners, and hole patches are new
+        let flipped = 0;
+        for (let i = 1; i < mesh.indices.length; i += 3) {
+            if (indices[i] !== mesh.indices[i]) flipped++;
+        }
+
+        return { positions, indices, flipped, filled };
+    }
+
+    /**
+     * Merge vertices closer than the tolerance and drop triangles that collapse
+     * @returns {{positions: Float32Array, indices: Uint32Array, degenerate: number}}
+     */
+    weld(positions, indices = null) {
+        const count = positions.length / 3;
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], positions[i * 3 + k]);
+                max[k] = Math.max(max[k], positions[i * 3 + k]);
+            }
+        }
+        const eps = Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) * this.tolerance, 1e-12);
+
+        // Hash on an eps grid, checking neighbouring cells so nearby points on either side of a cell face still merge
+        const cells = new Map();
+        const remap = new Uint32Array(count);
+        const unique = [];
+        for (let i = 0; i < count; i++) {
+            const p = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+            const c = p.map(v => Math.floor(v / eps));
+            let match = -1;
+            search:
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const bucket = cells.get(`${c[0] + dx},${c[1] + dy},${c[2] + dz}`);
+                        if (!bucket) continue;
+                        for (const j of bucket) {
+                            if (Math.hypot(unique[j * 3] - p[0], unique[j * 3 + 1] - p[1], unique[j * 3 + 2] - p[2]) <= eps) {
+                                match = j;
+                                break search;
+                            }
+                        }
+                    }
+                }
+            }
+            if (match < 0) {
+                match = unique.length / 3;
+                unique.push(p[0], p[1], p[2]);
+                const key = `${c[0]},${c[1]},${c[2]}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(match);
+            }
+            remap[i] = match;
+        }
+
+        const triangleCount = indices ? indices.length / 3 : count / 3;
+        const out = [];
+        let degenerate = 0;
+        for (let t = 0; t < triangleCount; t++) {
+            const a = remap[indices ? indices[t * 3] : t * 3];
+            const b = remap[indices ? indices[t * 3 + 1] : t * 3 + 1];
+            const c = remap[indices ? indices[t * 3 + 2] : t * 3 + 2];
+            if (a === b || b === c || c === a) {
+                degenerate++;
+                continue;
+            }
+            out.push(a, b, c);
+        }
+        return { positions: new Float32Array(unique), indices: new Uint32Array(out), degenerate };
+    }
+
+    /**
+     * Flip triangles so neighbours across manifold edges run opposite ways
+     * (breadth-first from one triangle per shell)
+     * @returns {number} Triangles flipped
+     */
+    unifyWinding(indices) {
+        const triangleCount = indices.length / 3;
+        const edges = MeshValidator.edgeMap(indices);
+        const vertexCount = maxIndex(indices) + 1;
+        const visited = new Uint8Array(triangleCount);
+        let flipped = 0;
+
+        for (let seed = 0; seed < triangleCount; seed++) {
+            if (visited[seed]) continue;
+            visited[seed] = 1;
+            const queue = [seed];
+            while (queue.length) {
+                const t = queue.shift();
+                for (let e = 0; e < 3; e++) {
+                    const a = indices[t * 3 + e], b = indices[t * 3 + (e + 1) % 3];
+                    const uses = edges.get(Math.min(a, b) * vertexCount + Math.max(a, b));
+                    if (uses.length !== 2) continue;
+                    const other = uses[0].triangle === t ? uses[1].triangle : uses[0].triangle;
+                    if (visited[other]) continue;
+                    visited[other] = 1;
+                    // The neighbour must cross the shared edge b→a
+                    if (runsForward(indices, other, a, b)) {
+                        flipTriangle(indices, other);
+                        flipped++;
+                    }
+                    queue.push(other);
+                }
+            }
+        }
+        return flipped;
+    }
+
+    /**
+     * Undirected edges keyed min * vertexCount + max, with the triangles using
+     * them and whether each runs from min to max
+     * @returns {Map<number, Array<{triangle: number, forward: boolean}>>}
+     */
+    static edgeMap(indices) {
+        const vertexCount = maxIndex(indices) + 1;
+        const edges = new Map();
+        for (let t = 0; t < indices.length / 3; t++) {
+            for (let e = 0; e < 3; e++) {
+                const a = indices[t * 3 + e], b = indices[t * 3 + (e + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                if (!edges.has(key)) edges.set(key, []);
+                edges.get(key).push({ triangle: t, forward: a < b });
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Connected groups of triangles (sharing any edge)
+     * @returns {{shellOf: Uint32Array, count: number}}
+     */
+    static shells(indices, edges) {
+        const triangleCount = indices.length / 3;
+        const parent = Uint32Array.from({ length: triangleCount }, (_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+        edges.forEach(uses => {
+            for (let i = 1; i < uses.length; i++) parent[find(uses[i].triangle)] = find(uses[0].triangle);
+        });
+
+        const shellOf = new Uint32Array(triangleCount);
+        const ids = new Map();
+        for (let t = 0; t < triangleCount; t++) {
+            const root = find(t);
+            if (!ids.has(root)) ids.set(root, ids.size);
+            shellOf[t] = ids.get(root);
+        }
+        return { shellOf, count: ids.size };
+    }
+
+    /**
+     * Closed loops of open edges, each as vertex indices in the direction of
+     * the faces they belong to
+     * @returns {number[][]}
+     */
+    static boundaryLoops(indices, edges) {
+        const vertexCount = maxIndex(indices) + 1;
+        const next = new Map(); // a → b for each open edge a→b
+        edges.forEach((uses, key) => {
+            if (uses.length !== 1) return;
+            const lo = Math.floor(key / vertexCount), hi = key % vertexCount;
+            if (uses[0].forward) next.set(lo, hi);
+            else next.set(hi, lo);
+        });
+
+        const loops = [];
+        const used = new Set();
+        next.forEach((_, start) => {
+            if (used.has(start)) return;
+            const loop = [];
+            let v = start;
+            while (v !== undefined && !used.has(v)) {
+                used.add(v);
+                loop.push(v);
+                v = next.get(v);
+            }
+            // Only loops that close on their start; pinched boundaries are left alone
+            if (v === start && loop.length >= 3) loops.push(loop);
+        });
+        return loops;
+    }
+}
+
+function maxIndex(indices) {
+    let max = -1;
+    for (let i = 0; i < indices.length; i++) if (indices[i] > max) max = indices[i];
+    return max;
+}
+
+function runsForward(indices, t, a, b) {
+    for (let e = 0; e < 3; e++) {
+        if (indices[t * 3 + e] === a && indices[t * 3 + (e + 1) % 3] === b) return true;
+    }
+    return false;
+}
+
+function flipTriangle(indices, t) {
+    const swap = indices[t * 3 + 1];
+    indices[t * 3 + 1] = indices[t * 3 + 2];
+    indices[t * 3 + 2] = swap;
+}
+
+function signedVolume(positions, indices, t) {
+    const p = (c, k) => positions[indices[t * 3 + c] * 3 + k];
+    return (
+        p(0, 0) * (p(1, 1) * p(2, 2) - p(1, 2) * p(2, 1)) -
+        p(0, 1) * (p(1, 0) * p(2, 2) - p(1, 2) * p(2, 0)) +
+        p(0, 2) * (p(1, 0) * p(2, 1) - p(1, 1) * p(2, 0))
+    ) / 6;
+}
+
+export default MeshValidator;
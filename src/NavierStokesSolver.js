@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+import {
+    fluidVertexShader,
+    fluidInitShader,
+    fluidAdvectShader,
+    fluidDiffuseShader,
+    fluidDivergenceShader,
+    fluidPressureShader,
+    fluidProjectShader
+} from './shaders.js';
+
+/**
+ * Incompressible Navier-Stokes on the GPU (Stam's stable fluids).
+ *
+ * Each step advects, diffuses and projects the velocity stored in a 3D render
+ * target with the same layout as VelocityField's Data3DTexture, so the
+ * particle shaders can sample it directly. Solid voxels are no-slip walls,
+ * inflow/far-field faces hold the freestream and outflow faces are open.
+ */
+export class NavierStokesSolver {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        this.grid = null;
+        this.freestream = new THREE.Vector3(1, 0, 0);
+        this.referenceLength = 1.0;
+        this.reynolds = 200;
+        this.viscosity = this.freestream.length() * this.referenceLength / this.reynolds;
+
+        this.pressureIterations = 24;
+        this.diffusionIterations = 4;
+        this.cfl = 1.0;            // Max cells travelled per substep
+        this.maxFrameTime = 1 / 20; // Longer frames are clamped
+        this.maxSubsteps = 4;
+
+        this.velocityTargets = null;
+        this.pressureTargets = null;
+        this.divergenceTarget = null;
+        this.solidTexture = null;
+        this.simulationTime = 0;
+
+        // Full-screen quad used for every pass
+        this.quadScene = new THREE.Scene();
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.quadScene.add(this.quad);
+
+        this.materials = null;
+    }
+
+    get texture() {
+        return this.velocityTargets ? this.velocityTargets[0].texture : null;
+    }
+
+    /**
+     * Allocate targets for a grid and seed the velocity field
+     * @param {{nx:number, ny:number, nz:number, step:number[]}} grid
+     * @param {Uint8Array|null} solid - Voxelized obstacle
+     * @param {Object} params - { freestream, reynolds, referenceLength, initialData,
+     *     random: generator for the perturbation (Math.random if left out) }
+     */
+    init(grid, solid, params = {}) {
+        this.dispose();
+
+        this.grid = grid;
+        const { nx, ny, nz } = grid;
+        if (params.freestream) this.freestream.fromArray(params.freestream);
+        if (params.referenceLength) this.referenceLength = params.referenceLength;
+        this.setReynolds(params.reynolds ?? this.reynolds);
+
+        this.velocityTargets = [this.createTarget(true), this.createTarget(true)];
+        this.pressureTargets = [this.createTarget(false), this.createTarget(false)];
+        this.divergenceTarget = this.createTarget(false);
+
+        // Solid mask as an 8-bit 3D texture
+        const mask = new Uint8Array(nx * ny * nz);
+        if (solid) mask.set(solid);
+        for (let i = 0; i < mask.length; i++) mask[i] = mask[i] ? 255 : 0;
+        this.solidTexture = new THREE.Data3DTexture(mask, nx, ny, nz);
+        this.solidTexture.format = THREE.RedFormat;
+        this.solidTexture.type = THREE.UnsignedByteType;
+        this.solidTexture.minFilter = THREE.NearestFilter;
+        this.solidTexture.magFilter = THREE.NearestFilter;
+        this.solidTexture.unpackAlignment = 1;
+        this.solidTexture.needsUpdate = true;
+
+        this.createMaterials();
+
+        // Seed with the freestream (or a supplied field) plus a small
+        // asymmetric perturbation so the wake is free to break symmetry
+        const seed = new Float32Array(nx * ny * nz * 4);
+        const u = this.freestream;
+        const random = params.random || Math.random;
+        for (let i = 0; i < nx * ny * nz; i++) {
+            const s = i * 4;
+            if (params.initialData) seed[s + 3] = params.initialData[s + 3];
+            if (solid && solid[i]) continue;
+            const noise = 0.02 * u.length();
+            seed[s] = (params.initialData ? params.initialData[s] : u.x) + noise * (random() - 0.5);
+            seed[s + 1] = (params.initialData ? params.initialData[s + 1] : u.y) + noise * (random() - 0.5);
+            seed[s + 2] = (params.initialData ? params.initialData[s + 2] : u.z);
+        }
+
+        const seedTexture = new THREE.Data3DTexture(seed, nx, ny, nz);
+        seedTexture.format = THREE.RGBAFormat;
+        seedTexture.type = THREE.FloatType;
+        seedTexture.minFilter = THREE.NearestFilter;
+        seedTexture.magFilter = THREE.NearestFilter;
+        seedTexture.unpackAlignment = 1;
+        seedTexture.needsUpdate = true;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        this.materials.init.uniforms.source.value = seedTexture;
+        this.runPass(this.materials.init, this.velocityTargets[0]);
+        this.renderer.setRenderTarget(previousTarget);
+        seedTexture.dispose();
+
+        this.simulationTime = 0;
+        console.log("🌊 Navier-Stokes solver initialised", {
+            grid: [nx, ny, nz],
+            reynolds: this.reynolds,
+            viscosity: this.viscosity
+        });
+    }
+
+    createTarget(linear) {
+        const { nx, ny, nz } = this.grid;
+        const target = new THREE.WebGL3DRenderTarget(nx, ny, nz, { depthBuffer: false });
+        target.texture.format = THREE.RGBAFormat;
+        target.texture.type = THREE.FloatType;
+        target.texture.minFilter = linear ? THREE.LinearFilter : THREE.NearestFilter;
+        target.texture.magFilter = linear ? THREE.LinearFilter : THREE.NearestFilter;
+        target.texture.generateMipmaps = false;
+        return target;
+    }
+
+    createMaterials() {
+        const { nx, ny, nz, step } = this.grid;
+        const common = () => ({
+            gridSize: { value: new THREE.Vector3(nx, ny, nz) },
+            cellSize: { value: new THREE.Vector3().fromArray(step) },
+            layer: { value: 0 },
+            solidMask: { value: this.solidTexture },
+            freestream: { value: this.freestream }
+        });
+
+        const make = (fragmentShader, extra) => new THREE.ShaderMaterial({
+            uniforms: Object.assign(common(), extra),
+            vertexShader: fluidVertexShader,
+            fragmentShader: fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.materials = {
+            init: make(fluidInitShader, { source: { value: null } }),
+            advect: make(fluidAdvectShader, { velocity: { value: null }, dt: { value: 0 } }),
+            diffuse: make(fluidDiffuseShader, {
+                velocity: { value: null },
+                velocitySource: { value: null },
+                viscosityDt: { value: 0 }
+            }),
+            divergence: make(fluidDivergenceShader, { velocity: { value: null } }),
+            pressure: make(fluidPressureShader, { pressure: { value: null }, divergence: { value: null } }),
+            project: make(fluidProjectShader, { velocity: { value: null }, pressure: { value: null } })
+        };
+    }
+
+    /**
+     * Set viscosity from a Reynolds number based on freestream speed and body length
+     */
+    setReynolds(reynolds) {
+        this.reynolds = Math.max(1, reynolds);
+        this.viscosity = this.freestream.length() * this.referenceLength / this.reynolds;
+    }
+
+    setViscosity(viscosity) {
+        this.viscosity = Math.max(0, viscosity);
+        this.reynolds = this.freestream.length() * this.referenceLength / Math.max(this.viscosity, 1e-9);
+    }
+
+    /**
+     * Advance the flow by one frame, substepping to respect the CFL limit
+     */
+    step(deltaTime) {
+        if (!this.velocityTargets) return;
+
+        const frameTime = Math.min(Math.max(deltaTime, 0), this.maxFrameTime);
+        if (frameTime === 0) return;
+
+        const minCell = Math.min(...this.grid.step);
+        const maxDt = this.cfl * minCell / Math.max(this.freestream.length() * 1.5, 1e-6);
+        const substeps = Math.min(this.maxSubsteps, Math.ceil(frameTime / maxDt));
+        const dt = frameTime / substeps;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        for (let i = 0; i < substeps; i++) {
+            this.substep(dt);
+        }
+        this.renderer.setRenderTarget(previousTarget);
+    }
+
+    substep(dt) {
+        const m = this.materials;
+
+        // Advection
+        m.advect.uniforms.velocity.value = this.velocityTargets[0].texture;
+        m.advect.uniforms.dt.value = dt;
+        this.runPass(m.advect, this.velocityTargets[1]);
+        this.swapVelocity();
+
+        // Implicit viscous diffusion (Jacobi)
+        if (this.viscosity > 0 && this.diffusionIterations > 0) {
+            const source = this.velocityTargets[0];
+            // Third buffer avoids overwriting the right-hand side while iterating
+            const scratch = this.getScratchTarget();
+            m.diffuse.uniforms.velocitySource.value = source.texture;
+            m.diffuse.uniforms.viscosityDt.value = this.viscosity * dt;
+
+            let read = source;
+            let write = this.velocityTargets[1];
+            for (let k = 0; k < this.diffusionIterations; k++) {
+                m.diffuse.uniforms.velocity.value = read.texture;
+                this.runPass(m.diffuse, write);
+                read = write;
+                write = write === this.velocityTargets[1] ? scratch : this.velocityTargets[1];
+            }
+
+            // Make the last iterate the current velocity
+            if (read === scratch) {
+                this.scratchTarget = this.velocityTargets[0];
+                this.velocityTargets[0] = read;
+            } else {
+                this.swapVelocity();
+            }
+        }
+
+        // Pressure projection
+        m.divergence.uniforms.velocity.value = this.velocityTargets[0].texture;
+        this.runPass(m.divergence, this.divergenceTarget);
+
+        m.pressure.uniforms.divergence.value = this.divergenceTarget.texture;
+        for (let k = 0; k < this.pressureIterations; k++) {
+            m.pressure.uniforms.pressure.value = this.pressureTargets[0].texture;
+            this.runPass(m.pressure, this.pressureTargets[1]);
+            this.pressureTargets.reverse();
+        }
+
+        m.project.uniforms.velocity.value = this.velocityTargets[0].texture;
+        m.project.uniforms.pressure.value = this.pressureTargets[0].texture;
+        this.runPass(m.project, this.velocityTargets[1]);
+        this.swapVelocity();
+
+        this.simulationTime += dt;
+    }
+
+    getScratchTarget() {
+        if (!this.scratchTarget) this.scratchTarget = this.createTarget(true);
+        return this.scratchTarget;
+    }
+
+    swapVelocity() {
+        this.velocityTargets.reverse();
+    }
+
+    /**
+     * Copy the current velocity back to the CPU, one z-layer at a time
+     * @returns {Float32Array} RGBA in VelocityField's layout
+     */
+    readVelocity() {
+        const { nx, ny, nz } = this.grid;
+        const out = new Float32Array(nx * ny * nz * 4);
+        const target = this.velocityTargets[0];
+        const layerSize = nx * ny * 4;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        for (let z = 0; z < nz; z++) {
+            // Selecting the layer attaches it to the target's framebuffer for the read
+            this.renderer.setRenderTarget(target, z);
+            this.renderer.readRenderTargetPixels(target, 0, 0, nx, ny, out.subarray(z * layerSize, (z + 1) * layerSize));
+        }
+        this.renderer.setRenderTarget(previousTarget);
+        return out;
+    }
+
+    /**
+     * Draw a pass into every z-layer of a 3D target
+     */
+    runPass(material, target) {
+        this.quad.material = material;
+        const layer = material.uniforms.layer;
+        for (let z = 0; z < this.grid.nz; z++) {
+            layer.value = z;
+            this.renderer.setRenderTarget(target, z);
+            this.renderer.render(this.quadScene, this.quadCamera);
+        }
+    }
+
+    dispose() {
+        const targets = [
+            ...(this.velocityTargets || []),
+            ...(this.pressureTargets || []),
+            this.divergenceTarget,
+            this.scratchTarget
+        ];
+        targets.forEach(target => target && target.dispose());
+        if (this.solidTexture) this.solidTexture.dispose();
+        if (this.materials) Object.values(this.materials).forEach(material => material.dispose());
+
+        this.velocityTargets = null;
+        this.pressureTargets = null;
+        this.divergenceTarget = null;
+        this.scratchTarget = null;
+        this.solidTexture = null;
+        this.materials = null;
+    }
+}
+
+export default NavierStokesSolver;
@@ -1,21 +1,42 @@
 import * as THREE from 'three';
 import { OBJLoader as ThreeOBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { MeshValidator } from './MeshValidator.js';
+import { ShapeLibrary } from './ShapeLibrary.js';
 
 /**
  * Enhanced OBJLoader with Full Debugging & Error Handling
- * Drop-in replacement for your current OBJLoader with console logging
+ * Drop-in replacement for your current OBJLoader with console logging.
+ * Also reads STL (ASCII and binary), PLY and glTF/GLB; every format goes
+ * through the same normalization and part setup.
  */
 export class OBJLoader {
+    static FORMATS = ['obj', 'stl', 'ply', 'gltf', 'glb'];
+    static EXTENSIONS = OBJLoader.FORMATS.map(format => `.${format}`);
+    // Highlight colours of the problem edges
+    static PROBLEM_COLORS = { open: 0xff3b30, nonManifold: 0xff00ff, inconsistent: 0xffa500 };
+
     constructor(scene) {
         this.scene = scene;
         this.loader = new ThreeOBJLoader();
-        this.currentMesh = null;
+        this.stlLoader = new STLLoader();
+        this.plyLoader = new PLYLoader();
+        this.gltfLoader = new GLTFLoader();
+        this.currentMesh = null;  // Group holding every part of the body
+        this.parts = [];          // { id, name, mesh, validation }, obstacle flag in mesh.userData.obstacle
+        this.nextPartId = 1;
+        this.validator = new MeshValidator();
+        this.repairOptions = { fillHoles: false, fixOrientation: false };  // Applied while loading
+        this.highlightProblems = true;
+        this.source = null;     // Where the body came from: { kind: 'file', name, buffer } | { kind: 'shape', type, params } | { kind: 'sphere' }
         this.debug = true;      // Enable logging
         this.loadId = 0;        // Track load operations
     }
 
     /**
-     * Load OBJ from file with comprehensive error reporting
+     * Load a geometry file (OBJ, STL, PLY, glTF/GLB) with comprehensive error reporting
      */
     loadFromFile(file) {
         const loadId = ++this.loadId;
@@ -26,25 +47,9 @@ export class OBJLoader {
             const reader = new FileReader();
 
             reader.onload = (e) => {
-                const text = e.target.result;
-                this.log(`[Load #${loadId}] 📖 File read successfully, length: ${text.length}`, 'info');
-
-                try {
-                    // Parse OBJ text directly with THREE.OBJLoader's parse method
-                    const object = this.loader.parse(text);
-                    this.log(`[Load #${loadId}] ✅ Parse successful`, 'success');
-
-                    // Process the parsed object
-                    this.processObject(object, loadId);
-                    this.log(`[Load #${loadId}] ✅ Mesh set to scene`, 'success');
-
-                    // Return the mesh
-                    resolve(this.currentMesh);
-
-                } catch (err) {
-                    this.log(`[Load #${loadId}] ❌ Parse error: ${err.message}`, 'error', err);
-                    reject(err);
-                }
+                const buffer = e.target.result;
+                this.log(`[Load #${loadId}] 📖 File read successfully, length: ${buffer.byteLength}`, 'info');
+                this.loadFromBuffer(buffer, file.name, loadId).then(resolve, reject);
             };
 
             reader.onerror = (err) => {
@@ -60,63 +65,142 @@ export class OBJLoader {
             };
 
             this.log(`[Load #${loadId}] Starting to read file...`, 'info');
-            reader.readAsText(file);
+            reader.readAsArrayBuffer(file);
         });
     }
 
+    /**
+     * Load a geometry file's contents (e.g. embedded in a saved session)
+     * @param {ArrayBuffer} buffer
+     * @param {string} fileName - Names the part and helps format detection
+     * @returns {Promise<THREE.Group>} The new body
+     */
+    async loadFromBuffer(buffer, fileName, loadId = ++this.loadId) {
+        try {
+            const format = this.detectFormat(buffer, fileName);
+            this.log(`[Load #${loadId}] Detected format: ${format.toUpperCase()}`, 'info');
+
+            const object = await this.parse(buffer, format, fileName);
+            this.log(`[Load #${loadId}] ✅ Parse successful`, 'success');
+
+            // Process the parsed object
+            this.processObject(object, loadId);
+            this.source = { kind: 'file', name: fileName, buffer };
+            this.log(`[Load #${loadId}] ✅ Mesh set to scene`, 'success');
+
+            // Return the mesh
+            return this.currentMesh;
+
+        } catch (err) {
+            this.log(`[Load #${loadId}] ❌ Parse error: ${err.message}`, 'error', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Pick the parser from the file's magic bytes, falling back to its extension
+     * @returns {string} One of OBJLoader.FORMATS
+     */
+    detectFormat(buffer, fileName = '') {
+        const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 80)));
+        if (head.startsWith('glTF')) return 'glb';
+        if (/^ply\r?\n/.test(head)) return 'ply';
+
+        // Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+        if (buffer.byteLength >= 84) {
+            const triangles = new DataView(buffer).getUint32(80, true);
+            if (84 + triangles * 50 === buffer.byteLength) return 'stl';
+        }
+        if (/^\s*solid\b/.test(head)) return 'stl';
+        if (/^\s*\{/.test(head)) return 'gltf';
+
+        const extension = fileName.split('.').pop().toLowerCase();
+        return OBJLoader.FORMATS.includes(extension) ? extension : 'obj';
+    }
+
+    /**
+     * Parse a file into an Object3D holding its meshes
+     * @returns {Promise<THREE.Object3D>}
+     */
+    async parse(buffer, format, fileName = '') {
+        // Single-geometry formats: the part takes the file's name
+        const single = (geometry) => {
+            const mesh = new THREE.Mesh(geometry);
+            mesh.name = fileName.replace(/\.[^.]+$/, '');
+            return mesh;
+        };
+
+        switch (format) {
+            case 'stl':
+                return single(this.stlLoader.parse(buffer));
+            case 'ply':
+                return single(this.plyLoader.parse(buffer));
+            case 'gltf':
+            case 'glb':
+                // Only self-contained files: external buffers and textures cannot be fetched
+                return new Promise((resolve, reject) => {
+                    this.gltfLoader.parse(buffer, '', gltf => resolve(gltf.scene), reject);
+                });
+            default:
+                // Parse OBJ text directly with THREE.OBJLoader's parse method
+                return this.loader.parse(new TextDecoder().decode(buffer));
+        }
+    }
+
     /**
      * Process loaded object with validation
      */
     processObject(object, loadId = 'unknown') {
         this.log(`[Load #${loadId}] Traversing object hierarchy...`, 'info');
 
-        let geometry = null;
-        let meshCount = 0;
+        const parts = [];
         let childCount = 0;
 
+        // Every mesh is a part, baked into the file's frame so the assembly stays together
+        object.updateMatrixWorld(true);
         object.traverse((child) => {
             childCount++;
-            if (child.isMesh) {
-                meshCount++;
-                if (!geometry) {
-                    this.log(`[Load #${loadId}] Found mesh: ${child.name || 'unnamed'}`, 'info');
-                    geometry = child.geometry.clone();
-                } else {
-                    this.log(`[Load #${loadId}] ⚠️ Multiple meshes found, using first one`, 'warn');
-                }
-            }
+            if (!child.isMesh || !child.geometry.attributes.position) return;
+            const name = child.name || `Part ${parts.length + 1}`;
+            this.log(`[Load #${loadId}] Found mesh: ${name}`, 'info');
+            const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+            // A mirroring transform (common in glTF) turns the faces inside out
+            if (child.matrixWorld.determinant() < 0) flipWinding(geometry);
+            parts.push({ name, geometry });
         });
 
-        this.log(`[Load #${loadId}] Object hierarchy: ${childCount} children, ${meshCount} meshes`, 'info');
+        this.log(`[Load #${loadId}] Object hierarchy: ${childCount} children, ${parts.length} meshes`, 'info');
 
-        if (!geometry) {
-            const error = new Error('No mesh found in OBJ file');
+        if (!parts.length) {
+            const error = new Error('No mesh found in file');
             this.log(`[Load #${loadId}] ❌ ${error.message}`, 'error');
             throw error;
         }
 
-        this.getGeometryStats(geometry, loadId, 'before normalization');
-        this.normalizeGeometry(geometry, loadId);
-        this.getGeometryStats(geometry, loadId, 'after normalization');
+        const geometries = parts.map(part => part.geometry);
+        geometries.forEach(geometry => this.getGeometryStats(geometry, loadId, 'before normalization'));
+        this.normalizeGeometries(geometries, loadId);
+        geometries.forEach(geometry => this.getGeometryStats(geometry, loadId, 'after normalization'));
+        parts.forEach(part => { part.validation = this.validateGeometry(part, loadId); });
 
-        const material = this.createMaterial();
-        const mesh = new THREE.Mesh(geometry, material);
-
-        this.log(`[Load #${loadId}] ✅ Mesh created with material`, 'success');
-        this.setMesh(mesh, loadId);
+        this.setParts(parts, loadId);
     }
 
     /**
-     * Normalize geometry: center, scale to unit cube, compute normals
+     * Normalize geometries together: center the assembly, scale it to the
+     * unit cube, compute normals. Relative placement is kept.
      */
-    normalizeGeometry(geometry, loadId = 'unknown') {
+    normalizeGeometries(geometries, loadId = 'unknown') {
         this.log(`[Load #${loadId}] Normalizing geometry...`, 'info');
 
         try {
-            geometry.computeBoundingBox();
-            const bbox = geometry.boundingBox;
-            
-            if (!bbox) {
+            const bbox = new THREE.Box3();
+            geometries.forEach(geometry => {
+                geometry.computeBoundingBox();
+                bbox.union(geometry.boundingBox);
+            });
+
+            if (bbox.isEmpty()) {
                 throw new Error('Could not compute bounding box');
             }
 
@@ -124,13 +208,11 @@ export class OBJLoader {
             bbox.getCenter(center);
             this.log(`[Load #${loadId}] Bounding box center: (${center.x.toFixed(3)}, ${center.y.toFixed(3)}, ${center.z.toFixed(3)})`, 'info');
 
-            geometry.translate(-center.x, -center.y, -center.z);
+            geometries.forEach(geometry => geometry.translate(-center.x, -center.y, -center.z));
             this.log(`[Load #${loadId}] ✅ Translated to origin`, 'info');
 
-            geometry.computeBoundingBox();
-            const bbox2 = geometry.boundingBox;
             const size = new THREE.Vector3();
-            bbox2.getSize(size);
+            bbox.getSize(size);
 
             this.log(`[Load #${loadId}] Size before scaling: (${size.x.toFixed(3)}, ${size.y.toFixed(3)}, ${size.z.toFixed(3)})`, 'info');
 
@@ -141,10 +223,10 @@ export class OBJLoader {
                 throw new Error('Invalid scale factor computed');
             }
 
-            geometry.scale(scale, scale, scale);
+            geometries.forEach(geometry => geometry.scale(scale, scale, scale));
             this.log(`[Load #${loadId}] ✅ Scaled to unit cube (scale factor: ${scale.toFixed(6)})`, 'info');
 
-            geometry.computeVertexNormals();
+            geometries.forEach(geometry => geometry.computeVertexNormals());
             this.log(`[Load #${loadId}] ✅ Vertex normals computed`, 'info');
 
         } catch (err) {
@@ -171,31 +253,173 @@ export class OBJLoader {
     }
 
     /**
-     * Set mesh in scene with proper cleanup
+     * Check a part for what breaks the voxelizer's parity test: open and
+     * non-manifold edges, inconsistent winding. Repairs it first if the options
+     * ask for it, replacing part.geometry with the welded, repaired mesh.
+     * @param {{name: string, geometry: THREE.BufferGeometry}} part
+     * @param {Object} options - { fillHoles, fixOrientation }
+     * @returns {Object} MeshValidator report, without the welded mesh
+     */
+    validateGeometry(part, loadId = 'unknown', options = this.repairOptions) {
+        const { geometry } = part;
+        let report = this.validator.validate(positionArray(geometry), geometry.index ? geometry.index.array : null);
+
+        if (options.fixOrientation || (options.fillHoles && report.holes > 0)) {
+            const repaired = this.validator.repair(report.mesh, options);
+            geometry.dispose();
+            part.geometry = new THREE.BufferGeometry();
+            part.geometry.setAttribute('position', new THREE.BufferAttribute(repaired.positions, 3));
+            part.geometry.setIndex(new THREE.BufferAttribute(repaired.indices, 1));
+            part.geometry.computeVertexNormals();
+            this.log(`[Load #${loadId}] 🔧 ${part.name}: filled ${repaired.filled} hole(s), flipped ${repaired.flipped} triangle(s)`, 'info');
+            report = this.validator.validate(repaired.positions, repaired.indices);
+        }
+
+        const { mesh, ...summary } = report;
+        if (summary.watertight && summary.consistent) {
+            this.log(`[Load #${loadId}] ✅ ${part.name}: watertight (${summary.shells} shell(s))`, 'success');
+        } else {
+            this.log(`[Load #${loadId}] ⚠️ ${part.name}: ${summary.openEdges} open, ${summary.nonManifoldEdges} non-manifold, ${summary.inconsistentEdges} inconsistent edge(s), ${summary.holes} hole(s)`, 'warn', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Re-run validation with repairs on every loaded part
+     * @param {Object} options - { fillHoles, fixOrientation }
      */
-    setMesh(mesh, loadId = 'unknown') {
+    repairParts(options) {
+        this.parts.forEach(part => {
+            const target = { name: part.name, geometry: part.mesh.geometry };
+            part.validation = this.validateGeometry(target, 'repair', options);
+            part.mesh.geometry = target.geometry;
+
+            const wireframe = part.mesh.getObjectByName('wireframe');
+            wireframe.geometry.dispose();
+            wireframe.geometry = new THREE.WireframeGeometry(target.geometry);
+            this.updateProblemEdges(part);
+        });
+    }
+
+    /**
+     * (Re)build a part's problem edge overlay from its validation report
+     */
+    updateProblemEdges(part) {
+        const previous = part.mesh.getObjectByName('problems');
+        if (previous) {
+            part.mesh.remove(previous);
+            previous.geometry.dispose();
+            previous.material.dispose();
+        }
+        if (!part.validation) return;
+
+        const positions = [];
+        const colors = [];
+        Object.entries(OBJLoader.PROBLEM_COLORS).forEach(([kind, hex]) => {
+            const segments = part.validation.segments[kind];
+            const color = new THREE.Color(hex);
+            for (let i = 0; i < segments.length; i += 3) {
+                positions.push(segments[i], segments[i + 1], segments[i + 2]);
+                colors.push(color.r, color.g, color.b);
+            }
+        });
+        if (!positions.length) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        // Drawn over the surface so edges on the far side still show
+        const problems = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+        problems.name = 'problems';
+        problems.renderOrder = 10;
+        problems.visible = this.highlightProblems;
+        part.mesh.add(problems);
+    }
+
+    /**
+     * Show or hide the problem edges of every part
+     */
+    setProblemHighlight(visible) {
+        this.highlightProblems = visible;
+        this.parts.forEach(part => {
+            const problems = part.mesh.getObjectByName('problems');
+            if (problems) problems.visible = visible;
+        });
+    }
+
+    /**
+     * Replace the body with a set of parts, with proper cleanup
+     * @param {Array<{name: string, geometry: THREE.BufferGeometry, validation?: Object}>} parts
+     * @returns {THREE.Group} The new body
+     */
+    setParts(parts, loadId = 'unknown') {
         this.log(`[Load #${loadId}] Setting mesh in scene...`, 'info');
 
         if (this.currentMesh) {
             this.log(`[Load #${loadId}] Removing previous mesh`, 'info');
             this.scene.remove(this.currentMesh);
-            if (this.currentMesh.geometry) this.currentMesh.geometry.dispose();
-            if (this.currentMesh.material) this.currentMesh.material.dispose();
+            this.currentMesh.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
         }
 
-        this.currentMesh = mesh;
-        this.scene.add(this.currentMesh);
-        this.log(`[Load #${loadId}] ✅ Mesh added to scene`, 'success');
-
-        const wireframeGeometry = new THREE.WireframeGeometry(mesh.geometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.1 });
-        const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
-        wireframe.visible = false;
-        wireframe.name = 'wireframe';
-        mesh.add(wireframe);
+        const body = new THREE.Group();
+        body.name = 'body';
+        this.parts = parts.map(({ name, geometry, validation = null }) => {
+            // Own material per part, so parts can be coloured independently
+            const mesh = new THREE.Mesh(geometry, this.createMaterial());
+            mesh.name = name;
+            mesh.userData.obstacle = true;
+
+            const wireframeGeometry = new THREE.WireframeGeometry(geometry);
+            const wireframeMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.1 });
+            const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
+            wireframe.visible = false;
+            wireframe.name = 'wireframe';
+            mesh.add(wireframe);
+
+            body.add(mesh);
+            const part = { id: this.nextPartId++, name, mesh, validation };
+            this.updateProblemEdges(part);
+            return part;
+        });
 
+        this.currentMesh = body;
+        this.scene.add(this.currentMesh);
+        this.log(`[Load #${loadId}] ✅ ${this.parts.length} part(s) added to scene`, 'success');
         this.log(`[Load #${loadId}] ✅ Wireframe geometry added (hidden by default)`, 'info');
         this.log(`[Load #${loadId}] Scene now contains ${this.scene.children.length} objects`, 'info');
+        return body;
+    }
+
+    getPart(id) {
+        return this.parts.find(part => part.id === id) || null;
+    }
+
+    setPartVisible(id, visible) {
+        const part = this.getPart(id);
+        if (part) part.mesh.visible = visible;
+    }
+
+    setPartWireframe(id, visible) {
+        const part = this.getPart(id);
+        if (part) part.mesh.getObjectByName('wireframe').visible = visible;
+    }
+
+    /**
+     * Whether a part is voxelized as an obstacle (takes effect on the next field build)
+     */
+    setPartObstacle(id, obstacle) {
+        const part = this.getPart(id);
+        if (part) part.mesh.userData.obstacle = obstacle;
+    }
+
+    /**
+     * Meshes of the parts that block the flow
+     */
+    getObstacleMeshes() {
+        return this.parts.filter(part => part.mesh.userData.obstacle).map(part => part.mesh);
     }
 
     /**
@@ -211,26 +435,23 @@ export class OBJLoader {
     }
 
     /**
-     * Toggle wireframe visibility
+     * Toggle wireframe visibility of every part
      */
     toggleWireframe(visible) {
         if (this.currentMesh) {
-            const wireframe = this.currentMesh.getObjectByName('wireframe');
-            if (wireframe) {
-                wireframe.visible = visible;
-                this.log(`Wireframe ${visible ? 'shown' : 'hidden'}`, 'info');
-            }
+            this.parts.forEach(part => this.setPartWireframe(part.id, visible));
+            this.log(`Wireframe ${visible ? 'shown' : 'hidden'}`, 'info');
         } else {
             this.log('❌ No mesh loaded', 'warn');
         }
     }
 
     /**
-     * Toggle mesh visibility
+     * Toggle visibility of every part
      */
     toggleVisibility(visible) {
         if (this.currentMesh) {
-            this.currentMesh.visible = visible;
+            this.parts.forEach(part => this.setPartVisible(part.id, visible));
             this.log(`Mesh ${visible ? 'shown' : 'hidden'}`, 'info');
         } else {
             this.log('❌ No mesh loaded', 'warn');
@@ -262,22 +483,33 @@ export class OBJLoader {
         return bounds;
     }
 
+    /**
+     * Replace the body with a generated shape, through the same normalization
+     * and checks as a loaded file
+     * @param {string} type - Key of ShapeLibrary.SHAPES
+     * @param {Object} params - Shape parameters (defaults for any left out)
+     * @returns {THREE.Group} The new body
+     */
+    loadShape(type, params = {}) {
+        const loadId = ++this.loadId;
+        this.log(`[Load #${loadId}] Generating shape: ${type}`, 'info', params);
+        this.processObject(ShapeLibrary.create(type, params), loadId);
+        this.source = { kind: 'shape', type, params: { ...params } };
+        this.log(`[Load #${loadId}] ✅ Shape set to scene`, 'success');
+        return this.currentMesh;
+    }
+
     /**
      * Create a default sphere mesh for testing
      */
     createDefaultSphere() {
         this.log('Creating default sphere mesh...', 'info');
-        const geometry = new THREE.SphereGeometry(0.5, 32, 32);
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x4a5a6a,
-            specular: 0x222222,
-            shininess: 25,
-            side: THREE.DoubleSide
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        this.setMesh(mesh, 'default-sphere');
+        const part = { name: 'Sphere', geometry: new THREE.SphereGeometry(0.5, 32, 32) };
+        part.validation = this.validateGeometry(part, 'default-sphere', {});
+        const body = this.setParts([part], 'default-sphere');
+        this.source = { kind: 'sphere' };
         this.log('✅ Default sphere created', 'success');
-        return mesh;
+        return body;
     }
 
     /**
@@ -337,9 +569,52 @@ export class OBJLoader {
             console.log('5️⃣ Memory usage:', Math.round(performance.memory.usedJSHeapSize / 1048576) + ' MB');
         }
         console.log('6️⃣ File input element:', document.getElementById('obj-file-input') ? '✅' : '❌');
+        console.log('7️⃣ Formats:', OBJLoader.FORMATS.join(', '));
 
         console.groupEnd();
     }
 }
 
+/**
+ * Vertex positions as a flat xyz array (interleaved glTF attributes included)
+ */
+function positionArray(geometry) {
+    const attribute = geometry.attributes.position;
+    if (!attribute.isInterleavedBufferAttribute && attribute.itemSize === 3) return attribute.array;
+    const positions = new Float32Array(attribute.count * 3);
+    for (let i = 0; i < attribute.count; i++) {
+        positions[i * 3] = attribute.getX(i);
+        positions[i * 3 + 1] = attribute.getY(i);
+        positions[i * 3 + 2] = attribute.getZ(i);
+    }
+    return positions;
+}
+
+/**
+ * Reverse every triangle's winding (swap its last two corners)
+ */
+function flipWinding(geometry) {
+    if (!geometry.index) {
+        // Triangle soup: swap whole vertices, with all their attributes
+        Object.values(geometry.attributes).forEach(attribute => {
+            for (let i = 0; i + 2 < attribute.count; i += 3) {
+                for (let k = 0; k < attribute.itemSize; k++) {
+                    const swap = attribute.getComponent(i + 1, k);
+                    attribute.setComponent(i + 1, k, attribute.getComponent(i + 2, k));
+                    attribute.setComponent(i + 2, k, swap);
+                }
+            }
+            attribute.needsUpdate = true;
+        });
+        return;
+    }
+    const index = geometry.index;
+    for (let i = 0; i + 2 < index.count; i += 3) {
+        const swap = index.getX(i + 1);
+        index.setX(i + 1, index.getX(i + 2));
+        index.setX(i + 2, swap);
+    }
+    index.needsUpdate = true;
+}
+
 export default OBJLoader;
\ No newline at end of file
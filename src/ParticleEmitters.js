@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+/**
+ * The particle emitters: points, line rakes, rectangles, discs and sphere
+ * surfaces, each with a pose, size, share of the particle budget and colour tag.
+ *
+ * Every emitter owns a contiguous block of particles (sized by its share),
+ * and the shaders spread a block's particles over the emitter's shape
+ * deterministically, so streamlines stay steady. `uniforms` packs the list
+ * into fixed-size arrays for the particleEmitters and emitterTags shader
+ * chunks; spawnPosition() mirrors the shader on the CPU.
+ */
+const TYPES = { point: 0, rake: 1, rect: 2, disc: 3, sphere: 4 };
+const MAX_EMITTERS = 16; // Must match MAX_EMITTERS in shaders.js
+const GOLDEN_ANGLE = 2.39996323;
+
+export class ParticleEmitters extends THREE.EventDispatcher {
+    static TYPES = TYPES;
+    static MAX = MAX_EMITTERS;
+
+    // What sizeU / sizeV mean for each type (null: unused)
+    static SIZE_LABELS = {
+        point: [null, null],
+        rake: ['Length', null],
+        rect: ['Width', 'Height'],
+        disc: ['Radius', null],
+        sphere: ['Radius', null]
+    };
+
+    static PALETTE = ['#ff7043', '#4fc3f7', '#9ccc65', '#ffd54f', '#ba68c8', '#4db6ac', '#f06292', '#a1887f'];
+
+    /**
+     * @param {number} particleCount - Size of the budget shared by the emitters
+     */
+    constructor(particleCount) {
+        super();
+        this.particleCount = particleCount;
+        this.emitters = [];
+        this.nextId = 1;
+
+        const array = (create) => Array.from({ length: MAX_EMITTERS }, create);
+        this.uniforms = {
+            emitterCount: { value: 0 },
+            emitterA: { value: array(() => new THREE.Vector4()) },      // centre, type
+            emitterB: { value: array(() => new THREE.Vector4()) },      // unit U axis, size along U
+            emitterC: { value: array(() => new THREE.Vector4()) },      // unit V axis, size along V
+            emitterRange: { value: array(() => new THREE.Vector2()) },  // first particle, particle count
+            emitterColors: { value: array(() => new THREE.Vector3()) }, // sRGB tag colour
+            colorByEmitter: { value: false }
+        };
+    }
+
+    /**
+     * @param {string} type - Key of ParticleEmitters.TYPES
+     * @param {Object} props - Any of position, rotation (degrees), sizeU, sizeV, share, color
+     */
+    add(type, props = {}) {
+        if (!(type in TYPES)) throw new Error(`Unknown emitter type "${type}"`);
+        if (this.emitters.length >= MAX_EMITTERS) throw new Error(`At most ${MAX_EMITTERS} emitters are supported`);
+
+        const emitter = {
+            id: this.nextId++,
+            type,
+            position: new THREE.Vector3(),
+            rotation: new THREE.Euler(),
+            sizeU: type === 'rake' ? 1.0 : (type === 'rect' ? 1.5 : 0.25),
+            sizeV: 1.5,
+            share: 1,
+            color: ParticleEmitters.PALETTE[(this.nextId - 2) % ParticleEmitters.PALETTE.length]
+        };
+        this.emitters.push(emitter);
+        this.set(emitter.id, props);
+        return emitter;
+    }
+
+    remove(id) {
+        const index = this.emitters.findIndex(emitter => emitter.id === id);
+        if (index < 0) return;
+        this.emitters.splice(index, 1);
+        this.sync();
+    }
+
+    get(id) {
+        return this.emitters.find(emitter => emitter.id === id) || null;
+    }
+
+    set(id, props) {
+        const emitter = this.get(id);
+        if (!emitter) return;
+
+        if (props.position) emitter.position.fromArray(props.position.toArray ? props.position.toArray() : props.position);
+        if (props.rotation) emitter.rotation.set(...props.rotation.map(THREE.MathUtils.degToRad));
+        if (props.quaternion) emitter.rotation.setFromQuaternion(props.quaternion);
+        if (props.sizeU > 0) emitter.sizeU = props.sizeU;
+        if (props.sizeV > 0) emitter.sizeV = props.sizeV;
+        if (props.share >= 0) emitter.share = props.share;
+        if (props.color) emitter.color = props.color;
+        this.sync();
+    }
+
+    /**
+     * Turn every emitter about a point, e.g. to follow a new flow direction
+     * @param {THREE.Vector3} center
+     * @param {THREE.Quaternion} quaternion
+     */
+    rotateAbout(center, quaternion) {
+        const orientation = new THREE.Quaternion();
+        this.emitters.forEach(emitter => {
+            emitter.position.sub(center).applyQuaternion(quaternion).add(center);
+            orientation.setFromEuler(emitter.rotation).premultiply(quaternion);
+            emitter.rotation.setFromQuaternion(orientation);
+        });
+        this.sync();
+    }
+
+    /**
+     * Move emitter centres that lie outside a box (or on its faces) just inside it
+     * @param {THREE.Box3} box
+     * @param {number} inset - Fraction of the box size kept clear along each face
+     */
+    keepInside(box, inset = 0.05) {
+        const margin = box.getSize(new THREE.Vector3()).multiplyScalar(inset);
+        const inner = new THREE.Box3(box.min.clone().add(margin), box.max.clone().sub(margin));
+        let moved = false;
+        this.emitters.forEach(emitter => {
+            if (inner.containsPoint(emitter.position)) return;
+            inner.clampPoint(emitter.position, emitter.position);
+            moved = true;
+        });
+        if (moved) this.sync();
+    }
+
+    /**
+     * Plain description of the emitters (rotation in degrees), as add() takes them
+     */
+    toJSON() {
+        return this.emitters.map(({ type, position, rotation, sizeU, sizeV, share, color }) => ({
+            type,
+            position: position.toArray(),
+            rotation: [rotation.x, rotation.y, rotation.z].map(THREE.MathUtils.radToDeg),
+            sizeU, sizeV, share, color
+        }));
+    }
+
+    /**
+     * Replace the emitters with a toJSON() list
+     */
+    fromJSON(list) {
+        this.emitters = [];
+        list.slice(0, MAX_EMITTERS).forEach(({ type, ...props }) => this.add(type, props));
+        this.sync();
+    }
+
+    setColorByEmitter(enabled) {
+        this.uniforms.colorByEmitter.value = enabled;
+    }
+
+    /**
+     * Split the budget by share and pack everything into the uniforms
+     */
+    sync() {
+        const u = this.uniforms;
+        const ranges = this.budget();
+        const axisU = new THREE.Vector3();
+        const axisV = new THREE.Vector3();
+
+        u.emitterCount.value = this.emitters.length;
+        this.emitters.forEach((emitter, i) => {
+            axisU.set(1, 0, 0).applyEuler(emitter.rotation);
+            axisV.set(0, 1, 0).applyEuler(emitter.rotation);
+            u.emitterA.value[i].set(emitter.position.x, emitter.position.y, emitter.position.z, TYPES[emitter.type]);
+            u.emitterB.value[i].set(axisU.x, axisU.y, axisU.z, emitter.sizeU);
+            u.emitterC.value[i].set(axisV.x, axisV.y, axisV.z, emitter.sizeV);
+            u.emitterRange.value[i].set(ranges[i].first, ranges[i].count);
+            u.emitterColors.value[i].fromArray(hexToRgb(emitter.color));
+        });
+
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Whole particles per emitter, proportional to the shares
+     * @returns {Array<{first: number, count: number}>}
+     */
+    budget() {
+        const total = this.emitters.reduce((sum, emitter) => sum + emitter.share, 0);
+        let first = 0;
+        let cumulative = 0;
+        return this.emitters.map(emitter => {
+            cumulative += emitter.share;
+            const end = total > 0 ? Math.round(cumulative / total * this.particleCount) : 0;
+            const range = { first, count: end - first };
+            first = end;
+            return range;
+        });
+    }
+
+    /**
+     * Spawn point of particle k (of n) on an emitter, without jitter.
+     * Mirrors spawnPosition() in the particleEmitters shader chunk.
+     */
+    spawnPosition(emitter, k, n) {
+        const c = emitter.position;
+        const U = new THREE.Vector3(1, 0, 0).applyEuler(emitter.rotation);
+        const V = new THREE.Vector3(0, 1, 0).applyEuler(emitter.rotation);
+        const t = (k + 0.5) / n;
+        const { sizeU, sizeV } = emitter;
+        const out = c.clone();
+
+        switch (emitter.type) {
+            case 'point':
+                return out;
+            case 'rake':
+                return out.addScaledVector(U, (t - 0.5) * sizeU);
+            case 'rect': {
+                const columns = Math.max(1, Math.round(Math.sqrt(n * sizeU / Math.max(sizeV, 1e-6))));
+                const rows = Math.ceil(n / columns);
+                const i = k % columns;
+                const j = Math.floor(k / columns);
+                return out
+                    .addScaledVector(U, ((i + 0.5) / columns - 0.5) * sizeU)
+                    .addScaledVector(V, ((j + 0.5) / rows - 0.5) * sizeV);
+            }
+            case 'disc': {
+                // Sunflower pattern: even density over the disc
+                const r = sizeU * Math.sqrt(t);
+                const theta = k * GOLDEN_ANGLE;
+                return out.addScaledVector(U, r * Math.cos(theta)).addScaledVector(V, r * Math.sin(theta));
+            }
+            case 'sphere': {
+                // Fibonacci sphere
+                const z = 1 - 2 * t;
+                const r = Math.sqrt(Math.max(0, 1 - z * z));
+                const theta = k * GOLDEN_ANGLE;
+                const W = new THREE.Vector3().crossVectors(U, V);
+                return out
+                    .addScaledVector(U, sizeU * r * Math.cos(theta))
+                    .addScaledVector(V, sizeU * r * Math.sin(theta))
+                    .addScaledVector(W, sizeU * z);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Spawn position of a particle by its index in the budget (null if unassigned)
+     */
+    particlePosition(index) {
+        const ranges = this.budget();
+        for (let i = 0; i < this.emitters.length; i++) {
+            const { first, count } = ranges[i];
+            if (index < first + count) return this.spawnPosition(this.emitters[i], index - first, count);
+        }
+        return null;
+    }
+
+    /**
+     * About `total` seed points spread over all emitters by share, e.g. for tracing
+     * @returns {number[][]}
+     */
+    seeds(total) {
+        const ranges = this.budget();
+        const seeds = [];
+        this.emitters.forEach((emitter, i) => {
+            if (ranges[i].count === 0) return;
+            // Every particle of a point emitter starts at the same place
+            const n = emitter.type === 'point' ? 1 : Math.max(1, Math.round(ranges[i].count / this.particleCount * total));
+            for (let k = 0; k < n; k++) seeds.push(this.spawnPosition(emitter, k, n).toArray());
+        });
+        return seeds;
+    }
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+export default ParticleEmitters;
@@ -1,12 +1,19 @@
 import * as THREE from 'three';
 import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
 import { particleComputeShaderPosition, particleComputeShaderVelocity, particleVertexShader, particleFragmentShader } from './shaders.js';
+import { StreamlineTrails } from './StreamlineTrails.js';
+import { StreamlineTracer } from './StreamlineTracer.js';
+import { ParticleEmitters } from './ParticleEmitters.js';
+import { SimulationClock } from './SimulationClock.js';
 
 export class ParticleSystem {
-    constructor(scene, renderer, velocityField) {
+    static INTEGRATORS = { euler: 0, rk2: 1, rk4: 2 };
+
+    constructor(scene, renderer, velocityField, colorMap) {
         this.scene = scene;
         this.renderer = renderer;
         this.velocityField = velocityField;
+        this.colorMap = colorMap;
         
         // Streamline parameters
         this.WIDTH = 128;  // Increased for more streamlines
@@ -18,16 +25,18 @@ export class ParticleSystem {
         this.positionUniforms = null;
         this.velocityUniforms = null;
         this.particles = null;
+        this.trails = null;
+        this.integrator = 'rk4';
+        this.seed = 1;   // Initial ages and respawn jitter, see reset()
+        this.steps = 0;  // Compute steps since the last reset
         
-        // Plane emitter parameters
-        this.emitterWidth = 1.5;
-        this.emitterHeight = 1.5;
-        this.emitterPosX = -2.0;
-        this.emitterPosY = 0.0;
-        this.emitterPosZ = 0.0;
-        
+        // Emitters share the particle budget; by default one plane upstream of the body
+        this.emitters = new ParticleEmitters(this.COUNT);
+        this.emitters.add('rect', { position: [-2, 0, 0], rotation: [0, 90, 0], sizeU: 1.5, sizeV: 1.5 });
+
         this.initGPU();
         this.initParticles();
+        this.trails = new StreamlineTrails(scene, renderer, this.WIDTH, { uniforms: this.getDisplayUniforms() });
     }
 
     initGPU() {
@@ -54,22 +63,36 @@ export class ParticleSystem {
         this.positionUniforms['time'] = { value: 0.0 };
         this.positionUniforms['delta'] = { value: 0.0 };
         this.positionUniforms['maxAge'] = { value: 500.0 };  // Longer lifespan for streamlines
-        this.positionUniforms['emitterPos'] = { value: new THREE.Vector3(this.emitterPosX, this.emitterPosY, this.emitterPosZ) };
-        this.positionUniforms['emitterWidth'] = { value: this.emitterWidth };
-        this.positionUniforms['emitterHeight'] = { value: this.emitterHeight };
-        this.positionUniforms['boundsMin'] = { value: new THREE.Vector3(-5, -5, -5) };
-        this.positionUniforms['boundsMax'] = { value: new THREE.Vector3(5, 5, 5) };
+        Object.assign(this.positionUniforms, this.emitters.uniforms);
+        this.positionUniforms['boundsMin'] = { value: this.velocityField.bounds.min.clone() };
+        this.positionUniforms['boundsMax'] = { value: this.velocityField.bounds.max.clone() };
         this.positionUniforms['speedMultiplier'] = { value: 2.0 };  // Higher speed for visible streamlines
+        this.positionUniforms['seed'] = { value: this.seed };
+        this.positionUniforms['stepIndex'] = { value: 0 };
 
         // Velocity uniforms
         this.velocityUniforms['time'] = { value: 0.0 };
         this.velocityUniforms['delta'] = { value: 0.0 };
-        this.velocityUniforms['gridMin'] = { value: new THREE.Vector3(-1, -1, -1) };
-        this.velocityUniforms['gridMax'] = { value: new THREE.Vector3(1, 1, 1) };
-        this.velocityUniforms['initialDirection'] = { value: new THREE.Vector3(1, 0, 0) };
-        this.velocityUniforms['initialSpeed'] = { value: 0.5 };
-        this.velocityUniforms['velocityField'] = { value: null };
-        this.velocityUniforms['dragCoefficient'] = { value: 0.85 };  // Drag for smooth following
+        this.velocityUniforms['speedMultiplier'] = this.positionUniforms['speedMultiplier'];
+
+        // Field lookup, also used by the display shaders for colour mapping
+        this.fieldUniforms = {
+            velocityField: { value: null },
+            gridMin: { value: new THREE.Vector3(-1, -1, -1) },
+            gridMax: { value: new THREE.Vector3(1, 1, 1) }
+        };
+
+        // Integration uniforms, shared by both passes so they take identical steps
+        const integrationUniforms = {
+            ...this.fieldUniforms,
+            integrator: { value: ParticleSystem.INTEGRATORS[this.integrator] },
+            inertial: { value: false },        // Massless tracers by default
+            dragCoefficient: { value: 10.0 },  // 1/s, inertial mode only
+            initialDirection: { value: new THREE.Vector3(1, 0, 0) },
+            initialSpeed: { value: 0.5 }
+        };
+        Object.assign(this.positionUniforms, integrationUniforms);
+        Object.assign(this.velocityUniforms, integrationUniforms);
 
         const error = this.gpuCompute.init();
         if (error !== null) {
@@ -80,22 +103,16 @@ export class ParticleSystem {
     fillTextures(texturePosition, textureVelocity) {
         const posArray = texturePosition.image.data;
         const velArray = textureVelocity.image.data;
+        const random = SimulationClock.random(this.seed);
 
         for (let k = 0, kl = posArray.length; k < kl; k += 4) {
-            // Initialize across the plane emitter
-            const particleIndex = k / 4;
-            const u = (particleIndex % this.WIDTH) / this.WIDTH;  // 0 to 1
-            const v = Math.floor(particleIndex / this.WIDTH) / this.WIDTH;  // 0 to 1
-
-            // Position on plane
-            const x = this.emitterPosX;
-            const y = this.emitterPosY + (v - 0.5) * this.emitterHeight;
-            const z = this.emitterPosZ + (u - 0.5) * this.emitterWidth;
+            // Initialize on the emitter owning the particle (parked far away if none)
+            const position = this.emitters.particlePosition(k / 4);
 
-            posArray[k + 0] = x;
-            posArray[k + 1] = y;
-            posArray[k + 2] = z;
-            posArray[k + 3] = Math.random() * 50;  // Random initial age
+            posArray[k + 0] = position ? position.x : 1e6;
+            posArray[k + 1] = position ? position.y : 1e6;
+            posArray[k + 2] = position ? position.z : 1e6;
+            posArray[k + 3] = random() * 50;  // Random initial age
 
             // Initial velocity (along X direction)
             velArray[k + 0] = 1.0;
@@ -105,6 +122,37 @@ export class ParticleSystem {
         }
     }
 
+    /**
+     * Put every particle back on its emitter with seeded ages and forget the
+     * trails, so the same seed replays the same run
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.steps = 0;
+        this.positionUniforms['seed'].value = seed;
+        this.positionUniforms['stepIndex'].value = 0;
+
+        const dtPosition = this.gpuCompute.createTexture();
+        const dtVelocity = this.gpuCompute.createTexture();
+        this.fillTextures(dtPosition, dtVelocity);
+        // Both ping-pong targets, whichever is current
+        [[this.positionVariable, dtPosition], [this.velocityVariable, dtVelocity]].forEach(([variable, texture]) => {
+            variable.renderTargets.forEach(target => this.gpuCompute.renderTexture(texture, target));
+        });
+        dtPosition.dispose();
+        dtVelocity.dispose();
+        this.trails.reset();
+        console.log("⏮ Particles reset", { seed });
+    }
+
+    /**
+     * Uniforms the particle and trail shaders share: field lookup, colour mapping
+     * and emitter colour tags
+     */
+    getDisplayUniforms() {
+        return { ...this.fieldUniforms, ...this.colorMap.uniforms, ...this.emitters.uniforms };
+    }
+
     initParticles() {
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(this.COUNT * 3);
@@ -125,7 +173,8 @@ export class ParticleSystem {
             uniforms: {
                 texturePosition: { value: null },
                 textureVelocity: { value: null },
-                pointSize: { value: 1.5 }
+                pointSize: { value: 1.5 },
+                ...this.getDisplayUniforms()
             },
             vertexShader: particleVertexShader,
             fragmentShader: particleFragmentShader,
@@ -134,13 +183,17 @@ export class ParticleSystem {
             blending: THREE.AdditiveBlending
         });
 
-        // Use LINE instead of POINTS for streamlines
-        this.particles = new THREE.Line(geometry, material);
+        // Particle heads; the streamlines themselves are drawn by StreamlineTrails
+        this.particles = new THREE.Points(geometry, material);
         this.particles.frustumCulled = false;
         this.scene.add(this.particles);
     }
 
-    update(time, deltaTime) {
+    /**
+     * Advance the particles by one (sub-)step
+     * @param {boolean} recordTrail - Add the new positions to the trails
+     */
+    update(time, deltaTime, recordTrail = true) {
         if (!this.velocityField.texture) return;
 
         // Update Uniforms
@@ -148,27 +201,72 @@ export class ParticleSystem {
         this.positionUniforms['delta'].value = deltaTime;
         this.velocityUniforms['time'].value = time;
         this.velocityUniforms['delta'].value = deltaTime;
+        // Wrapped so it stays exact as a float
+        this.positionUniforms['stepIndex'].value = this.steps++ % 65536;
         this.velocityUniforms['velocityField'].value = this.velocityField.texture;
+        // The field's real extent (imported fields are not the default box)
+        this.velocityUniforms['gridMin'].value.copy(this.velocityField.bounds.min);
+        this.velocityUniforms['gridMax'].value.copy(this.velocityField.bounds.max);
+        // Particles leaving the field respawn
+        this.positionUniforms['boundsMin'].value.copy(this.velocityField.bounds.min);
+        this.positionUniforms['boundsMax'].value.copy(this.velocityField.bounds.max);
 
         // Run Compute
         this.gpuCompute.compute();
 
         // Update Display Material
-        this.particles.material.uniforms['texturePosition'].value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+        const positionTexture = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+        this.particles.material.uniforms['texturePosition'].value = positionTexture;
         this.particles.material.uniforms['textureVelocity'].value = this.gpuCompute.getCurrentRenderTarget(this.velocityVariable).texture;
+
+        // Extend the trails
+        if (recordTrail) this.trails.record(positionTexture, this.positionUniforms['speedMultiplier'].value);
+    }
+
+    /**
+     * Streamlines from the emitters, traced on the CPU with the same rules as the
+     * particle shaders (for export)
+     * @param {number} seedsPerSide - seedsPerSide² seeds in all, split by emitter share
+     */
+    traceStreamlines(seedsPerSide = 32) {
+        const field = this.velocityField.readData();
+        if (!field) return [];
+
+        const u = this.velocityUniforms;
+        const initialVelocity = u['initialDirection'].value.clone().normalize().multiplyScalar(u['initialSpeed'].value);
+        const tracer = new StreamlineTracer(field.grid, field.data, {
+            integrator: this.integrator,
+            inertial: u['inertial'].value,
+            dragCoefficient: u['dragCoefficient'].value,
+            speedMultiplier: this.positionUniforms['speedMultiplier'].value,
+            maxAge: this.positionUniforms['maxAge'].value,
+            boundsMin: this.positionUniforms['boundsMin'].value.toArray(),
+            boundsMax: this.positionUniforms['boundsMax'].value.toArray(),
+            initialVelocity: initialVelocity.toArray()
+        });
+        return tracer.traceAll(this.emitters.seeds(seedsPerSide * seedsPerSide));
     }
 
     updateParams(params) {
-        if (params.emitterPos) {
-            this.positionUniforms['emitterPos'].value.copy(params.emitterPos);
-            this.emitterPosX = params.emitterPos.x;
-            this.emitterPosY = params.emitterPos.y;
-            this.emitterPosZ = params.emitterPos.z;
-        }
         if (params.lifespan) this.positionUniforms['maxAge'].value = params.lifespan;
         if (params.speedMultiplier) this.positionUniforms['speedMultiplier'].value = params.speedMultiplier;
-        if (params.emitterWidth) this.positionUniforms['emitterWidth'].value = params.emitterWidth;
-        if (params.emitterHeight) this.positionUniforms['emitterHeight'].value = params.emitterHeight;
+        if (params.trailLength) this.trails.setTrailLength(params.trailLength);
+        if (params.integrator in ParticleSystem.INTEGRATORS) {
+            this.integrator = params.integrator;
+            this.velocityUniforms['integrator'].value = ParticleSystem.INTEGRATORS[params.integrator];
+        }
+        if (params.tracerMode) this.velocityUniforms['inertial'].value = params.tracerMode === 'inertial';
+        if (params.dragCoefficient) this.velocityUniforms['dragCoefficient'].value = params.dragCoefficient;
+    }
+
+    /**
+     * Release inertial particles along the freestream, at half its speed as before
+     * @param {number[]} freestream
+     */
+    setFreestream(freestream) {
+        const velocity = new THREE.Vector3().fromArray(freestream);
+        this.velocityUniforms['initialDirection'].value.copy(velocity).normalize();
+        this.velocityUniforms['initialSpeed'].value = velocity.length() * 0.5;
     }
 }
 
@@ -0,0 +1,390 @@
+/**
+ * Potential flow solver on a node-centred voxel grid.
+ *
+ * Solves Laplace's equation for the velocity potential with a no-penetration
+ * (Neumann) condition on solid voxels and a uniform freestream (plus a fitted
+ * far-field doublet) on the outer faces, then differentiates the potential to
+ * get the velocity.
+ *
+ * Grid layout matches VelocityField: index = (z * ny + y) * nx + x.
+ */
+
+const UNKNOWN = 0;
+const DIRICHLET = 1;
+const SOLID = 2;
+
+export class PotentialFlowSolver {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 1e-6;      // Relative residual for CG
+        this.maxIterations = options.maxIterations ?? 2000;
+        this.farFieldPasses = options.farFieldPasses ?? 4; // Doublet refits of the outer boundary
+        this.lastStats = null;
+    }
+
+    /**
+     * Solve for the potential and write velocity into an RGBA Float32Array
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} grid
+     * @param {Uint8Array} solid - 1 for cells inside the body
+     * @param {number[]} freestream - Uniform velocity [ux, uy, uz]
+     * @param {Float32Array} out - RGBA output, velocity written to xyz
+     * @param {function(number)} [onProgress] - Called with the completed fraction
+     */
+    solve(grid, solid, freestream, out, onProgress) {
+        const phi = this.solvePotential(grid, solid, freestream, onProgress);
+        this.computeVelocity(grid, solid, phi, out);
+        return phi;
+    }
+
+    /**
+     * Solve Laplace's equation for the velocity potential
+     */
+    solvePotential(grid, solid, freestream, onProgress) {
+        const { nx, ny, nz } = grid;
+        const size = nx * ny * nz;
+        const types = this.classifyNodes(grid, solid);
+        const phi = new Float32Array(size);
+        const centroid = this.solidCentroid(grid, solid);
+
+        // Start from the undisturbed freestream everywhere
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    phi[i] = this.freestreamPotential(grid, x, y, z, freestream);
+                }
+            }
+        }
+
+        let dipole = [0, 0, 0];
+        let totalIterations = 0;
+        let residual = 0;
+        const passes = centroid ? this.farFieldPasses : 1;
+
+        for (let pass = 0; pass < passes; pass++) {
+            if (pass > 0) {
+                dipole = this.fitDipole(grid, types, phi, freestream, centroid);
+                this.applyFarField(grid, types, phi, freestream, centroid, dipole);
+            }
+            // Intermediate passes only feed the doublet fit, so a loose solve is enough
+            const tolerance = pass === passes - 1 ? this.tolerance : Math.max(this.tolerance, 1e-3);
+            const passProgress = onProgress && ((fraction) => onProgress((pass + fraction) / passes));
+            const result = this.conjugateGradient(grid, types, phi, tolerance, passProgress);
+            totalIterations += result.iterations;
+            residual = result.residual;
+        }
+
+        this.lastStats = { iterations: totalIterations, residual, dipole };
+        return phi;
+    }
+
+    /**
+     * Mark far-field boundary nodes as Dirichlet and solid nodes as excluded
+     */
+    classifyNodes(grid, solid) {
+        const { nx, ny, nz } = grid;
+        const types = new Uint8Array(nx * ny * nz);
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    if (solid && solid[i]) {
+                        types[i] = SOLID;
+                    } else if (x === 0 || y === 0 || z === 0 || x === nx - 1 || y === ny - 1 || z === nz - 1) {
+                        types[i] = DIRICHLET;
+                    } else {
+                        types[i] = UNKNOWN;
+                    }
+                }
+            }
+        }
+        return types;
+    }
+
+    freestreamPotential(grid, x, y, z, freestream) {
+        return freestream[0] * (grid.min[0] + x * grid.step[0]) +
+               freestream[1] * (grid.min[1] + y * grid.step[1]) +
+               freestream[2] * (grid.min[2] + z * grid.step[2]);
+    }
+
+    solidCentroid(grid, solid) {
+        if (!solid) return null;
+        const { nx, ny, nz } = grid;
+        let cx = 0, cy = 0, cz = 0, count = 0;
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    if (!solid[i]) continue;
+                    cx += x; cy += y; cz += z;
+                    count++;
+                }
+            }
+        }
+        if (count === 0) return null;
+
+        return [
+            grid.min[0] + (cx / count) * grid.step[0],
+            grid.min[1] + (cy / count) * grid.step[1],
+            grid.min[2] + (cz / count) * grid.step[2]
+        ];
+    }
+
+    /**
+     * Least-squares fit of a point doublet to the disturbance potential on a
+     * shell between the body and the outer faces. The body's far field is
+     * dominated by this term, so feeding it back into the Dirichlet values
+     * removes most of the error from truncating the domain.
+     */
+    fitDipole(grid, types, phi, freestream, centroid) {
+        const { nx, ny, nz } = grid;
+        const m = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+        const rhs = [0, 0, 0];
+        const g = [0, 0, 0];
+
+        for (let z = 1, i; z < nz - 1; z++) {
+            const sz = Math.abs(2 * z / (nz - 1) - 1);
+            for (let y = 1; y < ny - 1; y++) {
+                const sy = Math.abs(2 * y / (ny - 1) - 1);
+                for (let x = 1; x < nx - 1; x++) {
+                    const sx = Math.abs(2 * x / (nx - 1) - 1);
+                    const shell = Math.max(sx, sy, sz);
+                    if (shell < 0.6 || shell > 0.9) continue;
+
+                    i = (z * ny + y) * nx + x;
+                    if (types[i] !== UNKNOWN) continue;
+
+                    if (!this.dipoleBasis(grid, x, y, z, centroid, g)) continue;
+                    const disturbance = phi[i] - this.freestreamPotential(grid, x, y, z, freestream);
+
+                    for (let a = 0; a < 3; a++) {
+                        rhs[a] += g[a] * disturbance;
+                        for (let b = 0; b < 3; b++) m[a * 3 + b] += g[a] * g[b];
+                    }
+                }
+            }
+        }
+
+        return solve3x3(m, rhs) || [0, 0, 0];
+    }
+
+    /**
+     * Doublet potential basis: phi = D . g with g = r / (4 pi |r|^3)
+     */
+    dipoleBasis(grid, x, y, z, centroid, g) {
+        const rx = grid.min[0] + x * grid.step[0] - centroid[0];
+        const ry = grid.min[1] + y * grid.step[1] - centroid[1];
+        const rz = grid.min[2] + z * grid.step[2] - centroid[2];
+        const r2 = rx * rx + ry * ry + rz * rz;
+        if (r2 < 1e-12) return false;
+
+        const inv = 1 / (4 * Math.PI * r2 * Math.sqrt(r2));
+        g[0] = rx * inv;
+        g[1] = ry * inv;
+        g[2] = rz * inv;
+        return true;
+    }
+
+    applyFarField(grid, types, phi, freestream, centroid, dipole) {
+        const { nx, ny, nz } = grid;
+        const g = [0, 0, 0];
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    if (types[i] !== DIRICHLET) continue;
+                    let value = this.freestreamPotential(grid, x, y, z, freestream);
+                    if (this.dipoleBasis(grid, x, y, z, centroid, g)) {
+                        value += dipole[0] * g[0] + dipole[1] * g[1] + dipole[2] * g[2];
+                    }
+                    phi[i] = value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Jacobi-preconditioned conjugate gradient on the unknown nodes.
+     * Solid neighbours drop out of the stencil (zero normal flux), which keeps
+     * the operator symmetric positive definite.
+     */
+    conjugateGradient(grid, types, phi, tolerance = this.tolerance, onProgress) {
+        const { nx, ny, nz } = grid;
+        const size = nx * ny * nz;
+        const wx = 1 / (grid.step[0] * grid.step[0]);
+        const wy = 1 / (grid.step[1] * grid.step[1]);
+        const wz = 1 / (grid.step[2] * grid.step[2]);
+        const sx = 1, sy = nx, sz = nx * ny;
+
+        const diag = new Float32Array(size);
+        const r = new Float32Array(size);
+        const p = new Float32Array(size);
+        const ap = new Float32Array(size);
+        const zv = new Float32Array(size);
+
+        // Diagonal and initial residual r = -L(phi)
+        for (let z = 1; z < nz - 1; z++) {
+            for (let y = 1; y < ny - 1; y++) {
+                let i = (z * ny + y) * nx + 1;
+                for (let x = 1; x < nx - 1; x++, i++) {
+                    if (types[i] !== UNKNOWN) continue;
+                    let d = 0, res = 0;
+                    const c = phi[i];
+                    if (types[i - sx] !== SOLID) { d += wx; res += wx * (phi[i - sx] - c); }
+                    if (types[i + sx] !== SOLID) { d += wx; res += wx * (phi[i + sx] - c); }
+                    if (types[i - sy] !== SOLID) { d += wy; res += wy * (phi[i - sy] - c); }
+                    if (types[i + sy] !== SOLID) { d += wy; res += wy * (phi[i + sy] - c); }
+                    if (types[i - sz] !== SOLID) { d += wz; res += wz * (phi[i - sz] - c); }
+                    if (types[i + sz] !== SOLID) { d += wz; res += wz * (phi[i + sz] - c); }
+                    diag[i] = d;
+                    r[i] = res;
+                }
+            }
+        }
+
+        let rz = 0;
+        let r0 = 0;
+        for (let i = 0; i < size; i++) {
+            if (diag[i] === 0) continue;
+            zv[i] = r[i] / diag[i];
+            p[i] = zv[i];
+            rz += r[i] * zv[i];
+            r0 += r[i] * r[i];
+        }
+
+        r0 = Math.sqrt(r0);
+        if (r0 === 0) return { iterations: 0, residual: 0 };
+
+        let iterations = 0;
+        let rel = 1;
+
+        while (iterations < this.maxIterations) {
+            // ap = A p, with A = -L restricted to unknowns (p is zero elsewhere)
+            let pAp = 0;
+            for (let z = 1; z < nz - 1; z++) {
+                for (let y = 1; y < ny - 1; y++) {
+                    let i = (z * ny + y) * nx + 1;
+                    for (let x = 1; x < nx - 1; x++, i++) {
+                        if (diag[i] === 0) continue;
+                        let sum = diag[i] * p[i];
+                        if (types[i - sx] === UNKNOWN) sum -= wx * p[i - sx];
+                        if (types[i + sx] === UNKNOWN) sum -= wx * p[i + sx];
+                        if (types[i - sy] === UNKNOWN) sum -= wy * p[i - sy];
+                        if (types[i + sy] === UNKNOWN) sum -= wy * p[i + sy];
+                        if (types[i - sz] === UNKNOWN) sum -= wz * p[i - sz];
+                        if (types[i + sz] === UNKNOWN) sum -= wz * p[i + sz];
+                        ap[i] = sum;
+                        pAp += p[i] * sum;
+                    }
+                }
+            }
+
+            if (pAp <= 0) break;
+            const alpha = rz / pAp;
+
+            let rr = 0;
+            let rzNew = 0;
+            for (let i = 0; i < size; i++) {
+                if (diag[i] === 0) continue;
+                phi[i] += alpha * p[i];
+                r[i] -= alpha * ap[i];
+                zv[i] = r[i] / diag[i];
+                rr += r[i] * r[i];
+                rzNew += r[i] * zv[i];
+            }
+
+            iterations++;
+            rel = Math.sqrt(rr) / r0;
+            if (rel < tolerance) break;
+
+            // Residual falls roughly geometrically, so progress is its log
+            if (onProgress && iterations % 10 === 0) {
+                onProgress(Math.min(1, Math.max(0, Math.log(rel) / Math.log(tolerance))));
+            }
+
+            const beta = rzNew / rz;
+            rz = rzNew;
+            for (let i = 0; i < size; i++) {
+                if (diag[i] === 0) continue;
+                p[i] = zv[i] + beta * p[i];
+            }
+        }
+
+        return { iterations, residual: rel };
+    }
+
+    /**
+     * Central-difference gradient of the potential. Where a neighbour is
+     * solid the potential is mirrored, so the wall-normal component vanishes.
+     */
+    computeVelocity(grid, solid, phi, out) {
+        const { nx, ny, nz } = grid;
+        const sx = 1, sy = nx, sz = nx * ny;
+
+        const derivative = (i, c, stride, inRangeLo, inRangeHi, h) => {
+            const lo = inRangeLo && !(solid && solid[i - stride]) ? phi[i - stride] : null;
+            const hi = inRangeHi && !(solid && solid[i + stride]) ? phi[i + stride] : null;
+            if (lo !== null && hi !== null) return (hi - lo) / (2 * h);
+            if (hi !== null) return inRangeLo ? (hi - c) / (2 * h) : (hi - c) / h;
+            if (lo !== null) return inRangeHi ? (c - lo) / (2 * h) : (c - lo) / h;
+            return 0;
+        };
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    const stride = i * 4;
+                    if (solid && solid[i]) {
+                        out[stride] = 0;
+                        out[stride + 1] = 0;
+                        out[stride + 2] = 0;
+                        continue;
+                    }
+                    const c = phi[i];
+                    out[stride] = derivative(i, c, sx, x > 0, x < nx - 1, grid.step[0]);
+                    out[stride + 1] = derivative(i, c, sy, y > 0, y < ny - 1, grid.step[1]);
+                    out[stride + 2] = derivative(i, c, sz, z > 0, z < nz - 1, grid.step[2]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Analytic uniform flow past a sphere (uniform stream plus doublet),
+     * used to check the numerical solution for the default sphere.
+     */
+    static sphereVelocity(px, py, pz, radius, freestream, center = [0, 0, 0]) {
+        const rx = px - center[0], ry = py - center[1], rz = pz - center[2];
+        const r2 = rx * rx + ry * ry + rz * rz;
+        if (r2 < radius * radius) return [0, 0, 0];
+
+        // phi = U.r (1 + a^3 / (2 r^3))
+        const a3 = radius * radius * radius;
+        const r = Math.sqrt(r2);
+        const r3 = r2 * r;
+        const r5 = r3 * r2;
+        const ur = freestream[0] * rx + freestream[1] * ry + freestream[2] * rz;
+        const k = a3 / (2 * r3);
+        const q = 1.5 * a3 * ur / r5;
+
+        return [
+            freestream[0] * (1 + k) - q * rx,
+            freestream[1] * (1 + k) - q * ry,
+            freestream[2] * (1 + k) - q * rz
+        ];
+    }
+}
+
+function solve3x3(m, b) {
+    const det = m[0] * (m[4] * m[8] - m[5] * m[7]) -
+                m[1] * (m[3] * m[8] - m[5] * m[6]) +
+                m[2] * (m[3] * m[7] - m[4] * m[6]);
+    if (Math.abs(det) < 1e-30) return null;
+
+    const inv = 1 / det;
+    return [
+        inv * (b[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (b[1] * m[8] - m[5] * b[2]) + m[2] * (b[1] * m[7] - m[4] * b[2])),
+        inv * (m[0] * (b[1] * m[8] - m[5] * b[2]) - b[0] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * b[2] - b[1] * m[6])),
+        inv * (m[0] * (m[4] * b[2] - b[1] * m[7]) - m[1] * (m[3] * b[2] - b[1] * m[6]) + b[0] * (m[3] * m[7] - m[4] * m[6]))
+    ];
+}
+
+export default PotentialFlowSolver;
@@ -0,0 +1,131 @@
+import { FieldProbe } from './FieldProbe.js';
+
+/**
+ * Overlay for the probe tool: a readout of every point probe and, for the
+ * line probe, one small plot per chosen quantity against distance along
+ * the line. Hidden while there are no probes.
+ */
+export class ProbeOverlay {
+    static PLOT_WIDTH = 300;
+    static PLOT_HEIGHT = 70;
+    static COLORS = {
+        speed: '#4fc3f7',
+        vx: '#ef5350',
+        vy: '#66bb6a',
+        vz: '#42a5f5',
+        cp: '#ffa726',
+        vorticity: '#ab47bc'
+    };
+
+    /**
+     * @param {HTMLElement} container - Overlay element, filled by this class
+     */
+    constructor(container) {
+        this.container = container;
+        this.quantities = ['speed', 'cp'];
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'probe-readout';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'probe-chart';
+        this.container.append(this.readout, this.canvas);
+        this.container.style.display = 'none';
+    }
+
+    setQuantities(quantities) {
+        this.quantities = quantities.filter(q => FieldProbe.QUANTITIES[q]);
+    }
+
+    /**
+     * @param {ProbeTool} tool
+     */
+    update(tool) {
+        const hasLine = !!(tool.line && tool.line.samples.length);
+        this.container.style.display = tool.points.length || hasLine ? '' : 'none';
+
+        this.readout.innerHTML = tool.points.map(point => {
+            const s = point.sample;
+            if (!s) return `<div><b>P${point.id}</b> no field</div>`;
+            const where = s.position.map(v => v.toFixed(2)).join(', ');
+            if (s.inside) return `<div><b>P${point.id}</b> (${where}) inside body</div>`;
+            return `<div><b>P${point.id}</b> (${where}) ` +
+                `u=(${s.vx.toFixed(3)}, ${s.vy.toFixed(3)}, ${s.vz.toFixed(3)}) ` +
+                `|u|=${s.speed.toFixed(3)} Cp=${s.cp.toFixed(3)} ω=${s.vorticity.toFixed(2)}</div>`;
+        }).join('');
+
+        this.canvas.style.display = hasLine && this.quantities.length ? '' : 'none';
+        if (hasLine) this.drawPlots(tool.line.samples);
+    }
+
+    drawPlots(samples) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = ProbeOverlay.PLOT_WIDTH;
+        const height = ProbeOverlay.PLOT_HEIGHT * this.quantities.length;
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const length = samples[samples.length - 1].s || 1;
+        this.quantities.forEach((quantity, row) => {
+            const top = row * ProbeOverlay.PLOT_HEIGHT;
+            const plot = { left: 44, right: width - 8, top: top + 16, bottom: top + ProbeOverlay.PLOT_HEIGHT - 14 };
+
+            // Points inside the body are gaps, not zeros
+            const values = samples.map(s => s.inside ? NaN : s[quantity]);
+            const finite = values.filter(Number.isFinite);
+            let lo = finite.length ? Math.min(...finite) : 0;
+            let hi = finite.length ? Math.max(...finite) : 1;
+            if (hi - lo < 1e-9) { lo -= 0.5; hi += 0.5; }
+
+            const { label, units } = FieldProbe.QUANTITIES[quantity];
+            ctx.fillStyle = '#ccc';
+            ctx.font = '11px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'left';
+            ctx.fillText(units ? `${label} [${units}]` : label, plot.left, top + 2);
+
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(hi.toPrecision(3), plot.left - 4, plot.top);
+            ctx.fillText(lo.toPrecision(3), plot.left - 4, plot.bottom);
+
+            ctx.strokeStyle = '#555';
+            ctx.strokeRect(plot.left + 0.5, plot.top + 0.5, plot.right - plot.left, plot.bottom - plot.top);
+
+            ctx.strokeStyle = ProbeOverlay.COLORS[quantity];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let drawing = false;
+            samples.forEach((sample, i) => {
+                if (!Number.isFinite(values[i])) {
+                    drawing = false;
+                    return;
+                }
+                const x = plot.left + sample.s / length * (plot.right - plot.left);
+                const y = plot.bottom - (values[i] - lo) / (hi - lo) * (plot.bottom - plot.top);
+                if (drawing) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        });
+
+        // Distance axis under the last plot
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText('0', 44, height);
+        ctx.textAlign = 'right';
+        ctx.fillText(`s = ${length.toFixed(3)}`, width - 8, height);
+    }
+}
+
+export default ProbeOverlay;
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { FieldProbe } from './FieldProbe.js';
+
+/**
+ * Interactive probes placed by clicking on slice planes or the body.
+ *
+ * Point mode: a click drops a point probe. Line mode: dragging from one hit
+ * to another defines the line probe (one at a time). Probes are stored as
+ * world positions and resampled whenever refresh() runs, so they survive
+ * field regenerations. Dispatches 'change' after every resample.
+ */
+export class ProbeTool extends THREE.EventDispatcher {
+    static LINE_SAMPLES = 120;
+    static COLOR = 0xffeb3b;
+
+    /**
+     * @param {SceneManager} sceneManager
+     * @param {VelocityField} velocityField
+     * @param {Object} options - { targets: () => Object3D[], blocked: () => boolean }
+     *     targets are raycast for placement; while blocked() is true (e.g. a gizmo
+     *     is hovered) clicks are left alone
+     */
+    constructor(sceneManager, velocityField, options = {}) {
+        super();
+        this.scene = sceneManager.scene;
+        this.camera = sceneManager.camera;
+        this.controls = sceneManager.controls;
+        this.domElement = sceneManager.renderer.domElement;
+        this.velocityField = velocityField;
+        this.targets = options.targets || (() => []);
+        this.blocked = options.blocked || (() => false);
+
+        this.mode = 'off';
+        this.points = [];          // { id, position, marker, sample }
+        this.line = null;          // { start, end, samples }
+        this.nextId = 1;
+        this.lastRefresh = 0;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerDown = null;   // { x, y, hit }
+        this.drag = null;          // Line being drawn
+
+        this.markerGeometry = new THREE.SphereGeometry(1, 12, 8);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: ProbeTool.COLOR, depthTest: false });
+
+        // Line probe, with markers at both ends
+        this.lineObject = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineBasicMaterial({ color: ProbeTool.COLOR, depthTest: false })
+        );
+        this.lineEnds = [0, 1].map(() => this.createMarker());
+        [this.lineObject, ...this.lineEnds].forEach(object => {
+            object.visible = false;
+            object.renderOrder = 10; // Stay visible through slices and the body
+            this.scene.add(object);
+        });
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * @param {string} mode - 'off' | 'point' | 'line'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.cancelDrag();
+    }
+
+    createMarker() {
+        const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+        marker.renderOrder = 10;
+        // Sized to the field so markers stay visible at any domain scale
+        marker.scale.setScalar(this.velocityField.bounds.min.distanceTo(this.velocityField.bounds.max) * 0.006);
+        return marker;
+    }
+
+    addPoint(position) {
+        const marker = this.createMarker();
+        marker.position.copy(position);
+        this.scene.add(marker);
+        this.points.push({ id: this.nextId++, position: position.clone(), marker, sample: null });
+        this.refresh();
+    }
+
+    removePoint(id) {
+        const index = this.points.findIndex(point => point.id === id);
+        if (index < 0) return;
+        this.scene.remove(this.points[index].marker);
+        this.points.splice(index, 1);
+        this.refresh();
+    }
+
+    setLine(start, end) {
+        this.line = { start: start.clone(), end: end.clone(), samples: [] };
+        this.showLine(start, end);
+        this.refresh();
+    }
+
+    showLine(start, end) {
+        this.lineObject.geometry.setFromPoints([start, end]);
+        this.lineEnds[0].position.copy(start);
+        this.lineEnds[1].position.copy(end);
+        [this.lineObject, ...this.lineEnds].forEach(object => { object.visible = true; });
+    }
+
+    clear() {
+        this.points.forEach(point => this.scene.remove(point.marker));
+        this.points = [];
+        this.line = null;
+        [this.lineObject, ...this.lineEnds].forEach(object => { object.visible = false; });
+        this.refresh();
+    }
+
+    /**
+     * Resample every probe from the current field
+     */
+    refresh() {
+        const field = this.velocityField.readData();
+        const probe = field ? new FieldProbe(field, this.velocityField.freestream) : null;
+
+        this.points.forEach(point => {
+            point.sample = probe ? probe.sample(point.position.toArray()) : null;
+        });
+        if (this.line) {
+            this.line.samples = probe
+                ? probe.sampleLine(this.line.start.toArray(), this.line.end.toArray(), ProbeTool.LINE_SAMPLES)
+                : [];
+        }
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Keep probes live on time-dependent fields (a few times per second)
+     */
+    update(time) {
+        if (!this.velocityField.isDynamic || (!this.points.length && !this.line)) return;
+        if (time - this.lastRefresh < 500) return;
+        this.lastRefresh = time;
+        this.refresh();
+    }
+
+    pick(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        // Slices extend past the grid, where there is nothing to probe
+        const bounds = this.velocityField.bounds;
+        const targets = this.targets().filter(object => object && object.visible);
+        const hit = this.raycaster.intersectObjects(targets, false).find(h => bounds.containsPoint(h.point));
+        return hit ? hit.point.clone() : null;
+    }
+
+    onPointerDown(event) {
+        if (this.mode === 'off' || event.button !== 0 || this.blocked()) return;
+
+        const hit = this.pick(event);
+        this.pointerDown = { x: event.clientX, y: event.clientY, hit };
+
+        if (this.mode === 'line' && hit) {
+            // Drawing the line must not orbit the camera
+            this.controls.enabled = false;
+            this.drag = { start: hit, end: hit.clone() };
+        }
+    }
+
+    onPointerMove(event) {
+        if (!this.drag) return;
+        const hit = this.pick(event);
+        if (hit) this.drag.end.copy(hit);
+        this.showLine(this.drag.start, this.drag.end);
+    }
+
+    onPointerUp(event) {
+        const down = this.pointerDown;
+        this.pointerDown = null;
+
+        if (this.drag) {
+            const { start, end } = this.drag;
+            this.cancelDrag();
+            if (start.distanceTo(end) > 1e-6) this.setLine(start, end);
+            else if (this.line) this.showLine(this.line.start, this.line.end);
+            return;
+        }
+
+        // A click, not the end of an orbit drag
+        if (this.mode === 'point' && down && down.hit &&
+            Math.hypot(event.clientX - down.x, event.clientY - down.y) < 4) {
+            this.addPoint(down.hit);
+        }
+    }
+
+    cancelDrag() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.controls.enabled = true;
+        if (!this.line) [this.lineObject, ...this.lineEnds].forEach(object => { object.visible = false; });
+    }
+
+    dispose() {
+        this.clear();
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        [this.lineObject, ...this.lineEnds].forEach(object => this.scene.remove(object));
+        this.lineObject.geometry.dispose();
+        this.lineObject.material.dispose();
+        this.markerGeometry.dispose();
+        this.markerMaterial.dispose();
+    }
+}
+
+export default ProbeTool;
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { ColorLegend } from './ColorLegend.js';
 
 export class SceneManager {
+    // Largest tile rendered at once by capture()
+    static CAPTURE_TILE = 2048;
+    // Preferred first; MediaRecorder picks the first it supports
+    static RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
     constructor(canvas) {
         this.canvas = canvas;
         this.scene = new THREE.Scene();
@@ -10,6 +16,7 @@ export class SceneManager {
         this.renderer = new THREE.WebGLRenderer({
             canvas: canvas,
             antialias: true, // MSAA 4x equivalent usually
+            alpha: true,     // Transparent captures; the background covers it on screen
             powerPreference: "high-performance"
         });
         this.renderer.setPixelRatio(1.0); // As per prompt
@@ -23,6 +30,8 @@ export class SceneManager {
         this.controls = new OrbitControls(this.camera, canvas);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
+
+        this.recording = null; // Active video recording, see startRecording()
         
         // Setup lighting
         this.setupLighting();
@@ -85,5 +94,148 @@ export class SceneManager {
 
     render() {
         this.renderer.render(this.scene, this.camera);
+        if (this.recording) this.recordFrame();
+    }
+
+    /**
+     * Render the view to a PNG of any size, in tiles no larger than the GPU
+     * allows. Point sprites and lines keep their pixel size, so they come out
+     * finer at high resolutions.
+     * @param {Object} options - { width, height, transparent: drop the background,
+     *     legends: visible ColorLegends, drawn bottom-left as on screen }
+     * @returns {Promise<Blob>}
+     */
+    capture({ width, height, transparent = false, legends = [] }) {
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const ctx = output.getContext('2d');
+
+        const renderer = this.renderer;
+        const size = renderer.getSize(new THREE.Vector2());
+        const background = this.scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+        const aspect = this.camera.aspect;
+        const gl = renderer.getContext();
+        const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const tile = Math.min(SceneManager.CAPTURE_TILE, maxWidth, maxHeight);
+
+        // three.js draws a background over the whole viewport whatever the view
+        // offset, so tiles are rendered on a clear canvas over one background
+        if (!transparent) this.drawBackground(ctx, width, height, background);
+        this.scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+        this.camera.aspect = width / height;
+        try {
+            // Each tile is a window onto the full-size image; the canvas is read right after drawing
+            for (let y = 0; y < height; y += tile) {
+                for (let x = 0; x < width; x += tile) {
+                    const w = Math.min(tile, width - x);
+                    const h = Math.min(tile, height - y);
+                    renderer.setSize(w, h, false);
+                    this.camera.setViewOffset(width, height, x, y, w, h);
+                    renderer.render(this.scene, this.camera);
+                    ctx.drawImage(renderer.domElement, x, y);
+                }
+            }
+        } finally {
+            this.camera.clearViewOffset();
+            this.camera.aspect = aspect;
+            this.camera.updateProjectionMatrix();
+            this.scene.background = background;
+            renderer.setClearColor(clearColor, clearAlpha);
+            renderer.setSize(size.x, size.y, false);
+        }
+
+        this.drawLegends(ctx, width, height, legends);
+        console.log("📸 Captured", { width, height, tile, transparent });
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    /**
+     * Paint the scene background (gradient texture or colour) across a capture
+     */
+    drawBackground(ctx, width, height, background) {
+        if (background?.isTexture && background.image) {
+            ctx.drawImage(background.image, 0, 0, width, height);
+        } else if (background?.isColor) {
+            ctx.fillStyle = background.getStyle();
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+
+    /**
+     * Record the view as WebM. Frames (with legends) are composited into a
+     * canvas streamed at a fixed frame rate.
+     * @param {Object} options - { fps, legends, bitrate (bits/s) }
+     */
+    startRecording({ fps = 30, legends = [], bitrate = 8e6 } = {}) {
+        if (this.recording) throw new Error('Already recording');
+        if (typeof MediaRecorder === 'undefined') throw new Error('This browser cannot record video');
+        const mimeType = SceneManager.RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) throw new Error('This browser cannot record WebM');
+
+        // Video encoders want even dimensions
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width & ~1;
+        canvas.height = this.canvas.height & ~1;
+        const recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start(1000);
+
+        this.recording = { canvas, ctx: canvas.getContext('2d'), recorder, chunks, legends };
+        console.log("🎥 Recording started", { fps, mimeType, width: canvas.width, height: canvas.height });
+    }
+
+    /**
+     * @returns {Promise<Blob>} The recorded WebM
+     */
+    stopRecording() {
+        if (!this.recording) return Promise.reject(new Error('Not recording'));
+        const { recorder, chunks } = this.recording;
+        this.recording = null;
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                const blob = new Blob(chunks, { type: 'video/webm' });
+                console.log("🎥 Recording stopped", { bytes: blob.size });
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+
+    recordFrame() {
+        const { canvas, ctx, legends } = this.recording;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(this.renderer.domElement, 0, 0, canvas.width, canvas.height);
+        this.drawLegends(ctx, canvas.width, canvas.height, legends);
+    }
+
+    /**
+     * Colour legends stacked in the bottom-left corner like #legend-stack,
+     * scaled with the image height
+     */
+    drawLegends(ctx, width, height, legends) {
+        if (!legends.length) return;
+        const scale = Math.max(1, height / window.innerHeight);
+        const margin = 10, gap = 6;
+        let top = height / scale - margin - legends.length * ColorLegend.HEIGHT - (legends.length - 1) * gap;
+
+        ctx.save();
+        ctx.scale(scale, scale);
+        legends.forEach(legend => {
+            ctx.save();
+            ctx.translate(margin, top);
+            legend.draw(ctx, ColorLegend.WIDTH, ColorLegend.HEIGHT);
+            ctx.restore();
+            top += ColorLegend.HEIGHT + gap;
+        });
+        ctx.restore();
     }
 }
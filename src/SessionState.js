@@ -0,0 +1,315 @@
+/**
+ * Session presets: flow, domain, particle and display settings, emitters,
+ * camera pose, domain box and geometry as one versioned JSON document.
+ *
+ * Settings live in the control panel, so they are captured from the controls
+ * listed in CONTROLS and restored by setting those controls and firing their
+ * input/change events: a restored setting takes the same path as a user edit.
+ * Geometry is kept by reference (library shape, default sphere, file name) or,
+ * for files, optionally embedded as base64.
+ *
+ * Documents can be saved to a file, autosaved to localStorage, or shortened
+ * into a URL hash holding only what differs from the defaults.
+ */
+export class SessionState {
+    static FORMAT = 'flow-session';
+    static VERSION = 1;
+    static STORAGE_KEY = 'flow-session';
+    static HASH_KEY = 'session';
+    // Largest geometry file embedded in the autosave (localStorage holds a few MB)
+    static AUTOSAVE_EMBED_LIMIT = 1024 * 1024;
+    static AUTOSAVE_DELAY = 1000;
+
+    // Restored in this order: flow and domain, mesh options before the geometry
+    // is reloaded, then particles and display. Checkboxes store `checked`.
+    static CONTROLS = [
+        'flow-method', 'reynolds-number', 'freestream-speed', 'angle-of-attack', 'yaw-angle',
+        'domain-auto-fit', 'domain-upstream', 'domain-downstream', 'domain-lateral', 'grid-nx', 'grid-ny', 'grid-nz', 'domain-show-box',
+        'mesh-highlight', 'repair-holes', 'repair-orientation',
+        'emission-rate', 'particle-lifespan', 'speed-multiplier', 'trail-length', 'integrator', 'tracer-mode', 'drag-coefficient',
+        'emitter-color-particles', 'emitter-gizmo', 'emitter-show',
+        'sim-speed', 'sim-timestep', 'sim-substeps', 'sim-seed',
+        'color-scalar', 'colormap', 'color-auto-range', 'color-min', 'color-max',
+        'glyph-enabled', 'glyph-shape', 'glyph-density', 'glyph-scale', 'glyph-skip-solid', 'glyph-slab', 'glyph-slab-position',
+        'iso-enabled', 'iso-quantity', 'cp-enabled'
+    ];
+
+    /**
+     * @param {Object} options - { sceneManager, objLoader, emitters, domain }
+     */
+    constructor({ sceneManager, objLoader, emitters, domain }) {
+        this.sceneManager = sceneManager;
+        this.objLoader = objLoader;
+        this.emitters = emitters;
+        this.domain = domain;
+        this.autosaveEnabled = true;
+        this.autosaveTimer = null;
+        this.applying = false;
+        // Control values at startup; URL hashes only carry the differences
+        this.defaults = this.readControls();
+    }
+
+    /**
+     * @param {Object} options - { embedGeometry: include a loaded file's contents }
+     * @returns {Object} Session document
+     */
+    capture({ embedGeometry = false } = {}) {
+        const { camera, controls } = this.sceneManager;
+        return {
+            format: SessionState.FORMAT,
+            version: SessionState.VERSION,
+            savedAt: new Date().toISOString(),
+            controls: this.readControls(),
+            emitters: this.emitters.toJSON(),
+            camera: { position: camera.position.toArray(), target: controls.target.toArray() },
+            domain: this.captureDomain(),
+            geometry: this.captureGeometry(embedGeometry)
+        };
+    }
+
+    /**
+     * Restore a session document. The caller rebuilds the field afterwards.
+     * @returns {Promise<{warnings: string[]}>} What could not be restored
+     */
+    async apply(state) {
+        SessionState.check(state);
+        const warnings = [];
+        this.applying = true;
+        try {
+            this.writeControls(state.controls || {});
+            if (state.domain) this.applyDomain(state.domain);
+            if (state.geometry) await this.applyGeometry(state.geometry, warnings);
+            if (state.emitters) this.emitters.fromJSON(state.emitters);
+            if (state.camera) {
+                const { camera, controls } = this.sceneManager;
+                camera.position.fromArray(state.camera.position);
+                controls.target.fromArray(state.camera.target);
+                controls.update();
+            }
+        } finally {
+            this.applying = false;
+        }
+        console.log("💾 Session restored", { savedAt: state.savedAt, warnings });
+        return { warnings };
+    }
+
+    /**
+     * Throw unless this is a session document this version can read
+     */
+    static check(state) {
+        if (!state || state.format !== SessionState.FORMAT) throw new Error('Not a session file');
+        if (!(state.version <= SessionState.VERSION)) {
+            throw new Error(`Session version ${state.version} is newer than this viewer (${SessionState.VERSION})`);
+        }
+    }
+
+    serialize(state) {
+        return JSON.stringify(state, null, 2);
+    }
+
+    parse(text) {
+        const state = JSON.parse(text);
+        SessionState.check(state);
+        return state;
+    }
+
+    /**
+     * Compact URL hash: changed controls, emitters, camera and the geometry
+     * reference (never embedded), with numbers rounded
+     * @returns {string} e.g. 'session=eyJ2Ijox...'
+     */
+    toHash(state) {
+        const controls = {};
+        Object.entries(state.controls).forEach(([id, value]) => {
+            if (this.defaults[id] !== value) controls[id] = value;
+        });
+        const { data, ...geometry } = state.geometry;
+        const compact = {
+            v: state.version,
+            c: controls,
+            e: state.emitters,
+            cam: [...state.camera.position, ...state.camera.target],
+            d: state.domain,
+            g: geometry
+        };
+        const json = JSON.stringify(compact, (key, value) => typeof value === 'number' ? +value.toPrecision(5) : value);
+        const encoded = bytesToBase64(new TextEncoder().encode(json)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${SessionState.HASH_KEY}=${encoded}`;
+    }
+
+    /**
+     * Session document from a URL hash made by toHash()
+     * @returns {Object|null} null if the hash holds no session
+     */
+    fromHash(hash) {
+        const match = hash.match(new RegExp(`[#&]?${SessionState.HASH_KEY}=([A-Za-z0-9_-]+)`));
+        if (!match) return null;
+        const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+        const compact = JSON.parse(new TextDecoder().decode(base64ToBytes(base64)));
+        return {
+            format: SessionState.FORMAT,
+            version: compact.v,
+            controls: { ...this.defaults, ...compact.c },
+            emitters: compact.e,
+            camera: compact.cam ? { position: compact.cam.slice(0, 3), target: compact.cam.slice(3, 6) } : null,
+            domain: compact.d,
+            geometry: compact.g
+        };
+    }
+
+    /**
+     * Save to localStorage shortly after the last change
+     */
+    scheduleAutosave() {
+        if (!this.autosaveEnabled) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), SessionState.AUTOSAVE_DELAY);
+    }
+
+    autosave() {
+        if (this.applying) return;
+        const source = this.objLoader.source;
+        const embed = source?.kind === 'file' && source.buffer.byteLength <= SessionState.AUTOSAVE_EMBED_LIMIT;
+        try {
+            localStorage.setItem(SessionState.STORAGE_KEY, JSON.stringify(this.capture({ embedGeometry: embed })));
+        } catch (err) {
+            // Storage full or unavailable: keep the geometry by reference instead
+            try {
+                localStorage.setItem(SessionState.STORAGE_KEY, JSON.stringify(this.capture()));
+            } catch (err2) {
+                console.warn('Session autosave failed', err2);
+            }
+        }
+    }
+
+    /**
+     * @returns {Object|null} The autosaved session, if there is a readable one
+     */
+    loadAutosave() {
+        try {
+            const text = localStorage.getItem(SessionState.STORAGE_KEY);
+            return text ? this.parse(text) : null;
+        } catch (err) {
+            console.warn('Ignoring unreadable autosave', err);
+            return null;
+        }
+    }
+
+    clearAutosave() {
+        clearTimeout(this.autosaveTimer);
+        try {
+            localStorage.removeItem(SessionState.STORAGE_KEY);
+        } catch (err) {
+            console.warn('Could not clear the autosave', err);
+        }
+    }
+
+    readControls() {
+        const values = {};
+        SessionState.CONTROLS.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) values[id] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return values;
+    }
+
+    /**
+     * Set the controls and fire their events, so their handlers apply them
+     */
+    writeControls(values) {
+        SessionState.CONTROLS.forEach(id => {
+            const input = document.getElementById(id);
+            if (!input || !(id in values)) return;
+            if (input.type === 'checkbox') input.checked = !!values[id];
+            else input.value = values[id];
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    captureDomain() {
+        const { box, resolution, cubicCells } = this.domain;
+        return { min: box.min.toArray(), max: box.max.toArray(), resolution: [...resolution], cubicCells };
+    }
+
+    /**
+     * Node counts, and the box itself when it isn't fitted to the body
+     * (auto-fit was restored with the controls)
+     */
+    applyDomain({ min, max, resolution, cubicCells }) {
+        if (!this.domain.autoFit) {
+            // Exactly as saved: no refit, no snapping to cubic cells
+            this.domain.setResolution(...resolution);
+            this.domain.setBox(min, max);
+            this.domain.cubicCells = cubicCells;
+        } else if (cubicCells) {
+            this.domain.setCubicResolution(Math.max(...resolution));
+        } else {
+            this.domain.setResolution(...resolution);
+        }
+    }
+
+    captureGeometry(embed) {
+        const source = this.objLoader.source || { kind: 'sphere' };
+        const geometry = source.kind === 'file'
+            ? { kind: 'file', name: source.name }
+            : { ...source };
+        if (source.kind === 'file' && embed) geometry.data = bytesToBase64(new Uint8Array(source.buffer));
+        geometry.parts = this.objLoader.parts.map(({ mesh }) => ({
+            visible: mesh.visible,
+            wireframe: mesh.getObjectByName('wireframe').visible,
+            obstacle: mesh.userData.obstacle
+        }));
+        return geometry;
+    }
+
+    async applyGeometry(geometry, warnings) {
+        const current = this.objLoader.source;
+        switch (geometry.kind) {
+            case 'shape':
+                this.objLoader.loadShape(geometry.type, geometry.params);
+                break;
+            case 'sphere':
+                if (current?.kind !== 'sphere') this.objLoader.createDefaultSphere();
+                break;
+            case 'file':
+                if (geometry.data) {
+                    await this.objLoader.loadFromBuffer(base64ToBytes(geometry.data).buffer, geometry.name);
+                } else if (current?.kind !== 'file' || current.name !== geometry.name) {
+                    // Referenced only: the file has to come from the user
+                    warnings.push(`The session uses the geometry file "${geometry.name}". Load it to restore the body.`);
+                    return;
+                }
+                break;
+            default:
+                warnings.push(`Unknown geometry source "${geometry.kind}"`);
+                return;
+        }
+
+        (geometry.parts || []).forEach((flags, i) => {
+            const part = this.objLoader.parts[i];
+            if (!part) return;
+            this.objLoader.setPartVisible(part.id, flags.visible);
+            this.objLoader.setPartWireframe(part.id, flags.wireframe);
+            this.objLoader.setPartObstacle(part.id, flags.obstacle);
+        });
+    }
+}
+
+function bytesToBase64(bytes) {
+    // Chunked, as String.fromCharCode takes its bytes as arguments
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+export default SessionState;
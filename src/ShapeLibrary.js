@@ -0,0 +1,316 @@
+import * as THREE from 'three';
+
+/**
+ * Parametric bodies that don't need a file: cylinder, box, ellipsoid, torus,
+ * flat plate and NACA 4/5-digit wings.
+ *
+ * Shapes are built with the flow in mind: length or chord along x (leading
+ * edge towards -x), thickness along y, span along z. Like loaded files they go
+ * through OBJLoader normalization, so only the proportions matter.
+ * SHAPES describes each shape's parameters for the UI.
+ */
+export class ShapeLibrary {
+    static SHAPES = {
+        cylinder: {
+            label: 'Cylinder',
+            params: {
+                diameter: { label: 'Diameter', value: 0.5, min: 0.05, max: 5, step: 0.05 },
+                length: { label: 'Length (span)', value: 2, min: 0.1, max: 10, step: 0.1 }
+            }
+        },
+        box: {
+            label: 'Box',
+            params: {
+                length: { label: 'Length (x)', value: 1, min: 0.05, max: 10, step: 0.05 },
+                height: { label: 'Height (y)', value: 0.5, min: 0.05, max: 10, step: 0.05 },
+                width: { label: 'Width (z)', value: 0.5, min: 0.05, max: 10, step: 0.05 }
+            }
+        },
+        ellipsoid: {
+            label: 'Ellipsoid',
+            params: {
+                length: { label: 'Length (x)', value: 1, min: 0.05, max: 10, step: 0.05 },
+                height: { label: 'Height (y)', value: 0.4, min: 0.05, max: 10, step: 0.05 },
+                width: { label: 'Width (z)', value: 0.4, min: 0.05, max: 10, step: 0.05 }
+            }
+        },
+        torus: {
+            label: 'Torus',
+            params: {
+                diameter: { label: 'Ring diameter', value: 1, min: 0.1, max: 10, step: 0.05 },
+                thickness: { label: 'Tube thickness', value: 0.2, min: 0.01, max: 5, step: 0.01 }
+            }
+        },
+        plate: {
+            label: 'Flat Plate',
+            params: {
+                chord: { label: 'Chord', value: 1, min: 0.05, max: 10, step: 0.05 },
+                span: { label: 'Span', value: 2, min: 0.05, max: 20, step: 0.05 },
+                thickness: { label: 'Thickness (% chord)', value: 2, min: 0.1, max: 30, step: 0.1 },
+                camber: { label: 'Camber (% chord)', value: 0, min: 0, max: 20, step: 0.5 }
+            }
+        },
+        wing: {
+            label: 'NACA Wing',
+            params: {
+                code: { label: 'NACA 4/5-digit', value: '2412' },
+                chord: { label: 'Root chord', value: 1, min: 0.05, max: 10, step: 0.05 },
+                aspectRatio: { label: 'Aspect ratio', value: 4, min: 0.5, max: 30, step: 0.5 },
+                planform: { label: 'Planform', value: 'extruded', options: { extruded: 'Extruded (rectangular)', elliptic: 'Finite span (elliptic)' } }
+            }
+        }
+    };
+
+    // Points per airfoil surface and spanwise stations of tapered planforms
+    static SECTION_POINTS = 60;
+    static SPAN_STATIONS = 40;
+    // Smallest gap between tip points, relative to the wing's size: three times
+    // the distance MeshValidator welds, so loaded and exported wings stay closed
+    static MIN_TIP_FEATURE = 3e-5;
+
+    /**
+     * Default parameter values of a shape
+     */
+    static defaults(type) {
+        const shape = ShapeLibrary.SHAPES[type];
+        if (!shape) throw new Error(`Unknown shape: ${type}`);
+        return Object.fromEntries(Object.entries(shape.params).map(([key, param]) => [key, param.value]));
+    }
+
+    /**
+     * Build a shape as a named mesh, ready for OBJLoader.processObject
+     * @param {string} type - Key of ShapeLibrary.SHAPES
+     * @param {Object} params - Overrides of the defaults
+     * @returns {THREE.Mesh}
+     */
+    static create(type, params = {}) {
+        const p = { ...ShapeLibrary.defaults(type), ...params };
+        let geometry;
+        let name = ShapeLibrary.SHAPES[type].label;
+
+        switch (type) {
+            case 'cylinder':
+                // Axis along the span, so the flow crosses it
+                geometry = new THREE.CylinderGeometry(p.diameter / 2, p.diameter / 2, p.length, 48, 1);
+                geometry.rotateX(Math.PI / 2);
+                break;
+            case 'box':
+                geometry = new THREE.BoxGeometry(p.length, p.height, p.width);
+                break;
+            case 'ellipsoid':
+                geometry = new THREE.SphereGeometry(0.5, 48, 32);
+                geometry.scale(p.length, p.height, p.width);
+                break;
+            case 'torus':
+                // Ring facing the flow
+                geometry = new THREE.TorusGeometry(p.diameter / 2, p.thickness / 2, 24, 64);
+                geometry.rotateY(Math.PI / 2);
+                break;
+            case 'plate':
+                geometry = extrudeSection(plateSection(p.thickness / 100, p.camber / 100), stations(p.chord, p.span, 'extruded'));
+                break;
+            case 'wing': {
+                const code = String(p.code).trim();
+                const span = p.planform === 'elliptic'
+                    ? p.aspectRatio * Math.PI * p.chord / 4  // AR = span² / area, area = π/4 · span · root chord
+                    : p.aspectRatio * p.chord;
+                const section = ShapeLibrary.nacaSection(code);
+                // Narrowest tip whose points are still that far apart
+                const tipChord = ShapeLibrary.MIN_TIP_FEATURE * Math.hypot(span, p.chord) / smallestFeature(section);
+                geometry = extrudeSection(section, stations(p.chord, span, p.planform, tipChord));
+                name = `NACA ${code} wing`;
+                break;
+            }
+            default:
+                throw new Error(`Unknown shape: ${type}`);
+        }
+
+        const mesh = new THREE.Mesh(geometry);
+        mesh.name = name;
+        return mesh;
+    }
+
+    /**
+     * Unit-chord NACA section, points crowded towards the leading edge
+     * (half-cosine), with a closed trailing edge
+     * @param {string} code - 4-digit (MPTT) or 5-digit (LPQTT) designation
+     * @returns {{upper: number[][], lower: number[][]}} [x, y] from leading to trailing edge
+     */
+    static nacaSection(code, points = ShapeLibrary.SECTION_POINTS) {
+        if (!/^\d{4,5}$/.test(code)) throw new Error(`Not a NACA 4- or 5-digit code: ${code}`);
+        const thickness = parseInt(code.slice(-2)) / 100;
+        if (thickness <= 0) throw new Error(`NACA ${code} has zero thickness`);
+        const camber = code.length === 4 ? camber4(code) : camber5(code);
+
+        const upper = [], lower = [];
+        for (let i = 0; i <= points; i++) {
+            const x = 1 - Math.cos(Math.PI / 2 * i / points);
+            // Thickness distribution, last coefficient closing the trailing edge
+            const yt = 5 * thickness * (0.2969 * Math.sqrt(x) - 0.1260 * x - 0.3516 * x * x + 0.2843 * x ** 3 - 0.1036 * x ** 4);
+            const { yc, slope } = camber(x);
+            const theta = Math.atan(slope);
+            upper.push([x - yt * Math.sin(theta), yc + yt * Math.cos(theta)]);
+            lower.push([x + yt * Math.sin(theta), yc - yt * Math.cos(theta)]);
+        }
+        return { upper, lower };
+    }
+}
+
+/**
+ * 4-digit camber line: maximum camber M% at P tenths of the chord
+ */
+function camber4(code) {
+    const m = parseInt(code[0]) / 100;
+    const p = parseInt(code[1]) / 10;
+    if (m === 0 || p === 0) return () => ({ yc: 0, slope: 0 });
+    return (x) => x < p
+        ? { yc: m / (p * p) * (2 * p * x - x * x), slope: 2 * m / (p * p) * (p - x) }
+        : { yc: m / ((1 - p) ** 2) * (1 - 2 * p + 2 * p * x - x * x), slope: 2 * m / ((1 - p) ** 2) * (p - x) };
+}
+
+/**
+ * 5-digit camber line: design lift 0.15·L, maximum camber at P/20 of the
+ * chord, Q = 1 for the reflexed variant (Abbott & von Doenhoff constants)
+ */
+function camber5(code) {
+    const L = parseInt(code[0]), P = parseInt(code[1]), Q = parseInt(code[2]);
+    const standard = {
+        1: { r: 0.0580, k1: 361.4 }, 2: { r: 0.1260, k1: 51.64 }, 3: { r: 0.2025, k1: 15.957 },
+        4: { r: 0.2900, k1: 6.643 }, 5: { r: 0.3910, k1: 3.230 }
+    };
+    const reflexed = {
+        2: { r: 0.1300, k1: 51.99, k21: 0.000764 }, 3: { r: 0.2170, k1: 15.793, k21: 0.00677 },
+        4: { r: 0.3180, k1: 6.520, k21: 0.0303 }, 5: { r: 0.4410, k1: 3.191, k21: 0.1355 }
+    };
+    const row = (Q === 1 ? reflexed : Q === 0 ? standard : {})[P];
+    if (!row) throw new Error(`Unsupported NACA 5-digit camber line: ${code.slice(0, 3)}`);
+
+    // The tabulated constants are for a design lift coefficient of 0.3
+    const k1 = row.k1 * (0.15 * L) / 0.3;
+    const { r } = row;
+    if (Q === 0) {
+        return (x) => x < r
+            ? { yc: k1 / 6 * (x ** 3 - 3 * r * x * x + r * r * (3 - r) * x), slope: k1 / 6 * (3 * x * x - 6 * r * x + r * r * (3 - r)) }
+            : { yc: k1 / 6 * r ** 3 * (1 - x), slope: -k1 / 6 * r ** 3 };
+    }
+    const { k21 } = row;
+    return (x) => x < r
+        ? {
+            yc: k1 / 6 * ((x - r) ** 3 - k21 * (1 - r) ** 3 * x - r ** 3 * x + r ** 3),
+            slope: k1 / 6 * (3 * (x - r) ** 2 - k21 * (1 - r) ** 3 - r ** 3)
+        }
+        : {
+            yc: k1 / 6 * (k21 * (x - r) ** 3 - k21 * (1 - r) ** 3 * x - r ** 3 * x + r ** 3),
+            slope: k1 / 6 * (3 * k21 * (x - r) ** 2 - k21 * (1 - r) ** 3 - r ** 3)
+        };
+}
+
+/**
+ * Unit-chord plate of constant thickness on a parabolic camber line, with
+ * blunt leading and trailing edges
+ */
+function plateSection(thickness, camber, points = 24) {
+    const upper = [], lower = [];
+    for (let i = 0; i <= points; i++) {
+        const x = i / points;
+        const yc = 4 * camber * x * (1 - x);
+        upper.push([x, yc + thickness / 2]);
+        lower.push([x, yc - thickness / 2]);
+    }
+    return { upper, lower };
+}
+
+/**
+ * Shortest distance between two distinct points of a unit-chord section
+ */
+function smallestFeature({ upper, lower }) {
+    const points = [...upper, ...lower];
+    let smallest = Infinity;
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            const d = Math.hypot(points[i][0] - points[j][0], points[i][1] - points[j][1]);
+            if (d > 1e-9 && d < smallest) smallest = d;
+        }
+    }
+    return smallest;
+}
+
+/**
+ * Spanwise stations: constant chord, or an elliptic chord distribution with
+ * a straight quarter-chord line (tips kept at 5% of the root, or at minChord
+ * if that is larger, so they close)
+ * @returns {Array<{z: number, chord: number, x: number}>}
+ */
+function stations(rootChord, span, planform, minChord = 0) {
+    if (planform !== 'elliptic') {
+        return [-span / 2, span / 2].map(z => ({ z, chord: rootChord, x: 0 }));
+    }
+    const list = [];
+    const n = ShapeLibrary.SPAN_STATIONS;
+    const tip = Math.min(Math.max(0.05 * rootChord, minChord), rootChord);
+    for (let i = 0; i <= n; i++) {
+        // Cosine spacing crowds stations at the tips, where the chord changes fastest
+        const eta = -Math.cos(Math.PI * i / n);
+        const chord = Math.max(rootChord * Math.sqrt(Math.max(0, 1 - eta * eta)), tip);
+        list.push({ z: eta * span / 2, chord, x: 0.25 * (rootChord - chord) });
+    }
+    return list;
+}
+
+/**
+ * Sweep a unit-chord section through spanwise stations into a closed,
+ * outward-wound indexed geometry (flat end caps)
+ */
+function extrudeSection({ upper, lower }, spanStations) {
+    const same = (a, b) => Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+
+    // One ring per station; sharp leading/trailing edges share their vertex
+    const ring = [...upper];
+    const lowerIndex = lower.map((point, i) => {
+        if (same(point, upper[i])) return i;
+        ring.push(point);
+        return ring.length - 1;
+    });
+    const n = upper.length - 1;
+    // Closed outline: upper surface forward, lower surface back
+    const loop = [...upper.keys()];
+    for (let i = n; i >= 0; i--) {
+        if (lowerIndex[i] !== loop[loop.length - 1] && lowerIndex[i] !== loop[0]) loop.push(lowerIndex[i]);
+    }
+
+    const positions = [];
+    spanStations.forEach(({ z, chord, x }) => {
+        ring.forEach(([px, py]) => positions.push(x + px * chord, py * chord, z));
+    });
+
+    const indices = [];
+    const triangle = (a, b, c) => {
+        if (a !== b && b !== c && c !== a) indices.push(a, b, c);
+    };
+    // Sides
+    for (let s = 0; s < spanStations.length - 1; s++) {
+        const a0 = s * ring.length, a1 = (s + 1) * ring.length;
+        for (let k = 0; k < loop.length; k++) {
+            const i = loop[k], j = loop[(k + 1) % loop.length];
+            triangle(a0 + i, a1 + i, a1 + j);
+            triangle(a0 + i, a1 + j, a0 + j);
+        }
+    }
+    // Caps: strips between matching upper and lower points
+    const last = (spanStations.length - 1) * ring.length;
+    for (let i = 0; i < n; i++) {
+        const quad = [i, i + 1, lowerIndex[i + 1], lowerIndex[i]];
+        triangle(quad[0], quad[1], quad[2]);
+        triangle(quad[0], quad[2], quad[3]);
+        triangle(last + quad[0], last + quad[2], last + quad[1]);
+        triangle(last + quad[0], last + quad[3], last + quad[2]);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+export default ShapeLibrary;
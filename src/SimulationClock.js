@@ -0,0 +1,135 @@
+/**
+ * Simulation time, decoupled from the wall clock.
+ *
+ * Each frame, tick() turns the elapsed wall time (times the playback speed)
+ * into whole steps of fixedStep simulation seconds, each split into
+ * `substeps` equal sub-steps. Frame hitches then change how many steps run,
+ * never their size, so a run takes the same path on any machine. Long frames
+ * are capped, and a step backlog the machine can't catch up on is dropped
+ * (the simulation slows down instead). With fixedStep 0 the step follows the
+ * frame time, as before.
+ *
+ * While paused, step() queues single steps. random() gives the seeded
+ * generator used for anything random at a reset.
+ */
+export class SimulationClock {
+    static MAX_FRAME_TIME = 0.1;     // Wall seconds a single frame may account for
+    static MAX_STEPS_PER_FRAME = 8;
+    static MAX_SEED = 65535;         // Seeds reach the shaders as floats
+
+    /**
+     * @param {Object} options - { fixedStep (s, 0 for the frame time), substeps, speed, seed }
+     */
+    constructor(options = {}) {
+        this.fixedStep = options.fixedStep ?? 1 / 60;
+        this.substeps = options.substeps ?? 1;
+        this.speed = options.speed ?? 1;
+        this.seed = options.seed ?? 1;
+        this.paused = false;
+        this.time = 0;          // Simulation seconds since reset
+        this.steps = 0;         // Steps since reset
+        this.accumulator = 0;   // Simulation time not yet stepped
+        this.pendingSteps = 0;  // Single steps requested while paused
+    }
+
+    /**
+     * Advance by one frame
+     * @param {number} wallDelta - Wall seconds since the previous frame
+     * @returns {Array<{time: number, dt: number, endOfStep: boolean}>} Sub-steps to run,
+     *     with the simulation time after each
+     */
+    tick(wallDelta) {
+        const frame = Math.min(Math.max(wallDelta || 0, 0), SimulationClock.MAX_FRAME_TIME);
+        let steps = 0;
+        let stepSize = this.fixedStep;
+
+        if (this.paused) {
+            steps = this.pendingSteps;
+            stepSize = this.fixedStep || 1 / 60;
+        } else if (this.fixedStep > 0) {
+            this.accumulator += frame * this.speed;
+            steps = Math.floor(this.accumulator / this.fixedStep);
+            this.accumulator -= steps * this.fixedStep;
+            if (steps > SimulationClock.MAX_STEPS_PER_FRAME) steps = SimulationClock.MAX_STEPS_PER_FRAME;
+        } else if (frame > 0) {
+            steps = 1;
+            stepSize = frame * this.speed;
+        }
+        this.pendingSteps = 0;
+
+        const dt = stepSize / this.substeps;
+        const substeps = [];
+        for (let i = 0; i < steps; i++) {
+            for (let k = 0; k < this.substeps; k++) {
+                this.time += dt;
+                substeps.push({ time: this.time, dt, endOfStep: k === this.substeps - 1 });
+            }
+            this.steps++;
+        }
+        return substeps;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Pause and run `count` steps on the next frame
+     */
+    step(count = 1) {
+        this.paused = true;
+        this.pendingSteps += count;
+    }
+
+    /**
+     * Back to time zero (the caller re-seeds whatever the clock drives)
+     */
+    reset() {
+        this.time = 0;
+        this.steps = 0;
+        this.accumulator = 0;
+        this.pendingSteps = 0;
+    }
+
+    setSpeed(speed) {
+        if (speed > 0) this.speed = speed;
+    }
+
+    /**
+     * @param {number} fixedStep - Simulation seconds per step; 0 follows the frame time
+     */
+    setFixedStep(fixedStep) {
+        this.fixedStep = Math.max(0, fixedStep || 0);
+        this.accumulator = 0;
+    }
+
+    setSubsteps(substeps) {
+        this.substeps = Math.min(Math.max(Math.round(substeps) || 1, 1), 16);
+    }
+
+    setSeed(seed) {
+        this.seed = Math.min(Math.max(Math.round(seed) || 0, 0), SimulationClock.MAX_SEED);
+    }
+
+    /**
+     * Seeded uniform generator in [0, 1) (mulberry32), identical on every machine
+     * @returns {function(): number}
+     */
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+export default SimulationClock;
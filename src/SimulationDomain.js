@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+/**
+ * The simulation domain: one box and grid shared by the field generator, the
+ * particle bounds and every shader that samples the field.
+ *
+ * With auto-fit on, the box wraps the body's bounds plus margins measured in
+ * body lengths (the body's largest dimension): upstream and downstream along
+ * the freestream direction, lateral across it. At zero angles that is -x, +x
+ * and ±y/±z. Otherwise the box is set directly.
+ *
+ * By default the cells are kept cubic: `longestNodes` nodes along the box's
+ * longest side, the other counts derived from it and the box grown to a whole
+ * number of cells. Setting the counts by hand gives each axis its own, so long
+ * wakes can get more cells along x. Potential flow, the radial model and
+ * Navier-Stokes take per-axis cell sizes; lattice Boltzmann needs cubic cells.
+ * Dispatches 'change' whenever the box or the resolution changes.
+ */
+export class SimulationDomain extends THREE.EventDispatcher {
+    static MIN_NODES = 8;
+    static MAX_NODES = 256;
+
+    /**
+     * @param {THREE.Scene} scene - Receives the (initially hidden) box helper
+     */
+    constructor(scene) {
+        super();
+        this.scene = scene;
+        this.box = new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+        this.resolution = [64, 64, 64];
+        this.cubicCells = true;   // Derive the node counts from the box (false once set by hand)
+        this.longestNodes = 64;
+        this.autoFit = true;
+        this.margins = { upstream: 1.0, downstream: 2.0, lateral: 1.0 };
+        this.bodyBounds = null;
+        this.flowDirection = new THREE.Vector3(1, 0, 0);
+
+        // Box3Helper tracks the box it was given, so it never needs rebuilding
+        this.helper = new THREE.Box3Helper(this.box, 0x66bb6a);
+        this.helper.visible = false;
+        this.scene.add(this.helper);
+    }
+
+    /**
+     * @param {Object} margins - Any of upstream, downstream, lateral (body lengths)
+     */
+    setMargins(margins) {
+        Object.assign(this.margins, margins);
+        if (this.bodyBounds) this.fit(this.bodyBounds, this.flowDirection);
+    }
+
+    setAutoFit(enabled) {
+        this.autoFit = enabled;
+        if (enabled && this.bodyBounds) this.fit(this.bodyBounds, this.flowDirection);
+    }
+
+    /**
+     * Nodes along x, y and z, set by hand (cells need not be cubic)
+     */
+    setResolution(nx, ny, nz) {
+        this.cubicCells = false;
+        this.resolution = [nx, ny, nz].map(clampNodes);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Cubic cells with `nodes` along the box's longest side
+     */
+    setCubicResolution(nodes) {
+        this.cubicCells = true;
+        this.longestNodes = clampNodes(nodes);
+        this.snapToCubicCells();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Node counts for cubic cells, growing the box about its centre to a whole
+     * number of cells on the shorter sides
+     */
+    snapToCubicCells() {
+        const size = this.box.getSize(new THREE.Vector3()).toArray();
+        const center = this.box.getCenter(new THREE.Vector3()).toArray();
+        const cell = Math.max(...size) / (this.longestNodes - 1);
+        this.resolution = size.map(s => clampNodes(Math.ceil(s / cell - 1e-6) + 1));
+        this.box.min.fromArray(center.map((c, k) => c - (this.resolution[k] - 1) * cell / 2));
+        this.box.max.fromArray(center.map((c, k) => c + (this.resolution[k] - 1) * cell / 2));
+    }
+
+    /**
+     * Set the box by hand (turns auto-fit off)
+     */
+    setBox(min, max) {
+        this.autoFit = false;
+        this.box.min.fromArray(min);
+        this.box.max.fromArray(max);
+        if (this.cubicCells) this.snapToCubicCells();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Wrap the body's bounds (OBJLoader.getMeshBounds) in the margins.
+     * Without auto-fit the bounds are only remembered for later.
+     * @param {{min: THREE.Vector3, max: THREE.Vector3}|null} bounds
+     * @param {number[]|THREE.Vector3} direction - Freestream (VelocityField.freestreamVector)
+     */
+    fit(bounds, direction = this.flowDirection) {
+        this.bodyBounds = bounds;
+        const flow = Array.isArray(direction) ? new THREE.Vector3().fromArray(direction) : direction.clone();
+        if (flow.lengthSq() > 0) this.flowDirection = flow.normalize();
+        if (!this.autoFit || !bounds) return;
+
+        const size = new THREE.Vector3().subVectors(bounds.max, bounds.min);
+        const length = Math.max(size.x, size.y, size.z) || 1;
+        const { upstream, downstream, lateral } = this.margins;
+        // Per axis: the body swept upstream and downstream along the flow,
+        // plus the lateral margin in proportion to how far the axis is across it
+        const d = this.flowDirection.toArray();
+        const below = d.map(c => length * (upstream * Math.max(c, 0) + downstream * Math.max(-c, 0) + lateral * Math.sqrt(1 - c * c)));
+        const above = d.map(c => length * (downstream * Math.max(c, 0) + upstream * Math.max(-c, 0) + lateral * Math.sqrt(1 - c * c)));
+        this.box.min.fromArray(bounds.min.toArray().map((v, k) => v - below[k]));
+        this.box.max.fromArray(bounds.max.toArray().map((v, k) => v + above[k]));
+        if (this.cubicCells) this.snapToCubicCells();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Node-centred grid spanning the box, as the field generator expects it
+     * @returns {{nx:number, ny:number, nz:number, min:number[], step:number[]}}
+     */
+    grid() {
+        const [nx, ny, nz] = this.resolution;
+        const size = this.box.getSize(new THREE.Vector3());
+        return {
+            nx, ny, nz,
+            min: this.box.min.toArray(),
+            step: [size.x / (nx - 1), size.y / (ny - 1), size.z / (nz - 1)]
+        };
+    }
+
+    setHelperVisible(visible) {
+        this.helper.visible = visible;
+    }
+
+    dispose() {
+        this.scene.remove(this.helper);
+        this.helper.dispose();
+    }
+}
+
+function clampNodes(n) {
+    return THREE.MathUtils.clamp(Math.round(n) || SimulationDomain.MIN_NODES, SimulationDomain.MIN_NODES, SimulationDomain.MAX_NODES);
+}
+
+export default SimulationDomain;
@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import {
+    sliceVertexShader, sliceFragmentShader,
+    sliceArrowVertexShader, sliceArrowFragmentShader
+} from './shaders.js';
+
+/**
+ * Cut planes through the velocity field.
+ *
+ * Each slice is a quad sized to the field's diagonal, so it covers the grid in
+ * any orientation; the shader clips it to the grid, colours it with the shared
+ * colour mapping and cuts away the part inside the body. Optional arrows show
+ * the in-plane velocity. The selected slice carries a TransformControls gizmo.
+ */
+export class SlicePlanes extends THREE.EventDispatcher {
+    // Rotations (degrees) turning the quad's +z normal onto each axis
+    static AXES = {
+        x: [0, 90, 0],
+        y: [-90, 0, 0],
+        z: [0, 0, 0]
+    };
+
+    /**
+     * @param {SceneManager} sceneManager
+     * @param {VelocityField} velocityField - Source of the grid bounds
+     * @param {Object} uniforms - Shared field and colour uniforms (ParticleSystem.getDisplayUniforms)
+     */
+    constructor(sceneManager, velocityField, uniforms) {
+        super();
+        this.scene = sceneManager.scene;
+        this.velocityField = velocityField;
+        this.sharedUniforms = uniforms;
+
+        this.slices = [];
+        this.selected = null;
+        this.nextId = 1;
+        this.arrowCount = 24;
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+
+        this.gizmo = new TransformControls(sceneManager.camera, sceneManager.renderer.domElement);
+        this.gizmo.setSize(0.8);
+        // Dragging the gizmo must not orbit the camera
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            sceneManager.controls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => {
+            this.dispatchEvent({ type: 'change', slice: this.selected });
+        });
+        this.scene.add(this.gizmo);
+    }
+
+    /**
+     * Add a slice through the centre of the field
+     * @param {string} axis - 'x' | 'y' | 'z', the plane normal
+     */
+    add(axis = 'x') {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                opacity: { value: 0.9 },
+                ...this.sharedUniforms
+            },
+            vertexShader: sliceVertexShader,
+            fragmentShader: sliceFragmentShader,
+            side: THREE.DoubleSide,
+            transparent: true,
+            // Keeps the arrows drawn on the plane in front of it
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        });
+        const mesh = new THREE.Mesh(this.geometry, material);
+        mesh.frustumCulled = false;
+
+        const arrowGeometry = new THREE.BufferGeometry();
+        arrowGeometry.setDrawRange(0, this.arrowCount * this.arrowCount * 6);
+        const arrows = new THREE.LineSegments(arrowGeometry, new THREE.ShaderMaterial({
+            uniforms: {
+                arrowCount: { value: this.arrowCount },
+                arrowColor: { value: new THREE.Color(0xffffff) },
+                ...this.sharedUniforms
+            },
+            vertexShader: sliceArrowVertexShader,
+            fragmentShader: sliceArrowFragmentShader
+        }));
+        arrows.frustumCulled = false;
+        arrows.visible = false;
+        mesh.add(arrows);
+
+        const slice = { id: this.nextId++, axis, mesh, arrows };
+        this.slices.push(slice);
+        this.scene.add(mesh);
+
+        const { min, max } = this.velocityField.bounds;
+        mesh.position.addVectors(min, max).multiplyScalar(0.5);
+        mesh.rotation.set(...SlicePlanes.AXES[axis].map(THREE.MathUtils.degToRad));
+        this.fitToField(slice);
+
+        this.select(slice.id);
+        console.log("🔪 Slice added", { id: slice.id, axis });
+        return slice;
+    }
+
+    remove(id) {
+        const slice = this.get(id);
+        if (!slice) return;
+
+        if (this.selected === slice) this.select(null);
+        this.scene.remove(slice.mesh);
+        slice.mesh.material.dispose();
+        slice.arrows.geometry.dispose();
+        slice.arrows.material.dispose();
+        this.slices.splice(this.slices.indexOf(slice), 1);
+
+        if (!this.selected && this.slices.length) this.select(this.slices[this.slices.length - 1].id);
+    }
+
+    get(id) {
+        return this.slices.find(slice => slice.id === id) || null;
+    }
+
+    /**
+     * Attach the gizmo to a slice (null detaches it)
+     */
+    select(id) {
+        this.selected = this.get(id);
+        if (this.selected) this.gizmo.attach(this.selected.mesh);
+        else this.gizmo.detach();
+        this.dispatchEvent({ type: 'change', slice: this.selected });
+    }
+
+    /**
+     * @param {string} mode - 'translate' | 'rotate' | 'off'
+     */
+    setGizmoMode(mode) {
+        this.gizmo.enabled = this.gizmo.visible = mode !== 'off';
+        if (mode !== 'off') this.gizmo.setMode(mode);
+    }
+
+    /**
+     * Position (world units) and rotation (degrees, XYZ order) of a slice
+     */
+    getTransform(id) {
+        const slice = this.get(id);
+        if (!slice) return null;
+        return {
+            position: slice.mesh.position.toArray(),
+            rotation: [slice.mesh.rotation.x, slice.mesh.rotation.y, slice.mesh.rotation.z].map(THREE.MathUtils.radToDeg)
+        };
+    }
+
+    setTransform(id, { position, rotation }) {
+        const slice = this.get(id);
+        if (!slice) return;
+        if (position) slice.mesh.position.fromArray(position);
+        if (rotation) slice.mesh.rotation.set(...rotation.map(THREE.MathUtils.degToRad));
+    }
+
+    setArrowsVisible(id, visible) {
+        const slice = this.get(id);
+        if (slice) slice.arrows.visible = visible;
+    }
+
+    /**
+     * Size a slice to the field's diagonal so it spans the grid at any angle
+     */
+    fitToField(slice) {
+        const size = this.velocityField.bounds.min.distanceTo(this.velocityField.bounds.max);
+        slice.mesh.scale.set(size, size, 1);
+    }
+
+    update() {
+        // The field (and its bounds) can be replaced at any time
+        this.slices.forEach(slice => this.fitToField(slice));
+    }
+
+    dispose() {
+        this.slices.slice().forEach(slice => this.remove(slice.id));
+        this.gizmo.dispose();
+        this.scene.remove(this.gizmo);
+        this.geometry.dispose();
+    }
+}
+
+export default SlicePlanes;
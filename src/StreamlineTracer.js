@@ -0,0 +1,158 @@
+/**
+ * CPU streamline tracer following the same rules as the particle shaders:
+ * node-centred trilinear sampling clamped at the grid edge, Euler/RK2/RK4
+ * steps of (1/60 s * speedMultiplier) per frame, massless or inertial
+ * particles, and termination at the particle bounds or the maximum age.
+ */
+
+const INTEGRATORS = { euler: 0, rk2: 1, rk4: 2 };
+const FRAME_TIME = 1 / 60;
+
+export class StreamlineTracer {
+    /**
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} grid
+     * @param {Float32Array} data - RGBA velocity
+     * @param {Object} options - Mirrors the particle uniforms
+     */
+    constructor(grid, data, options = {}) {
+        this.grid = grid;
+        this.data = data;
+        this.integrator = INTEGRATORS[options.integrator] ?? INTEGRATORS.rk4;
+        this.inertial = !!options.inertial;
+        this.dragCoefficient = options.dragCoefficient ?? 10;
+        this.speedMultiplier = options.speedMultiplier ?? 2;
+        this.maxAge = options.maxAge ?? 500;                   // Frames
+        this.boundsMin = options.boundsMin || [-5, -5, -5];
+        this.boundsMax = options.boundsMax || [5, 5, 5];
+        this.initialVelocity = options.initialVelocity || [0.5, 0, 0];
+
+        // Reused per step
+        this.scratch = [0, 0, 0];
+        this.tmp = new Float64Array(6);
+        this.k = [0, 1, 2, 3].map(() => new Float64Array(6));
+    }
+
+    /**
+     * Trilinear velocity at p, written to out
+     */
+    sample(px, py, pz, out) {
+        const { nx, ny, nz, min, step } = this.grid;
+        const data = this.data;
+
+        const fx = clamp((px - min[0]) / step[0], 0, nx - 1);
+        const fy = clamp((py - min[1]) / step[1], 0, ny - 1);
+        const fz = clamp((pz - min[2]) / step[2], 0, nz - 1);
+        const x0 = Math.min(Math.floor(fx), nx - 2), wx = fx - x0;
+        const y0 = Math.min(Math.floor(fy), ny - 2), wy = fy - y0;
+        const z0 = Math.min(Math.floor(fz), nz - 2), wz = fz - z0;
+
+        const i000 = ((z0 * ny + y0) * nx + x0) * 4;
+        const dx = 4, dy = nx * 4, dz = nx * ny * 4;
+
+        for (let c = 0; c < 3; c++) {
+            const i = i000 + c;
+            const c00 = data[i] * (1 - wx) + data[i + dx] * wx;
+            const c10 = data[i + dy] * (1 - wx) + data[i + dy + dx] * wx;
+            const c01 = data[i + dz] * (1 - wx) + data[i + dz + dx] * wx;
+            const c11 = data[i + dz + dy] * (1 - wx) + data[i + dz + dy + dx] * wx;
+            out[c] = (c00 * (1 - wy) + c10 * wy) * (1 - wz) + (c01 * (1 - wy) + c11 * wy) * wz;
+        }
+        return out;
+    }
+
+    /**
+     * Particle ODE: d(pos)/dt = vel, d(vel)/dt = drag * (u(pos) - vel); massless: d(pos)/dt = u(pos)
+     * State and derivative are [x, y, z, vx, vy, vz]
+     */
+    derivative(state, out) {
+        const u = this.sample(state[0], state[1], state[2], this.scratch);
+        for (let c = 0; c < 3; c++) {
+            if (this.inertial) {
+                out[c] = state[3 + c];
+                out[3 + c] = this.dragCoefficient * (u[c] - state[3 + c]);
+            } else {
+                out[c] = u[c];
+                out[3 + c] = 0;
+            }
+        }
+        return out;
+    }
+
+    rungeKuttaStep(state, h) {
+        const k1 = this.derivative(state, this.k[0]);
+        if (this.integrator === INTEGRATORS.euler) {
+            for (let c = 0; c < 6; c++) state[c] += h * k1[c];
+            return;
+        }
+
+        const tmp = this.tmp;
+        for (let c = 0; c < 6; c++) tmp[c] = state[c] + 0.5 * h * k1[c];
+        const k2 = this.derivative(tmp, this.k[1]);
+        if (this.integrator === INTEGRATORS.rk2) {
+            for (let c = 0; c < 6; c++) state[c] += h * k2[c];
+            return;
+        }
+
+        for (let c = 0; c < 6; c++) tmp[c] = state[c] + 0.5 * h * k2[c];
+        const k3 = this.derivative(tmp, this.k[2]);
+        for (let c = 0; c < 6; c++) tmp[c] = state[c] + h * k3[c];
+        const k4 = this.derivative(tmp, this.k[3]);
+        for (let c = 0; c < 6; c++) state[c] += h / 6 * (k1[c] + 2 * k2[c] + 2 * k3[c] + k4[c]);
+    }
+
+    /**
+     * One particle frame, substepped like the shader when drag is stiff
+     */
+    step(state) {
+        const h = FRAME_TIME * this.speedMultiplier;
+        const substeps = this.inertial ? clamp(Math.ceil(h * this.dragCoefficient), 1, 8) : 1;
+        for (let i = 0; i < substeps; i++) this.rungeKuttaStep(state, h / substeps);
+
+        // Tracers carry the local flow velocity
+        if (!this.inertial) this.sample(state[0], state[1], state[2], this.scratch).forEach((v, c) => { state[3 + c] = v; });
+    }
+
+    /**
+     * @param {number[]} seed - Start position
+     * @returns {{points: Float32Array, speed: Float32Array, age: Float32Array}}
+     */
+    trace(seed) {
+        const state = Float64Array.of(seed[0], seed[1], seed[2], ...this.initialVelocity);
+        if (!this.inertial) this.sample(seed[0], seed[1], seed[2], this.scratch).forEach((v, c) => { state[3 + c] = v; });
+
+        const points = [seed[0], seed[1], seed[2]];
+        const speed = [Math.hypot(state[3], state[4], state[5])];
+        const age = [0];
+
+        for (let frame = 1; frame < this.maxAge; frame++) {
+            this.step(state);
+            if (!this.insideBounds(state)) break;
+            points.push(state[0], state[1], state[2]);
+            speed.push(Math.hypot(state[3], state[4], state[5]));
+            age.push(frame);
+        }
+
+        return {
+            points: Float32Array.from(points),
+            speed: Float32Array.from(speed),
+            age: Float32Array.from(age)
+        };
+    }
+
+    traceAll(seeds) {
+        return seeds.map(seed => this.trace(seed)).filter(line => line.age.length > 1);
+    }
+
+    insideBounds(state) {
+        for (let c = 0; c < 3; c++) {
+            if (!(state[c] >= this.boundsMin[c] && state[c] <= this.boundsMax[c])) return false;
+        }
+        return true;
+    }
+}
+
+function clamp(value, lo, hi) {
+    return Math.max(lo, Math.min(hi, value));
+}
+
+export default StreamlineTracer;
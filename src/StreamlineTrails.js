@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { trailCopyShader, trailVertexShader, trailFragmentShader } from './shaders.js';
+
+/**
+ * Per-particle streamline trails.
+ *
+ * Every frame the particle position texture is copied into one slot of a
+ * ring-buffer history texture. Slots are tiled slotColumns to a row so the
+ * texture stays within MAX_TEXTURE_SIZE (8 x 8 slots of 128² by default).
+ * Trails are drawn as line segments between consecutive history samples of
+ * the same particle, fading towards the tail and broken wherever the particle
+ * respawned.
+ */
+export class StreamlineTrails {
+    /**
+     * @param {Object} options - { historyLength, uniforms } where uniforms are
+     *     extra (shared) uniforms for the trail material, e.g. colour mapping
+     */
+    constructor(scene, renderer, particleWidth, options = {}) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.particleWidth = particleWidth;
+        this.sharedUniforms = options.uniforms || {};
+
+        this.trailLength = 32; // Samples drawn per trail, up to historyLength
+        this.head = -1;        // Slot written last
+        this.filled = 0;       // Slots holding data
+
+        // Square-ish tiling, shortened if even that does not fit the GPU's texture size
+        const maxSlots = Math.max(1, Math.floor(renderer.capabilities.maxTextureSize / particleWidth));
+        const requested = options.historyLength ?? 64;
+        this.slotColumns = Math.min(Math.ceil(Math.sqrt(requested)), maxSlots);
+        this.historyLength = Math.max(2, Math.min(requested, this.slotColumns * maxSlots));
+        const slotRows = Math.ceil(this.historyLength / this.slotColumns);
+
+        this.historyTarget = new THREE.WebGLRenderTarget(particleWidth * this.slotColumns, particleWidth * slotRows, {
+            type: THREE.FloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false
+        });
+
+        // Full-screen quad for the copy pass
+        this.copyMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                texturePosition: { value: null },
+                slotOrigin: { value: new THREE.Vector2() }
+            },
+            vertexShader: 'void main() { gl_Position = vec4(position.xy, 0.0, 1.0); }',
+            fragmentShader: trailCopyShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.quadScene = new THREE.Scene();
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.copyMaterial);
+        this.quad.frustumCulled = false;
+        this.quadScene.add(this.quad);
+
+        this.initLines();
+    }
+
+    initLines() {
+        // Vertices are decoded from gl_VertexID, so the geometry only needs a draw range
+        const segments = this.historyLength - 1;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setDrawRange(0, this.particleWidth * this.particleWidth * segments * 2);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                historyTexture: { value: this.historyTarget.texture },
+                particleWidth: { value: this.particleWidth },
+                historyLength: { value: this.historyLength },
+                slotColumns: { value: this.slotColumns },
+                head: { value: 0 },
+                filled: { value: 0 },
+                trailLength: { value: this.trailLength },
+                speedMultiplier: { value: 1.0 },
+                ...this.sharedUniforms
+            },
+            vertexShader: trailVertexShader,
+            fragmentShader: trailFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.lines = new THREE.LineSegments(geometry, material);
+        this.lines.frustumCulled = false;
+        this.scene.add(this.lines);
+    }
+
+    /**
+     * Append the current particle positions to the history
+     * @param {THREE.Texture} positionTexture - xyz position, w age
+     * @param {number} speedMultiplier - Position shader's velocity scale, to recover field speed
+     */
+    record(positionTexture, speedMultiplier) {
+        this.head = (this.head + 1) % this.historyLength;
+        this.filled = Math.min(this.filled + 1, this.historyLength);
+
+        const x = (this.head % this.slotColumns) * this.particleWidth;
+        const y = Math.floor(this.head / this.slotColumns) * this.particleWidth;
+        this.copyMaterial.uniforms.texturePosition.value = positionTexture;
+        this.copyMaterial.uniforms.slotOrigin.value.set(x, y);
+        this.historyTarget.viewport.set(x, y, this.particleWidth, this.particleWidth);
+
+        // Only the slot is overwritten, so the rest of the history must survive the clear
+        const previousTarget = this.renderer.getRenderTarget();
+        const autoClear = this.renderer.autoClear;
+        this.renderer.autoClear = false;
+        this.renderer.setRenderTarget(this.historyTarget);
+        this.renderer.render(this.quadScene, this.quadCamera);
+        this.renderer.setRenderTarget(previousTarget);
+        this.renderer.autoClear = autoClear;
+
+        const uniforms = this.lines.material.uniforms;
+        uniforms.head.value = this.head;
+        uniforms.filled.value = this.filled;
+        uniforms.speedMultiplier.value = speedMultiplier;
+    }
+
+    setTrailLength(length) {
+        this.trailLength = Math.max(2, Math.min(this.historyLength, Math.round(length)));
+        this.lines.material.uniforms.trailLength.value = this.trailLength;
+    }
+
+    /**
+     * Forget recorded history, e.g. after particles were re-seeded
+     */
+    reset() {
+        this.head = -1;
+        this.filled = 0;
+        this.lines.material.uniforms.filled.value = 0;
+    }
+
+    set visible(value) {
+        this.lines.visible = value;
+    }
+
+    get visible() {
+        return this.lines.visible;
+    }
+
+    dispose() {
+        this.scene.remove(this.lines);
+        this.lines.geometry.dispose();
+        this.lines.material.dispose();
+        this.quad.geometry.dispose();
+        this.copyMaterial.dispose();
+        this.historyTarget.dispose();
+    }
+}
+
+export default StreamlineTrails;
@@ -0,0 +1,132 @@
+import { StreamlineTracer } from './StreamlineTracer.js';
+
+/**
+ * Surface pressure coefficient and integrated pressure forces on a body.
+ *
+ * Cp comes from Bernoulli, Cp = 1 - |u|² / U². The voxelized wall has no
+ * usable velocity, so Cp is evaluated two and three cells out along the
+ * outward normal, where every grid node around the sample is fluid, and
+ * extrapolated linearly back to the wall. It is still only as good as the
+ * staircase wall: the RMS error is about 0.3 on a sphere 16 cells across.
+ * Each part's normals follow its own winding. Force coefficients integrate
+ * -Cp n dA over the triangles and divide by the frontal area, so they cover
+ * pressure only; viscous drag is not included.
+ */
+export class SurfacePressure {
+    /**
+     * @param {Object} options - { freestream: [ux, uy, uz], up: [x, y, z], wallOffsets: [near, far] cells }
+     */
+    constructor(options = {}) {
+        this.freestream = options.freestream || [1, 0, 0];
+        this.up = options.up || [0, 1, 0];
+        this.wallOffsets = options.wallOffsets || [2, 3];
+    }
+
+    /**
+     * @param {Float32Array} positions - World-space vertices (xyz)
+     * @param {Uint32Array|Uint16Array|null} indices - Triangles; null for a triangle soup
+     * @param {{grid: Object, data: Float32Array}} field
+     * @param {Array<{offset: number, count: number}>|null} parts - Vertex range of each
+     *     separately wound part (BodyPressure.worldGeometry); null for one part
+     * @returns {{vertexCp: Float32Array, coefficients: {drag:number, lift:number, side:number}, referenceArea: number, range: {min:number, max:number}}}
+     */
+    compute(positions, indices, field, parts = null) {
+        const vertexCount = positions.length / 3;
+        const triangleCount = indices ? indices.length / 3 : vertexCount / 3;
+        const corner = (t, c) => indices ? indices[t * 3 + c] : t * 3 + c;
+        const ranges = parts && parts.length ? parts : [{ offset: 0, count: vertexCount }];
+        const partOf = new Uint32Array(vertexCount);
+        ranges.forEach(({ offset, count }, p) => partOf.fill(p, offset, offset + count));
+
+        // Area-weighted vertex normals from the winding
+        const faceNormals = new Float64Array(triangleCount * 3); // Length = twice the area
+        const vertexNormals = new Float64Array(vertexCount * 3);
+        const signedVolume = new Float64Array(ranges.length);
+        for (let t = 0; t < triangleCount; t++) {
+            const a = corner(t, 0), b = corner(t, 1), c = corner(t, 2);
+            const n = cross(sub(positions, b, a), sub(positions, c, a));
+            faceNormals.set(n, t * 3);
+            for (const v of [a, b, c]) {
+                for (let k = 0; k < 3; k++) vertexNormals[v * 3 + k] += n[k];
+            }
+            signedVolume[partOf[a]] += positions[a * 3] * n[0] + positions[a * 3 + 1] * n[1] + positions[a * 3 + 2] * n[2];
+        }
+        // Closed surfaces wound inside-out get their normals flipped
+        const orientation = Array.from(signedVolume, volume => volume < 0 ? -1 : 1);
+
+        const tracer = new StreamlineTracer(field.grid, field.data);
+        const cell = Math.max(...field.grid.step);
+        const [near, far] = this.wallOffsets.map(cells => cells * cell);
+        const speed2 = this.freestream[0] ** 2 + this.freestream[1] ** 2 + this.freestream[2] ** 2 || 1;
+        const u = [0, 0, 0];
+
+        const vertexCp = new Float32Array(vertexCount);
+        let min = Infinity, max = -Infinity;
+        for (let v = 0; v < vertexCount; v++) {
+            const nx = vertexNormals[v * 3], ny = vertexNormals[v * 3 + 1], nz = vertexNormals[v * 3 + 2];
+            const length = (Math.hypot(nx, ny, nz) || 1) * orientation[partOf[v]];
+            const cpAt = (distance) => {
+                tracer.sample(
+                    positions[v * 3] + nx / length * distance,
+                    positions[v * 3 + 1] + ny / length * distance,
+                    positions[v * 3 + 2] + nz / length * distance,
+                    u
+                );
+                return 1 - (u[0] * u[0] + u[1] * u[1] + u[2] * u[2]) / speed2;
+            };
+            const cpNear = cpAt(near);
+            const cp = cpNear + (cpNear - cpAt(far)) * near / (far - near);
+            vertexCp[v] = cp;
+            min = Math.min(min, cp);
+            max = Math.max(max, cp);
+        }
+
+        // Force = -Σ Cp A n (in units of dynamic pressure), frontal area against the flow
+        const drag = normalize(this.freestream);
+        const lift = normalize(this.up.map((v, k) => v - dot(this.up, drag) * drag[k]));
+        const side = cross(drag, lift);
+        const force = [0, 0, 0];
+        let frontalArea = 0;
+        for (let t = 0; t < triangleCount; t++) {
+            const cp = (vertexCp[corner(t, 0)] + vertexCp[corner(t, 1)] + vertexCp[corner(t, 2)]) / 3;
+            const sign = orientation[partOf[corner(t, 0)]];
+            const n = [0, 1, 2].map(k => faceNormals[t * 3 + k] * 0.5 * sign); // Area-scaled outward normal
+            for (let k = 0; k < 3; k++) force[k] -= cp * n[k];
+            frontalArea += Math.max(0, -dot(n, drag));
+        }
+
+        const referenceArea = frontalArea || 1;
+        return {
+            vertexCp,
+            coefficients: {
+                drag: dot(force, drag) / referenceArea,
+                lift: dot(force, lift) / referenceArea,
+                side: dot(force, side) / referenceArea
+            },
+            referenceArea: frontalArea,
+            range: { min, max }
+        };
+    }
+}
+
+/**
+ * Vertex b minus vertex a of a flat xyz array
+ */
+function sub(positions, b, a) {
+    return [0, 1, 2].map(k => positions[b * 3 + k] - positions[a * 3 + k]);
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(a) {
+    const length = Math.hypot(a[0], a[1], a[2]) || 1;
+    return a.map(v => v / length);
+}
+
+export default SurfacePressure;
@@ -0,0 +1,239 @@
+/**
+ * Bounding volume hierarchy over a triangle soup.
+ *
+ * Triangles are passed as a flat Float32Array (9 floats per triangle). Nodes
+ * are stored in flat typed arrays; leaves reference a range of the reordered
+ * triangle index list.
+ */
+
+const LEAF_SIZE = 8;
+
+export class TriangleBVH {
+    constructor(triangles) {
+        this.triangles = triangles;
+        this.triangleCount = triangles.length / 9;
+
+        // Node storage, grown on demand
+        this.capacity = Math.max(1, Math.ceil(this.triangleCount / LEAF_SIZE) * 2 + 1);
+        this.bounds = new Float32Array(this.capacity * 6);  // minX, minY, minZ, maxX, maxY, maxZ
+        this.first = new Uint32Array(this.capacity);         // Left child, or first triangle for leaves
+        this.count = new Uint32Array(this.capacity);         // Triangle count, 0 for inner nodes
+        this.nodeCount = 0;
+
+        this.order = new Uint32Array(this.triangleCount);
+        for (let i = 0; i < this.triangleCount; i++) this.order[i] = i;
+
+        if (this.triangleCount > 0) this.build();
+    }
+
+    build() {
+        const tris = this.triangles;
+        const n = this.triangleCount;
+
+        // Per-triangle centroids and bounds
+        this.centroids = new Float32Array(n * 3);
+        this.triBounds = new Float32Array(n * 6);
+        for (let t = 0; t < n; t++) {
+            const o = t * 9;
+            for (let a = 0; a < 3; a++) {
+                const v0 = tris[o + a], v1 = tris[o + 3 + a], v2 = tris[o + 6 + a];
+                const lo = Math.min(v0, v1, v2);
+                const hi = Math.max(v0, v1, v2);
+                this.triBounds[t * 6 + a] = lo;
+                this.triBounds[t * 6 + 3 + a] = hi;
+                this.centroids[t * 3 + a] = (v0 + v1 + v2) / 3;
+            }
+        }
+
+        const root = this.allocateNode();
+        const stack = [[root, 0, n]];
+
+        while (stack.length) {
+            const [node, start, end] = stack.pop();
+            this.computeNodeBounds(node, start, end);
+
+            const size = end - start;
+            if (size <= LEAF_SIZE) {
+                this.first[node] = start;
+                this.count[node] = size;
+                continue;
+            }
+
+            const mid = this.partition(start, end);
+            const left = this.allocateNode();
+            const right = this.allocateNode();
+            this.first[node] = left;
+            this.count[node] = 0;
+
+            stack.push([left, start, mid], [right, mid, end]);
+        }
+
+        // Centroids are only needed while building
+        this.centroids = null;
+    }
+
+    allocateNode() {
+        if (this.nodeCount >= this.capacity) {
+            this.capacity *= 2;
+            const bounds = new Float32Array(this.capacity * 6);
+            bounds.set(this.bounds);
+            const first = new Uint32Array(this.capacity);
+            first.set(this.first);
+            const count = new Uint32Array(this.capacity);
+            count.set(this.count);
+            this.bounds = bounds;
+            this.first = first;
+            this.count = count;
+        }
+        return this.nodeCount++;
+    }
+
+    computeNodeBounds(node, start, end) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        const tb = this.triBounds;
+
+        for (let k = start; k < end; k++) {
+            const o = this.order[k] * 6;
+            if (tb[o] < minX) minX = tb[o];
+            if (tb[o + 1] < minY) minY = tb[o + 1];
+            if (tb[o + 2] < minZ) minZ = tb[o + 2];
+            if (tb[o + 3] > maxX) maxX = tb[o + 3];
+            if (tb[o + 4] > maxY) maxY = tb[o + 4];
+            if (tb[o + 5] > maxZ) maxZ = tb[o + 5];
+        }
+
+        const b = node * 6;
+        this.bounds[b] = minX; this.bounds[b + 1] = minY; this.bounds[b + 2] = minZ;
+        this.bounds[b + 3] = maxX; this.bounds[b + 4] = maxY; this.bounds[b + 5] = maxZ;
+    }
+
+    /**
+     * Split at the centroid-bounds midpoint of the widest axis,
+     * falling back to an even split when all centroids coincide
+     */
+    partition(start, end) {
+        const c = this.centroids;
+        const order = this.order;
+        let lo = [Infinity, Infinity, Infinity];
+        let hi = [-Infinity, -Infinity, -Infinity];
+
+        for (let k = start; k < end; k++) {
+            const o = order[k] * 3;
+            for (let a = 0; a < 3; a++) {
+                if (c[o + a] < lo[a]) lo[a] = c[o + a];
+                if (c[o + a] > hi[a]) hi[a] = c[o + a];
+            }
+        }
+
+        let axis = 0;
+        if (hi[1] - lo[1] > hi[axis] - lo[axis]) axis = 1;
+        if (hi[2] - lo[2] > hi[axis] - lo[axis]) axis = 2;
+        const split = (lo[axis] + hi[axis]) / 2;
+
+        let i = start, j = end - 1;
+        while (i <= j) {
+            if (c[order[i] * 3 + axis] < split) {
+                i++;
+            } else {
+                const tmp = order[i]; order[i] = order[j]; order[j] = tmp;
+                j--;
+            }
+        }
+
+        if (i === start || i === end) return (start + end) >> 1;
+        return i;
+    }
+
+    /**
+     * Visit every triangle whose bounds contain the line (y, z) parallel to X
+     * @param {number} y
+     * @param {number} z
+     * @param {function(number)} visit - Called with the triangle index
+     */
+    traverseLineX(y, z, visit) {
+        if (this.nodeCount === 0) return;
+        const bounds = this.bounds;
+        // Traversal never holds more entries than there are nodes
+        const stack = this.stack || (this.stack = new Uint32Array(this.nodeCount + 1));
+        let top = 0;
+        stack[top++] = 0;
+
+        while (top > 0) {
+            const node = stack[--top];
+            const b = node * 6;
+            if (y < bounds[b + 1] || y > bounds[b + 4] || z < bounds[b + 2] || z > bounds[b + 5]) continue;
+
+            const count = this.count[node];
+            if (count > 0) {
+                const first = this.first[node];
+                for (let k = first; k < first + count; k++) visit(this.order[k]);
+            } else {
+                stack[top++] = this.first[node];
+                stack[top++] = this.first[node] + 1;
+            }
+        }
+    }
+
+    /**
+     * X coordinates where the line (y, z) parallel to X crosses the surface.
+     * Edge and vertex hits use a top-left fill rule on canonically ordered
+     * edges, so a ray through a shared edge or vertex of a closed mesh is
+     * counted exactly once.
+     * @returns {number[]} Sorted crossing positions
+     */
+    intersectLineX(y, z, hits = []) {
+        hits.length = 0;
+        const tris = this.triangles;
+
+        this.traverseLineX(y, z, (t) => {
+            const o = t * 9;
+            // Project onto the YZ plane: (u, v) = (y, z)
+            const au = tris[o + 1], av = tris[o + 2];
+            const bu = tris[o + 4], bv = tris[o + 5];
+            const cu = tris[o + 7], cv = tris[o + 8];
+
+            const area = edgeFunction(au, av, bu, bv, cu, cv);
+            if (area === 0) return; // Edge-on to the ray
+
+            const s = area > 0 ? 1 : -1;
+            const w0 = s * edgeFunction(bu, bv, cu, cv, y, z);
+            const w1 = s * edgeFunction(cu, cv, au, av, y, z);
+            const w2 = s * edgeFunction(au, av, bu, bv, y, z);
+
+            if (!covers(w0, bu, bv, cu, cv, s)) return;
+            if (!covers(w1, cu, cv, au, av, s)) return;
+            if (!covers(w2, au, av, bu, bv, s)) return;
+
+            const sum = w0 + w1 + w2;
+            hits.push((w0 * tris[o] + w1 * tris[o + 3] + w2 * tris[o + 6]) / sum);
+        });
+
+        hits.sort((a, b) => a - b);
+        return hits;
+    }
+}
+
+/**
+ * Twice the signed area of (a, b, p). Evaluated with the endpoints in a fixed
+ * order so two triangles sharing an edge get bit-identical values.
+ */
+function edgeFunction(au, av, bu, bv, pu, pv) {
+    if (au > bu || (au === bu && av > bv)) {
+        return -((au - bu) * (pv - bv) - (av - bv) * (pu - bu));
+    }
+    return (bu - au) * (pv - av) - (bv - av) * (pu - au);
+}
+
+/**
+ * Inside test for one edge with the top-left tie-break for points on the edge
+ */
+function covers(w, au, av, bu, bv, orientation) {
+    if (w > 0) return true;
+    if (w < 0) return false;
+    const du = (bu - au) * orientation;
+    const dv = (bv - av) * orientation;
+    return dv < 0 || (dv === 0 && du < 0);
+}
+
+export default TriangleBVH;
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { glyphVertexShader, glyphFragmentShader } from './shaders.js';
+
+/**
+ * Arrow or cone glyphs on a regular sub-grid of the velocity field, drawn
+ * as one InstancedMesh. The CPU only lays out the glyph positions (on field,
+ * density or slab changes); the shader orients, scales and colours each
+ * glyph from the field, including hiding glyphs inside the body.
+ */
+export class VectorGlyphs {
+    static SHAPES = ['arrow', 'cone'];
+    static MAX_PER_AXIS = 32;
+
+    /**
+     * @param {THREE.Scene} scene
+     * @param {VelocityField} velocityField - Source of the grid bounds
+     * @param {Object} uniforms - Shared field and colour uniforms (ParticleSystem.getDisplayUniforms)
+     */
+    constructor(scene, velocityField, uniforms) {
+        this.scene = scene;
+        this.velocityField = velocityField;
+
+        this.enabled = false;
+        this.perAxis = 16;           // Glyphs along the longest axis
+        this.shape = 'arrow';
+        this.scale = 1.0;            // Glyph length in sub-grid spacings at freestream speed
+        this.slab = { axis: 'none', position: 0.5 };  // position: 0-1 across the grid
+        this.layoutKey = '';
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                glyphLength: { value: 0.1 },
+                skipSolid: { value: true },
+                ...uniforms
+            },
+            vertexShader: glyphVertexShader,
+            fragmentShader: glyphFragmentShader
+        });
+
+        this.geometries = {
+            arrow: VectorGlyphs.createArrowGeometry(),
+            cone: VectorGlyphs.createConeGeometry()
+        };
+
+        const capacity = VectorGlyphs.MAX_PER_AXIS ** 3;
+        this.mesh = new THREE.InstancedMesh(this.geometries.arrow, this.material, capacity);
+        this.mesh.count = 0;
+        this.mesh.visible = false;
+        this.mesh.frustumCulled = false;
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Shaft and head along +y from 0 to 1
+     */
+    static createArrowGeometry() {
+        const shaft = new THREE.CylinderGeometry(0.035, 0.035, 0.7, 6, 1, true);
+        shaft.translate(0, 0.35, 0);
+        const head = new THREE.ConeGeometry(0.1, 0.3, 8);
+        head.translate(0, 0.85, 0);
+        const geometry = mergeGeometries([shaft, head]);
+        shaft.dispose();
+        head.dispose();
+        return geometry;
+    }
+
+    static createConeGeometry() {
+        const geometry = new THREE.ConeGeometry(0.15, 1, 10);
+        geometry.translate(0, 0.5, 0);
+        return geometry;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.mesh.visible = enabled;
+        if (enabled) this.layout();
+    }
+
+    setDensity(perAxis) {
+        this.perAxis = Math.max(2, Math.min(VectorGlyphs.MAX_PER_AXIS, Math.round(perAxis)));
+        this.layout();
+    }
+
+    setShape(shape) {
+        if (!this.geometries[shape]) return;
+        this.shape = shape;
+        this.mesh.geometry = this.geometries[shape];
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.layout();
+    }
+
+    setSkipSolid(skip) {
+        this.material.uniforms.skipSolid.value = skip;
+    }
+
+    /**
+     * Show a single layer of glyphs
+     * @param {string} axis - 'none' | 'x' | 'y' | 'z'
+     * @param {number} position - 0-1 across the grid along that axis
+     */
+    setSlab(axis, position = this.slab.position) {
+        this.slab = { axis, position };
+        this.layout();
+    }
+
+    /**
+     * Place one glyph per sub-grid node, keeping the spacing equal on all axes
+     */
+    layout() {
+        if (!this.enabled) return;
+
+        const { min, max } = this.velocityField.bounds;
+        const size = new THREE.Vector3().subVectors(max, min);
+        const spacing = Math.max(size.x, size.y, size.z) / this.perAxis;
+        const counts = [size.x, size.y, size.z].map(s => Math.max(1, Math.min(VectorGlyphs.MAX_PER_AXIS, Math.round(s / spacing))));
+
+        // Cell-centred, so no glyph sits on the (often clamped) grid boundary
+        const coordinate = (axis, i) => min.getComponent(axis) + (i + 0.5) * size.getComponent(axis) / counts[axis];
+        const slabAxis = ['x', 'y', 'z'].indexOf(this.slab.axis);
+        const slabIndex = slabAxis >= 0
+            ? Math.min(counts[slabAxis] - 1, Math.floor(this.slab.position * counts[slabAxis]))
+            : -1;
+
+        const matrix = new THREE.Matrix4();
+        let count = 0;
+        for (let z = 0; z < counts[2]; z++) {
+            for (let y = 0; y < counts[1]; y++) {
+                for (let x = 0; x < counts[0]; x++) {
+                    if (slabAxis >= 0 && [x, y, z][slabAxis] !== slabIndex) continue;
+                    matrix.makeTranslation(coordinate(0, x), coordinate(1, y), coordinate(2, z));
+                    this.mesh.setMatrixAt(count++, matrix);
+                }
+            }
+        }
+
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.material.uniforms.glyphLength.value = spacing * this.scale;
+        this.layoutKey = this.boundsKey();
+    }
+
+    boundsKey() {
+        const { min, max } = this.velocityField.bounds;
+        return [...min.toArray(), ...max.toArray()].join(',');
+    }
+
+    update() {
+        // The field (and its bounds) can be replaced at any time
+        if (this.enabled && this.layoutKey !== this.boundsKey()) this.layout();
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        Object.values(this.geometries).forEach(geometry => geometry.dispose());
+        this.material.dispose();
+    }
+}
+
+export default VectorGlyphs;
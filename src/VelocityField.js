@@ -1,129 +1,321 @@
 import * as THREE from 'three';
+import { PotentialFlowSolver } from './PotentialFlowSolver.js';
+import { NavierStokesSolver } from './NavierStokesSolver.js';
+import { FieldWorkerPool } from './FieldWorkerPool.js';
+import { SimulationClock } from './SimulationClock.js';
 
 export class VelocityField {
-    constructor(scene) {
+    constructor(scene, renderer = null) {
         this.scene = scene;
+        this.renderer = renderer;
         this.resolution = 64;
+        // World-space extent of the grid nodes, updated with every new field
         this.bounds = new THREE.Box3(
-            new THREE.Vector3(-1.2, -1.2, -1.2),
-            new THREE.Vector3(1.2, 1.2, 1.2)
+            new THREE.Vector3(-1.0, -1.0, -1.0),
+            new THREE.Vector3(1.0, 1.0, 1.0)
         );
 
         // 3D Texture
         this.texture = null;
         this.data = null;
 
+        this.grid = null;
+        this.solid = null;
+        this.sdf = null;
+        this.method = null;
+        // Freestream speed (m/s) and direction (degrees), see freestreamVector()
+        this.flowParams = { reynolds: 200, speed: 1.0, angleOfAttack: 0, yaw: 0 };
+        this.freestream = [1.0, 0.0, 0.0]; // Uniform inflow velocity
+        this.generationId = 0;
+        this.workerPool = new FieldWorkerPool();
+        this.activeJob = null;
+        this.navierStokes = null; // GPU solver, created on first use
+        this.seed = 1;            // Seeds the solver's start-up perturbation
+
         // Helper
         this.helper = null;
     }
 
-    generate(mesh, params) {
-        const { resolution, method, flowParams } = params;
-        this.resolution = parseInt(resolution);
-        const size = this.resolution * this.resolution * this.resolution;
-        const data = new Float32Array(size * 4); // RGBA (A unused or for boundary)
-
-        const boxMin = new THREE.Vector3(-1.0, -1.0, -1.0);
-        const boxMax = new THREE.Vector3(1.0, 1.0, 1.0);
-        const boxSize = new THREE.Vector3().subVectors(boxMax, boxMin);
-        const step = new THREE.Vector3().copy(boxSize).divideScalar(this.resolution - 1);
-
-        // Raycaster for obstacle avoidance
-        const raycaster = new THREE.Raycaster();
-        const rayDir = new THREE.Vector3(0, 1, 0);
-
-        // Compute mesh bounding box ONCE before loop
-        let meshBbox = null;
-        if (mesh && mesh.geometry) {
-            mesh.geometry.computeBoundingBox();
-            meshBbox = mesh.geometry.boundingBox ? mesh.geometry.boundingBox.clone() : null;
+    /**
+     * Build the field for a mesh. The CPU work runs in a worker, so this is
+     * async; a newer call cancels an older one still in progress.
+     * @param {Object} params - { grid (SimulationDomain.grid), method, flowParams, onProgress }
+     * @returns {Promise<boolean>} false if superseded by a newer request
+     */
+    async generate(mesh, params) {
+        const { grid, method, flowParams, onProgress } = params;
+        const generationId = ++this.generationId;
+        Object.assign(this.flowParams, flowParams);
+        this.freestream = VelocityField.freestreamVector(this.flowParams);
+
+        // Whatever is still building is stale now
+        if (this.activeJob) this.activeJob.cancel();
+
+        const partStarts = [];
+        const result = await this.runJob({
+            grid: grid,
+            method: method,
+            triangles: mesh ? VelocityField.extractTriangles(mesh, partStarts) : null,
+            partStarts: partStarts,
+            freestream: this.freestream,
+            reynolds: this.flowParams.reynolds,
+            referenceLength: this.getReferenceLength(mesh)
+        }, onProgress);
+        if (!result || generationId !== this.generationId) return false;
+
+        const { data, solid, sdf, stats } = result;
+        if (stats.voxelizer) console.log("🧊 Mesh voxelized", stats.voxelizer);
+        if (stats.solver) console.log("🧮 Solver finished", stats.solver);
+
+        this.setField(grid, method, data, solid, sdf);
+
+        if (method === 'navier-stokes' && this.renderer) {
+            // Time-dependent: the solver owns the texture from here on
+            if (!this.navierStokes) this.navierStokes = new NavierStokesSolver(this.renderer);
+            this.navierStokes.init(grid, solid, {
+                freestream: this.freestream,
+                reynolds: this.flowParams.reynolds,
+                referenceLength: this.getReferenceLength(mesh),
+                initialData: data,
+                random: SimulationClock.random(this.seed)
+            });
+            this.texture.dispose();
+            this.texture = this.navierStokes.texture;
         }
 
-        // Generate field
-        const pos = new THREE.Vector3();
-        const r = new THREE.Vector3();
-
-        for (let z = 0; z < this.resolution; z++) {
-            for (let y = 0; y < this.resolution; y++) {
-                for (let x = 0; x < this.resolution; x++) {
-                    const i = (z * this.resolution * this.resolution) + (y * this.resolution) + x;
-                    const stride = i * 4;
-
-                    // Grid cell position
-                    pos.set(
-                        boxMin.x + x * step.x,
-                        boxMin.y + y * step.y,
-                        boxMin.z + z * step.z
-                    );
-
-                    // Default Freestream
-                    let vx = 0, vy = 0, vz = 0;
-
-                    if (method === 'potential') {
-                        // V_uniform
-                        vx += 1.0; // Default flow X
-                    } else if (method === 'radial') {
-                        r.copy(pos);
-                        const dist = r.length();
-                        if (dist > 0.1) {
-                            r.normalize();
-                            vx = r.x;
-                            vy = r.y;
-                            vz = r.z;
-                        }
-                    }
-
-                    // Obstacle Avoidance
-                    let inside = false;
-                    if (mesh && meshBbox) {
-                        // Check if point is inside mesh bounding box
-                        if (meshBbox.containsPoint(pos)) {
-                            // Do expensive raycast only if in bbox
-                            raycaster.set(pos, rayDir);
-                            const intersects = raycaster.intersectObject(mesh, true);
-                            
-                            // Odd number of intersections = inside
-                            if (intersects.length % 2 === 1) {
-                                inside = true;
-                            }
-                        }
-                    }
-
-                    if (inside) {
-                        vx = 0;
-                        vy = 0;
-                        vz = 0;
-                    }
-
-                    data[stride] = vx;
-                    data[stride + 1] = vy;
-                    data[stride + 2] = vz;
-                    data[stride + 3] = 0; // Padding
-                }
-            }
+        console.log("✅ Velocity Field Generated", {
+            grid: `${grid.nx}×${grid.ny}×${grid.nz}`,
+            method: method,
+            hasObstacle: !!mesh
+        });
+        return true;
+    }
+
+    /**
+     * Load a velocity field computed elsewhere (legacy VTK, .vti or raw float32).
+     * The file's grid replaces the generated one, bounds included.
+     * @param {File|Blob} file
+     * @returns {Promise<boolean>} false if superseded by a newer request
+     */
+    async importFile(file, params = {}) {
+        const generationId = ++this.generationId;
+        if (this.activeJob) this.activeJob.cancel();
+
+        const buffer = await file.arrayBuffer();
+        if (generationId !== this.generationId) return false;
+
+        const result = await this.runJob({
+            method: 'import',
+            fileName: file.name,
+            buffer: buffer
+        }, params.onProgress);
+        if (!result || generationId !== this.generationId) return false;
+
+        this.setField(result.grid, 'import', result.data, null, null);
+
+        console.log("📥 Velocity Field Imported", {
+            file: file.name,
+            ...result.stats.importer,
+            bounds: this.bounds
+        });
+        return true;
+    }
+
+    /**
+     * Run a FieldGenerator request on the worker pool as the active job
+     * @returns {Promise<Object|null>} null if cancelled
+     */
+    async runJob(request, onProgress) {
+        const job = this.workerPool.run(request, onProgress);
+        this.activeJob = job;
+
+        try {
+            return await job.promise;
+        } finally {
+            if (this.activeJob === job) this.activeJob = null;
         }
+    }
 
+    /**
+     * Commit a finished field and upload it as a static 3D texture
+     */
+    setField(grid, method, data, solid, sdf) {
+        const { nx, ny, nz, min, step } = grid;
+
+        this.resolution = Math.max(nx, ny, nz);
+        this.method = method;
+        this.grid = grid;
+        this.solid = solid;
+        this.sdf = sdf;
         this.data = data;
+        this.bounds.min.fromArray(min);
+        this.bounds.max.set(min[0] + step[0] * (nx - 1), min[1] + step[1] * (ny - 1), min[2] + step[2] * (nz - 1));
 
         // Create Texture
-        if (this.texture) this.texture.dispose();
-        this.texture = new THREE.Data3DTexture(data, this.resolution, this.resolution, this.resolution);
+        if (this.texture && !this.texture.isRenderTargetTexture) this.texture.dispose();
+        if (this.navierStokes) this.navierStokes.dispose();
+
+        this.texture = new THREE.Data3DTexture(data, nx, ny, nz);
         this.texture.format = THREE.RGBAFormat;
         this.texture.type = THREE.FloatType;
         this.texture.minFilter = THREE.LinearFilter;
         this.texture.magFilter = THREE.LinearFilter;
         this.texture.unpackAlignment = 1;
         this.texture.needsUpdate = true;
+    }
 
-        console.log("✅ Velocity Field Generated", {
-            resolution: this.resolution,
-            method: method,
-            hasObstacle: !!mesh
+    /**
+     * Stop any build still in progress
+     */
+    cancel() {
+        this.generationId++;
+        if (this.activeJob) this.activeJob.cancel();
+        this.activeJob = null;
+    }
+
+    /**
+     * Flatten every obstacle mesh under an object into a world-space triangle
+     * soup (9 floats per triangle). Meshes flagged userData.obstacle = false
+     * are left out.
+     * @param {number[]|null} partStarts - Receives the first triangle of each mesh
+     */
+    static extractTriangles(object, partStarts = null) {
+        object.updateMatrixWorld(true);
+        const meshes = [];
+        let total = 0;
+
+        object.traverse((child) => {
+            if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+            if (child.userData.obstacle === false) return;
+            const geometry = child.geometry;
+            const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+            meshes.push(child);
+            total += Math.floor(count / 3);
+        });
+
+        const triangles = new Float32Array(total * 9);
+        const v = new THREE.Vector3();
+        let o = 0;
+
+        meshes.forEach((child) => {
+            if (partStarts) partStarts.push(o / 9);
+            const position = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            const count = Math.floor((index ? index.count : position.count) / 3) * 3;
+
+            for (let k = 0; k < count; k++) {
+                const vertex = index ? index.getX(k) : k;
+                v.fromBufferAttribute(position, vertex).applyMatrix4(child.matrixWorld);
+                triangles[o++] = v.x;
+                triangles[o++] = v.y;
+                triangles[o++] = v.z;
+            }
         });
+
+        return triangles;
+    }
+
+    /**
+     * Compare the current field with the analytic sphere solution.
+     * Nodes within one cell of the surface are skipped (staircase wall).
+     */
+    compareToSphere(radius = 0.5, freestream = [1, 0, 0]) {
+        if (!this.data || !this.grid) return null;
+
+        const { nx, ny, nz, min, step } = this.grid;
+        const skip = radius + Math.max(step[0], step[1], step[2]);
+        let sumSq = 0, refSq = 0, maxError = 0, count = 0;
+
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    const px = min[0] + x * step[0];
+                    const py = min[1] + y * step[1];
+                    const pz = min[2] + z * step[2];
+                    if (Math.sqrt(px * px + py * py + pz * pz) < skip) continue;
+
+                    const ref = PotentialFlowSolver.sphereVelocity(px, py, pz, radius, freestream);
+                    const dx = this.data[i * 4] - ref[0];
+                    const dy = this.data[i * 4 + 1] - ref[1];
+                    const dz = this.data[i * 4 + 2] - ref[2];
+                    const err = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                    sumSq += err * err;
+                    refSq += ref[0] * ref[0] + ref[1] * ref[1] + ref[2] * ref[2];
+                    maxError = Math.max(maxError, err);
+                    count++;
+                }
+            }
+        }
+
+        const result = {
+            samples: count,
+            rmsError: Math.sqrt(sumSq / count),
+            relativeRmsError: Math.sqrt(sumSq / refSq),
+            maxError: maxError
+        };
+        console.log("📐 Sphere comparison", result);
+        return result;
+    }
+
+    /**
+     * Characteristic body length (largest bounding box extent) for the Reynolds number
+     */
+    getReferenceLength(mesh) {
+        if (!mesh) return 1.0;
+        const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+        const length = Math.max(size.x, size.y, size.z);
+        return length > 0 ? length : 1.0;
+    }
+
+    /**
+     * Freestream velocity for a speed, angle of attack and yaw (degrees). The
+     * body's x axis points downstream at zero angles; a positive angle of attack
+     * tilts the flow towards +y, a positive yaw towards +z.
+     * @returns {number[]}
+     */
+    static freestreamVector({ speed = 1, angleOfAttack = 0, yaw = 0 }) {
+        const alpha = THREE.MathUtils.degToRad(angleOfAttack);
+        const beta = THREE.MathUtils.degToRad(yaw);
+        return [
+            speed * Math.cos(alpha) * Math.cos(beta),
+            speed * Math.sin(alpha) * Math.cos(beta),
+            speed * Math.sin(beta)
+        ];
     }
 
-    update() {
-        // Called during animation if needed for dynamic fields
+    /**
+     * Apply flow parameters that don't need a full regeneration
+     */
+    setFlowParams(flowParams) {
+        Object.assign(this.flowParams, flowParams);
+        if (this.navierStokes && flowParams.reynolds !== undefined) {
+            this.navierStokes.setReynolds(flowParams.reynolds);
+        }
+    }
+
+    /**
+     * Current field on the CPU (read back from the GPU for time-dependent methods)
+     * @returns {{grid: Object, data: Float32Array}|null}
+     */
+    readData() {
+        if (!this.grid) return null;
+        return {
+            grid: this.grid,
+            data: this.isDynamic ? this.navierStokes.readVelocity() : this.data
+        };
+    }
+
+    get isDynamic() {
+        return this.method === 'navier-stokes' && !!this.navierStokes && !!this.navierStokes.texture;
+    }
+
+    update(deltaTime) {
+        // Time-dependent methods advance here; analytic fields are static
+        if (!this.isDynamic) return;
+
+        this.navierStokes.step(deltaTime);
+        this.texture = this.navierStokes.texture;
     }
 }
 
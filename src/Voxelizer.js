@@ -0,0 +1,278 @@
+import { TriangleBVH } from './TriangleBVH.js';
+
+/**
+ * Voxelizes a closed triangle mesh onto the node-centred field grid.
+ *
+ * Inside/outside comes from scanline parity: one ray along +X per (y, z) row,
+ * crossings found through a triangle BVH and filled between pairs. The signed
+ * distance field is exact in a narrow band around the surface and propagated
+ * outward by nearest-point sweeps; it is negative inside the body. Parity
+ * would turn the overlap of two parts into fluid, so each part is voxelized on
+ * its own and the results are joined (solid masks ORed, minimum distance).
+ */
+export class Voxelizer {
+    constructor(options = {}) {
+        this.bandCells = options.bandCells ?? 1.5; // Exact-distance band half-width, in cells
+        this.lastStats = null;
+    }
+
+    /**
+     * @param {Float32Array} triangles - 9 floats per triangle, world space
+     * @param {{nx:number, ny:number, nz:number, min:number[], step:number[]}} grid
+     * @param {number[]|null} partStarts - First triangle of each closed part; null for one part
+     * @returns {{solid: Uint8Array, sdf: Float32Array}}
+     */
+    voxelize(triangles, grid, partStarts = null) {
+        const count = triangles.length / 9;
+        const starts = partStarts && partStarts.length ? partStarts : [0];
+        const stats = { parts: 0, triangles: 0, bvhNodes: 0, buildMs: 0, fillMs: 0, distanceMs: 0 };
+        let solid = null;
+        let sdf = null;
+
+        starts.forEach((start, p) => {
+            const end = p + 1 < starts.length ? starts[p + 1] : count;
+            if (end <= start) return;
+            const part = triangles.subarray(start * 9, end * 9);
+
+            const t0 = now();
+            const bvh = new TriangleBVH(part);
+            const t1 = now();
+            const partSolid = this.fillSolid(bvh, grid);
+            const t2 = now();
+            const partSdf = this.computeDistanceField(part, grid, partSolid);
+            const t3 = now();
+
+            if (!solid) {
+                solid = partSolid;
+                sdf = partSdf;
+            } else {
+                for (let i = 0; i < solid.length; i++) {
+                    solid[i] |= partSolid[i];
+                    if (partSdf[i] < sdf[i]) sdf[i] = partSdf[i];
+                }
+            }
+
+            stats.parts++;
+            stats.triangles += bvh.triangleCount;
+            stats.bvhNodes += bvh.nodeCount;
+            stats.buildMs += Math.round(t1 - t0);
+            stats.fillMs += Math.round(t2 - t1);
+            stats.distanceMs += Math.round(t3 - t2);
+        });
+
+        this.lastStats = stats;
+        return { solid, sdf };
+    }
+
+    fillSolid(bvh, grid) {
+        const { nx, ny, nz, min, step } = grid;
+        const solid = new Uint8Array(nx * ny * nz);
+        const hits = [];
+
+        for (let z = 0; z < nz; z++) {
+            const pz = min[2] + z * step[2];
+            for (let y = 0; y < ny; y++) {
+                const py = min[1] + y * step[1];
+                bvh.intersectLineX(py, pz, hits);
+
+                // An odd count means the row grazed an open edge; drop the last crossing
+                const pairs = hits.length >> 1;
+                const row = (z * ny + y) * nx;
+
+                for (let k = 0; k < pairs; k++) {
+                    const enter = hits[2 * k];
+                    const exit = hits[2 * k + 1];
+                    const x0 = Math.max(0, Math.ceil((enter - min[0]) / step[0]));
+                    const x1 = Math.min(nx - 1, Math.floor((exit - min[0]) / step[0]));
+                    for (let x = x0; x <= x1; x++) solid[row + x] = 1;
+                }
+            }
+        }
+        return solid;
+    }
+
+    /**
+     * Exact distances near the surface, then two raster sweeps that pass each
+     * node's closest surface point on to its neighbours
+     */
+    computeDistanceField(triangles, grid, solid) {
+        const { nx, ny, nz, min, step } = grid;
+        const n = nx * ny * nz;
+        const dist = new Float32Array(n).fill(Infinity);
+        const nearest = new Float32Array(n * 3);
+        const closest = [0, 0, 0];
+        const band = this.bandCells;
+
+        // Narrow band: every node in each triangle's padded bounding box
+        for (let o = 0; o < triangles.length; o += 9) {
+            const x0 = clampIndex(Math.ceil((Math.min(triangles[o], triangles[o + 3], triangles[o + 6]) - min[0]) / step[0] - band), nx);
+            const x1 = clampIndex(Math.floor((Math.max(triangles[o], triangles[o + 3], triangles[o + 6]) - min[0]) / step[0] + band), nx);
+            const y0 = clampIndex(Math.ceil((Math.min(triangles[o + 1], triangles[o + 4], triangles[o + 7]) - min[1]) / step[1] - band), ny);
+            const y1 = clampIndex(Math.floor((Math.max(triangles[o + 1], triangles[o + 4], triangles[o + 7]) - min[1]) / step[1] + band), ny);
+            const z0 = clampIndex(Math.ceil((Math.min(triangles[o + 2], triangles[o + 5], triangles[o + 8]) - min[2]) / step[2] - band), nz);
+            const z1 = clampIndex(Math.floor((Math.max(triangles[o + 2], triangles[o + 5], triangles[o + 8]) - min[2]) / step[2] + band), nz);
+
+            for (let z = z0; z <= z1; z++) {
+                const pz = min[2] + z * step[2];
+                for (let y = y0; y <= y1; y++) {
+                    const py = min[1] + y * step[1];
+                    let i = (z * ny + y) * nx + x0;
+                    for (let x = x0; x <= x1; x++, i++) {
+                        const px = min[0] + x * step[0];
+                        const d = closestPointOnTriangle(px, py, pz, triangles, o, closest);
+                        if (d < dist[i]) {
+                            dist[i] = d;
+                            nearest[i * 3] = closest[0];
+                            nearest[i * 3 + 1] = closest[1];
+                            nearest[i * 3 + 2] = closest[2];
+                        }
+                    }
+                }
+            }
+        }
+
+        // Forward sweep looks at the 13 already-visited neighbours, backward at the other 13
+        const forward = [];
+        for (let dz = -1; dz <= 0; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dz === 0 && (dy > 0 || (dy === 0 && dx >= 0))) continue;
+                    forward.push([dx, dy, dz]);
+                }
+            }
+        }
+        const backward = forward.map(([dx, dy, dz]) => [-dx, -dy, -dz]);
+
+        this.sweep(grid, dist, nearest, forward, 1);
+        this.sweep(grid, dist, nearest, backward, -1);
+
+        // Squared distance to signed distance
+        const sdf = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const d = Math.sqrt(dist[i]);
+            sdf[i] = solid[i] ? -d : d;
+        }
+        return sdf;
+    }
+
+    sweep(grid, dist, nearest, offsets, direction) {
+        const { nx, ny, nz, min, step } = grid;
+        const count = offsets.length;
+        const ox = Int32Array.from(offsets, o => o[0]);
+        const oy = Int32Array.from(offsets, o => o[1]);
+        const oz = Int32Array.from(offsets, o => o[2]);
+        const strides = Int32Array.from(offsets, ([dx, dy, dz]) => dx + (dy + dz * ny) * nx);
+        const zStart = direction > 0 ? 0 : nz - 1;
+        const yStart = direction > 0 ? 0 : ny - 1;
+        const xStart = direction > 0 ? 0 : nx - 1;
+
+        for (let z = zStart; z >= 0 && z < nz; z += direction) {
+            const pz = min[2] + z * step[2];
+            const zInterior = z > 0 && z < nz - 1;
+            for (let y = yStart; y >= 0 && y < ny; y += direction) {
+                const py = min[1] + y * step[1];
+                const yInterior = zInterior && y > 0 && y < ny - 1;
+                for (let x = xStart; x >= 0 && x < nx; x += direction) {
+                    const px = min[0] + x * step[0];
+                    const i = (z * ny + y) * nx + x;
+                    const interior = yInterior && x > 0 && x < nx - 1;
+                    let best = dist[i];
+                    let from = -1;
+
+                    for (let k = 0; k < count; k++) {
+                        if (!interior) {
+                            const sx = x + ox[k], sy = y + oy[k], sz = z + oz[k];
+                            if (sx < 0 || sy < 0 || sz < 0 || sx >= nx || sy >= ny || sz >= nz) continue;
+                        }
+
+                        const j = i + strides[k];
+                        if (dist[j] === Infinity) continue;
+
+                        const qx = nearest[j * 3] - px;
+                        const qy = nearest[j * 3 + 1] - py;
+                        const qz = nearest[j * 3 + 2] - pz;
+                        const d = qx * qx + qy * qy + qz * qz;
+                        if (d < best) {
+                            best = d;
+                            from = j;
+                        }
+                    }
+
+                    if (from >= 0) {
+                        dist[i] = best;
+                        nearest[i * 3] = nearest[from * 3];
+                        nearest[i * 3 + 1] = nearest[from * 3 + 1];
+                        nearest[i * 3 + 2] = nearest[from * 3 + 2];
+                    }
+                }
+            }
+        }
+    }
+}
+
+function clampIndex(i, n) {
+    return Math.max(0, Math.min(n - 1, i));
+}
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Squared distance from p to triangle o of the soup; closest point written to out
+ * (Ericson, Real-Time Collision Detection, 5.1.5)
+ */
+function closestPointOnTriangle(px, py, pz, t, o, out) {
+    const ax = t[o], ay = t[o + 1], az = t[o + 2];
+    const abx = t[o + 3] - ax, aby = t[o + 4] - ay, abz = t[o + 5] - az;
+    const acx = t[o + 6] - ax, acy = t[o + 7] - ay, acz = t[o + 8] - az;
+    const apx = px - ax, apy = py - ay, apz = pz - az;
+
+    let cx, cy, cz;
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+
+    if (d1 <= 0 && d2 <= 0) {
+        cx = ax; cy = ay; cz = az;
+    } else {
+        const bpx = px - t[o + 3], bpy = py - t[o + 4], bpz = pz - t[o + 5];
+        const d3 = abx * bpx + aby * bpy + abz * bpz;
+        const d4 = acx * bpx + acy * bpy + acz * bpz;
+        const cpx = px - t[o + 6], cpy = py - t[o + 7], cpz = pz - t[o + 8];
+        const d5 = abx * cpx + aby * cpy + abz * cpz;
+        const d6 = acx * cpx + acy * cpy + acz * cpz;
+        const vc = d1 * d4 - d3 * d2;
+        const vb = d5 * d2 - d1 * d6;
+        const va = d3 * d6 - d5 * d4;
+
+        if (d3 >= 0 && d4 <= d3) {
+            cx = t[o + 3]; cy = t[o + 4]; cz = t[o + 5];
+        } else if (d6 >= 0 && d5 <= d6) {
+            cx = t[o + 6]; cy = t[o + 7]; cz = t[o + 8];
+        } else if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+            const v = d1 / (d1 - d3);
+            cx = ax + v * abx; cy = ay + v * aby; cz = az + v * abz;
+        } else if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+            const w = d2 / (d2 - d6);
+            cx = ax + w * acx; cy = ay + w * acy; cz = az + w * acz;
+        } else if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+            const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+            cx = t[o + 3] + w * (t[o + 6] - t[o + 3]);
+            cy = t[o + 4] + w * (t[o + 7] - t[o + 4]);
+            cz = t[o + 5] + w * (t[o + 8] - t[o + 5]);
+        } else {
+            const denom = 1 / (va + vb + vc);
+            const v = vb * denom;
+            const w = vc * denom;
+            cx = ax + abx * v + acx * w;
+            cy = ay + aby * v + acy * w;
+            cz = az + abz * v + acz * w;
+        }
+    }
+
+    out[0] = cx; out[1] = cy; out[2] = cz;
+    const dx = px - cx, dy = py - cy, dz = pz - cz;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+export default Voxelizer;
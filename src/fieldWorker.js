@@ -0,0 +1,28 @@
+import { FieldGenerator } from './FieldGenerator.js';
+
+/**
+ * Module worker that builds velocity fields off the main thread.
+ * Messages in:  { jobId, request }
+ * Messages out: { type: 'progress', jobId, progress }
+ *               { type: 'result', jobId, result }  (buffers transferred)
+ *               { type: 'error', jobId, message }
+ * Cancellation is done by the pool terminating the worker.
+ */
+const generator = new FieldGenerator();
+
+self.onmessage = async (e) => {
+    const { jobId, request } = e.data;
+
+    try {
+        const result = await generator.generate(request, (progress) => {
+            self.postMessage({ type: 'progress', jobId, progress });
+        });
+
+        const transfer = [result.data.buffer];
+        if (result.solid) transfer.push(result.solid.buffer);
+        if (result.sdf) transfer.push(result.sdf.buffer);
+        self.postMessage({ type: 'result', jobId, result }, transfer);
+    } catch (err) {
+        self.postMessage({ type: 'error', jobId, message: err.message });
+    }
+};
@@ -1,10 +1,28 @@
 import * as THREE from 'three';
 import { SceneManager } from './SceneManager.js';
 import { OBJLoader } from './OBJLoader.js';
+import { ShapeLibrary } from './ShapeLibrary.js';
 import { VelocityField } from './VelocityField.js';
+import { SimulationDomain } from './SimulationDomain.js';
 import { ParticleSystem } from './ParticleSystem.js';
+import { ParticleEmitters } from './ParticleEmitters.js';
+import { FieldExporter } from './FieldExporter.js';
+import { ColorMap } from './ColorMap.js';
+import { ColorLegend } from './ColorLegend.js';
+import { SlicePlanes } from './SlicePlanes.js';
+import { EmitterGizmos } from './EmitterGizmos.js';
+import { Isosurfaces } from './Isosurfaces.js';
+import { VectorGlyphs } from './VectorGlyphs.js';
+import { BodyPressure } from './BodyPressure.js';
+import { ProbeTool } from './ProbeTool.js';
+import { ProbeOverlay } from './ProbeOverlay.js';
+import { SessionState } from './SessionState.js';
+import { SimulationClock } from './SimulationClock.js';
 
 class App {
+    // Dropped files with these extensions are velocity fields, not geometry
+    static FIELD_EXTENSIONS = ['.vtk', '.vti', '.raw', '.f32'];
+
     constructor() {
         const canvas = document.getElementById('webgl-canvas');
         this.sceneManager = new SceneManager(canvas);
@@ -12,38 +30,443 @@ class App {
         this.objLoader = new OBJLoader(this.sceneManager.scene);
         window.objLoader = this.objLoader;
         // Initialize systems
-        this.velocityField = new VelocityField(this.sceneManager.scene);
+        this.domain = new SimulationDomain(this.sceneManager.scene);
+        this.velocityField = new VelocityField(this.sceneManager.scene, this.sceneManager.renderer);
+        this.colorMap = new ColorMap();
+        this.colorLegend = new ColorLegend(this.colorMap, document.getElementById('legend-stack'));
         
         // We need to wait for renderer to be ready before initing particle system?
         // Renderer is ready.
         this.particleSystem = new ParticleSystem(
             this.sceneManager.scene, 
             this.sceneManager.renderer,
-            this.velocityField
+            this.velocityField,
+            this.colorMap
         );
+        this.emitterGizmos = new EmitterGizmos(this.sceneManager, this.particleSystem.emitters);
+        this.emitterGizmos.select(this.particleSystem.emitters.emitters[0].id);
+        this.slicePlanes = new SlicePlanes(this.sceneManager, this.velocityField, this.particleSystem.getDisplayUniforms());
+        this.isosurfaces = new Isosurfaces(this.sceneManager.scene, this.velocityField);
+        this.vectorGlyphs = new VectorGlyphs(this.sceneManager.scene, this.velocityField, this.particleSystem.getDisplayUniforms());
+        this.bodyPressure = new BodyPressure(this.objLoader, this.velocityField, this.colorMap, document.getElementById('legend-stack'));
+        this.probeTool = new ProbeTool(this.sceneManager, this.velocityField, {
+            targets: () => [...this.slicePlanes.slices.map(slice => slice.mesh), ...this.objLoader.parts.map(part => part.mesh)],
+            blocked: () => this.slicePlanes.gizmo.axis !== null || this.emitterGizmos.gizmo.axis !== null
+        });
+        this.probeOverlay = new ProbeOverlay(document.getElementById('probe-overlay'));
+        this.probeTool.addEventListener('change', () => this.probeOverlay.update(this.probeTool));
         
-        // Load default object and generate field
-        const mesh = this.objLoader.createDefaultSphere();
-        this.regenerateField(mesh);
-        
+        this.fieldExporter = new FieldExporter();
+        this.clock = new SimulationClock();
         this.lastTime = 0;
+        this.lastRangeUpdate = 0;
+        this.flowDirection = new THREE.Vector3(1, 0, 0); // Flow the emitters are laid out for
+        this.overlayRequest = 0;
+        this.restoring = false; // Field rebuilds wait until a session restore is done
+
+        // Load default object
+        const mesh = this.objLoader.createDefaultSphere();
+
         this.animate = this.animate.bind(this);
         requestAnimationFrame(this.animate);
         
         this.setupUI();
+
+        // Start from a shared link or the autosaved session, else generate the default field
+        this.session = new SessionState({
+            sceneManager: this.sceneManager,
+            objLoader: this.objLoader,
+            emitters: this.particleSystem.emitters,
+            domain: this.domain
+        });
+        const saved = this.readSessionHash() || this.session.loadAutosave();
+        if (saved) this.restoreSession(saved);
+        else this.runWithOverlay(() => this.regenerateField(mesh));
     }
     
     regenerateField(mesh) {
         // Get params from UI
-        const resolution = document.getElementById('grid-resolution')?.value || 64;
         const method = document.getElementById('flow-method')?.value || 'potential';
+        const reynolds = parseFloat(document.getElementById('reynolds-number')?.value || 200);
+        const freestream = this.readFreestream();
+        const loadingText = document.getElementById('loading-text');
         
-        this.velocityField.generate(mesh, {
-            resolution: resolution,
+        // One domain for the generator, the particles and the shaders
+        this.domain.fit(mesh ? this.objLoader.getMeshBounds() : null, VelocityField.freestreamVector(freestream));
+        this.particleSystem.emitters.keepInside(this.domain.box);
+
+        return this.velocityField.generate(mesh, {
+            grid: this.domain.grid(),
             method: method,
-            flowParams: {} // TODO: Pass other params
+            flowParams: { reynolds: reynolds, ...freestream },
+            onProgress: ({ fraction, message }) => {
+                if (loadingText) loadingText.textContent = `${message}... ${Math.round(fraction * 100)}%`;
+            }
+        }).then(updated => {
+            if (updated) this.onFieldChanged();
+            return updated;
+        });
+    }
+
+    /**
+     * Freestream settings from the controls
+     */
+    readFreestream() {
+        return {
+            speed: parseFloat(document.getElementById('freestream-speed')?.value || 1),
+            angleOfAttack: parseFloat(document.getElementById('angle-of-attack')?.value || 0),
+            yaw: parseFloat(document.getElementById('yaw-angle')?.value || 0)
+        };
+    }
+
+    /**
+     * Refresh everything derived from the field after a build or import
+     */
+    onFieldChanged() {
+        this.applyFreestream();
+        this.updateColorRange();
+        this.isosurfaces.rebuild();
+        this.showIsoValue();
+        this.updateForces();
+        this.probeTool.refresh();
+        this.session?.scheduleAutosave();
+    }
+
+    /**
+     * Save the view as a PNG, without the editing gizmos
+     */
+    captureImage(options) {
+        const gizmos = [this.emitterGizmos.gizmo, this.slicePlanes.gizmo];
+        const visible = gizmos.map(gizmo => gizmo.visible);
+        gizmos.forEach(gizmo => { gizmo.visible = false; });
+        let capture;
+        try {
+            capture = this.sceneManager.capture(options);
+        } catch (err) {
+            capture = Promise.reject(err);
+        } finally {
+            gizmos.forEach((gizmo, i) => { gizmo.visible = visible[i]; });
+        }
+        return capture
+            .then(blob => this.download(blob, `flow-${options.width}x${options.height}.png`))
+            .catch(err => {
+                console.error(err);
+                alert(`Capture failed: ${err.message}`);
+            });
+    }
+
+    /**
+     * Restore a session document. Controls go through their usual handlers;
+     * the field is rebuilt once at the end.
+     */
+    restoreSession(state) {
+        return this.runWithOverlay(async () => {
+            this.restoring = true;
+            let warnings;
+            try {
+                ({ warnings } = await this.session.apply(state));
+            } finally {
+                this.restoring = false;
+            }
+
+            // The emitters were saved for this flow direction, so they must not be turned again
+            const direction = new THREE.Vector3().fromArray(VelocityField.freestreamVector(this.readFreestream()));
+            if (direction.lengthSq() > 0) this.flowDirection = direction.normalize();
+            const first = this.particleSystem.emitters.emitters[0];
+            this.emitterGizmos.select(first ? first.id : null);
+            this.showParts();
+            const source = this.objLoader.source;
+            if (source?.kind === 'shape' && document.getElementById('shape-type')) {
+                document.getElementById('shape-type').value = source.type;
+                this.showShapeParams(source.type, source.params);
+            }
+            if (warnings.length) alert(warnings.join('\n'));
+
+            // Replay from the start, so the restored seed gives the saved picture
+            return this.regenerateField(this.objLoader.currentMesh).then(() => this.restartClock());
+        }, 'Restoring session...').catch(err => {
+            console.error(err);
+            alert(`Failed to restore session: ${err.message}`);
         });
     }
+
+    /**
+     * Restart the run from time zero with the clock's seed. Unsteady fields
+     * start over from their seeded perturbation first.
+     */
+    resetSimulation() {
+        this.velocityField.seed = this.clock.seed;
+        if (this.velocityField.isDynamic && !this.restoring) {
+            return this.runWithOverlay(() => this.regenerateField(this.objLoader.currentMesh).then(() => this.restartClock()));
+        }
+        this.restartClock();
+        return Promise.resolve();
+    }
+
+    restartClock() {
+        this.clock.reset();
+        this.particleSystem.reset(this.clock.seed);
+        this.showClock();
+    }
+
+    showClock() {
+        const status = document.getElementById('sim-status');
+        if (status) status.textContent = `t = ${this.clock.time.toFixed(2)} s · step ${this.clock.steps}${this.clock.paused ? ' · paused' : ''}`;
+        const play = document.getElementById('sim-play');
+        if (play) play.textContent = this.clock.paused ? '▶ Play' : '⏸ Pause';
+    }
+
+    /**
+     * Session document in the page's URL hash, if any
+     */
+    readSessionHash() {
+        try {
+            return this.session.fromHash(window.location.hash);
+        } catch (err) {
+            console.warn('Ignoring unreadable session link', err);
+            return null;
+        }
+    }
+
+    /**
+     * Load a body from a geometry file and rebuild the field around it
+     */
+    loadGeometry(file) {
+        return this.runWithOverlay(() => this.objLoader.loadFromFile(file)
+            // Regenerate field with new mesh
+            .then((mesh) => {
+                this.showParts();
+                return this.regenerateField(mesh);
+            })
+            .catch(err => {
+                console.error(err);
+                alert(`Failed to load geometry: ${err.message}`);
+            }), 'Loading geometry...');
+    }
+
+    /**
+     * Replace the body with a library shape and rebuild the field around it
+     */
+    createShape(type, params) {
+        return this.runWithOverlay(() => {
+            const mesh = this.objLoader.loadShape(type, params);
+            this.showParts();
+            return this.regenerateField(mesh);
+        }, 'Generating shape...').catch(err => {
+            console.error(err);
+            alert(`Failed to create shape: ${err.message}`);
+        });
+    }
+
+    /**
+     * Inputs for a shape's parameters
+     * @param {Object} values - Current values (defaults if left out)
+     */
+    showShapeParams(type, values = {}) {
+        const container = document.getElementById('shape-params');
+        if (!container) return;
+        const current = { ...ShapeLibrary.defaults(type), ...values };
+        container.innerHTML = Object.entries(ShapeLibrary.SHAPES[type].params).map(([key, param]) => {
+            const value = current[key];
+            let input;
+            if (param.options) {
+                const options = Object.entries(param.options)
+                    .map(([option, label]) => `<option value="${option}"${option === value ? ' selected' : ''}>${label}</option>`).join('');
+                input = `<select data-param="${key}">${options}</select>`;
+            } else if (typeof param.value === 'number') {
+                input = `<input type="number" data-param="${key}" value="${value}" min="${param.min}" max="${param.max}" step="${param.step}">`;
+            } else {
+                input = `<input type="text" data-param="${key}" value="${escapeHTML(String(value))}">`;
+            }
+            return `<label>${param.label} ${input}</label>`;
+        }).join('');
+    }
+
+    /**
+     * Values of the shape inputs, clamped to each parameter's range
+     */
+    readShapeParams(type) {
+        const definitions = ShapeLibrary.SHAPES[type].params;
+        const params = ShapeLibrary.defaults(type);
+        document.querySelectorAll('#shape-params [data-param]').forEach(input => {
+            const key = input.dataset.param;
+            const { min, max } = definitions[key];
+            if (typeof params[key] === 'number') {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) params[key] = THREE.MathUtils.clamp(value, min, max);
+            } else {
+                params[key] = input.value;
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Replace the field with an external CFD result
+     */
+    importField(file) {
+        const loadingText = document.getElementById('loading-text');
+        return this.runWithOverlay(() => this.velocityField.importFile(file, {
+            onProgress: ({ fraction, message }) => {
+                if (loadingText) loadingText.textContent = `${message}... ${Math.round(fraction * 100)}%`;
+            }
+        }).then(updated => {
+            if (updated) this.onFieldChanged();
+        }).catch(err => {
+            console.error(err);
+            alert(`Failed to import velocity field: ${err.message}`);
+        }), 'Importing velocity field...');
+    }
+
+    /**
+     * Fill the parts list from the loaded body
+     */
+    showParts() {
+        const list = document.getElementById('part-list');
+        if (!list) return;
+        const toggle = (name, checked, title) =>
+            `<label title="${title}"><input type="checkbox" data-toggle="${name}"${checked ? ' checked' : ''}> ${title}</label>`;
+        list.innerHTML = this.objLoader.parts.map(part => `
+            <div class="part-row" data-id="${part.id}">
+                <span class="part-name">${escapeHTML(part.name)}</span>
+                ${toggle('visible', part.mesh.visible, 'Show')}
+                ${toggle('wireframe', part.mesh.getObjectByName('wireframe').visible, 'Wire')}
+                ${toggle('obstacle', part.mesh.userData.obstacle, 'Solid')}
+            </div>`).join('');
+        this.showMeshReport();
+    }
+
+    /**
+     * Per-part findings of the mesh check
+     */
+    showMeshReport() {
+        const report = document.getElementById('mesh-report');
+        if (!report) return;
+        report.innerHTML = this.objLoader.parts.map(({ name, validation: v }) => {
+            if (!v) return '';
+            if (v.watertight && v.consistent) {
+                return `<div>✅ ${escapeHTML(name)}: watertight, ${v.shells} shell(s)</div>`;
+            }
+            const findings = [
+                v.openEdges && `${v.openEdges} open edges (${v.holes} holes)`,
+                v.nonManifoldEdges && `${v.nonManifoldEdges} non-manifold edges`,
+                v.inconsistentEdges && `${v.inconsistentEdges} inconsistent edges`,
+                v.degenerate && `${v.degenerate} degenerate triangles`
+            ].filter(Boolean);
+            return `<div class="warn">⚠️ ${escapeHTML(name)}: ${findings.join(', ')}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Point the particles and emitters along the field's freestream. Emitters
+     * turn with the flow about the field centre, so they stay upstream of the body.
+     */
+    applyFreestream() {
+        const freestream = this.velocityField.freestream;
+        const direction = new THREE.Vector3().fromArray(freestream).normalize();
+        if (!this.flowDirection.equals(direction)) {
+            const center = this.velocityField.bounds.getCenter(new THREE.Vector3());
+            const turn = new THREE.Quaternion().setFromUnitVectors(this.flowDirection, direction);
+            this.particleSystem.emitters.rotateAbout(center, turn);
+        }
+        this.flowDirection = direction;
+
+        this.particleSystem.setFreestream(freestream);
+        this.colorMap.setFreestreamSpeed(Math.hypot(...freestream));
+    }
+
+    /**
+     * Recompute surface Cp and show the force coefficients (pressure only)
+     */
+    updateForces() {
+        const result = this.bodyPressure.update();
+        const show = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        };
+        show('force-drag', result ? result.coefficients.drag.toFixed(4) : '–');
+        show('force-lift', result ? result.coefficients.lift.toFixed(4) : '–');
+        show('force-side', result ? result.coefficients.side.toFixed(4) : '–');
+        show('force-area', result ? result.referenceArea.toFixed(4) : '–');
+    }
+
+    /**
+     * Sync the iso value slider with the isosurface's range and value
+     */
+    showIsoValue() {
+        const slider = document.getElementById('iso-value');
+        if (!slider) return;
+        const { min, max } = this.isosurfaces.range;
+        slider.min = min;
+        slider.max = max;
+        slider.step = (max - min) / 1000;
+        if (this.isosurfaces.isoValue !== null) slider.value = this.isosurfaces.isoValue;
+        document.getElementById('iso-value-val').textContent = this.isosurfaces.label;
+    }
+
+    /**
+     * Fit the colour range to the current field (no-op when the range is manual)
+     */
+    updateColorRange() {
+        if (!this.colorMap.autoRange) return;
+        const needsField = this.colorMap.scalar !== 'age';
+        this.colorMap.updateAutoRange(needsField ? this.velocityField.readData() : null, this.particleSystem.positionUniforms['maxAge'].value);
+    }
+
+    /**
+     * Show the loading overlay while a field build runs in the background.
+     * The control panel stays usable, and only the most recent request hides it again.
+     */
+    runWithOverlay(task, text = 'Generating velocity field...') {
+        const request = ++this.overlayRequest;
+        const overlay = document.getElementById('loading-overlay');
+        const loadingText = document.getElementById('loading-text');
+        if (overlay) overlay.classList.add('active');
+        if (loadingText) loadingText.textContent = text;
+
+        return Promise.resolve()
+            .then(task)
+            .finally(() => {
+                if (overlay && request === this.overlayRequest) overlay.classList.remove('active');
+            });
+    }
+    
+    /**
+     * Export the current field or the emitter's streamlines as a download
+     * @param {string} choice - 'field:<format>' or 'streamlines:<format>'
+     */
+    exportData(choice) {
+        const [kind, format] = choice.split(':');
+
+        if (kind === 'field') {
+            const field = this.velocityField.readData();
+            if (!field) throw new Error('No velocity field to export yet');
+            this.download(this.fieldExporter.exportField(format, field.grid, field.data), `velocity-field.${format}`);
+        } else if (kind === 'surfaces') {
+            const surfaces = [];
+            if (this.isosurfaces.surface) {
+                surfaces.push({ name: `isosurface_${this.isosurfaces.quantity}`, ...this.isosurfaces.surface });
+            }
+            if (this.objLoader.currentMesh) {
+                surfaces.push({ name: 'body', positions: VelocityField.extractTriangles(this.objLoader.currentMesh) });
+            }
+            if (!surfaces.length) throw new Error('No isosurface or body to export');
+            this.download(this.fieldExporter.exportSurfaces(format, surfaces), `surfaces.${format}`);
+        } else {
+            const lines = this.particleSystem.traceStreamlines();
+            console.log("🧵 Streamlines traced", { lines: lines.length, vertices: lines.reduce((n, l) => n + l.age.length, 0) });
+            this.download(this.fieldExporter.exportStreamlines(format, lines), `streamlines.${format}`);
+        }
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
     
     setupUI() {
         const panelToggle = document.getElementById('toggle-panel');
@@ -61,62 +484,522 @@ class App {
             });
         }
         
-        // OBJ Loading
-        const fileInput = document.getElementById('obj-file-input');
-        if (fileInput) {
-            fileInput.addEventListener('change', (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    const overlay = document.getElementById('loading-overlay');
-                    if (overlay) overlay.classList.add('active');
-                    
-                    // Small timeout to let UI update
-                    setTimeout(() => {
-                        this.objLoader.loadFromFile(file)
-                            .then((mesh) => {
-                                // Regenerate field with new mesh
-                                this.regenerateField(mesh);
-                                if (overlay) overlay.classList.remove('active');
-                            })
-                            .catch(err => {
-                                console.error(err);
-                                if (overlay) overlay.classList.remove('active');
-                                alert("Failed to load OBJ");
-                            });
-                    }, 100);
-                }
-            });
+        // Geometry loading (OBJ, STL, PLY, glTF)
+        document.getElementById('obj-file-input')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadGeometry(e.target.files[0]);
+        });
+        
+        // External CFD results replace the generated field
+        document.getElementById('field-file-input')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importField(e.target.files[0]);
+        });
+
+        // Files dropped on the canvas: velocity fields by extension, anything else as geometry
+        const canvas = this.sceneManager.renderer.domElement;
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            canvas.classList.add('drag-over');
+        });
+        canvas.addEventListener('dragleave', () => canvas.classList.remove('drag-over'));
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvas.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            const isField = App.FIELD_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+            if (isField) this.importField(file);
+            else this.loadGeometry(file);
+        });
+        
+        // Shape library
+        const shapeType = document.getElementById('shape-type');
+        if (shapeType) {
+            shapeType.innerHTML = Object.entries(ShapeLibrary.SHAPES)
+                .map(([type, shape]) => `<option value="${type}">${shape.label}</option>`).join('');
+            shapeType.addEventListener('change', () => this.showShapeParams(shapeType.value));
+            this.showShapeParams(shapeType.value);
         }
+        document.getElementById('shape-create')?.addEventListener('click', () => {
+            this.createShape(shapeType.value, this.readShapeParams(shapeType.value));
+        });
+
+        // Export
+        document.getElementById('export-button')?.addEventListener('click', () => {
+            try {
+                this.exportData(document.getElementById('export-format').value);
+            } catch (err) {
+                console.error(err);
+                alert(`Export failed: ${err.message}`);
+            }
+        });
         
+        // Playback
+        document.getElementById('sim-play')?.addEventListener('click', () => {
+            if (this.clock.paused) this.clock.resume();
+            else this.clock.pause();
+            this.showClock();
+        });
+        document.getElementById('sim-step')?.addEventListener('click', () => {
+            this.clock.step();
+            this.showClock();
+        });
+        document.getElementById('sim-reset')?.addEventListener('click', () => this.resetSimulation());
+        document.getElementById('sim-speed')?.addEventListener('input', (e) => {
+            const speed = parseFloat(e.target.value);
+            document.getElementById('sim-speed-val').textContent = speed.toFixed(1);
+            this.clock.setSpeed(speed);
+        });
+        document.getElementById('sim-timestep')?.addEventListener('change', (e) => this.clock.setFixedStep(parseFloat(e.target.value)));
+        document.getElementById('sim-substeps')?.addEventListener('change', (e) => {
+            this.clock.setSubsteps(parseInt(e.target.value));
+            e.target.value = this.clock.substeps;
+        });
+        document.getElementById('sim-seed')?.addEventListener('change', (e) => {
+            this.clock.setSeed(parseInt(e.target.value));
+            e.target.value = this.clock.seed;
+            this.resetSimulation();
+        });
+
+        // Capture
+        const captureLegends = () => document.getElementById('capture-legend')?.checked
+            ? [this.colorLegend, this.bodyPressure.legend].filter(legend => legend.visible)
+            : [];
+        document.getElementById('capture-png')?.addEventListener('click', () => {
+            const choice = document.getElementById('capture-size').value;
+            const [width, height] = choice.startsWith('viewport:')
+                ? [window.innerWidth, window.innerHeight].map(n => n * parseInt(choice.split(':')[1]))
+                : choice.split('x').map(Number);
+            this.captureImage({
+                width, height,
+                transparent: document.getElementById('capture-transparent').checked,
+                legends: captureLegends()
+            });
+        });
+        document.getElementById('capture-record')?.addEventListener('click', (e) => {
+            const button = e.target;
+            if (this.sceneManager.recording) {
+                button.textContent = '⏺ Record WebM';
+                this.sceneManager.stopRecording().then(blob => this.download(blob, 'flow-recording.webm'));
+                return;
+            }
+            try {
+                this.sceneManager.startRecording({
+                    fps: parseInt(document.getElementById('capture-fps').value),
+                    legends: captureLegends()
+                });
+                button.textContent = '⏹ Stop Recording';
+            } catch (err) {
+                console.error(err);
+                alert(`Recording failed: ${err.message}`);
+            }
+        });
+
+        // Session presets
+        document.getElementById('session-save')?.addEventListener('click', () => {
+            const state = this.session.capture({ embedGeometry: document.getElementById('session-embed').checked });
+            this.download(new Blob([this.session.serialize(state)], { type: 'application/json' }), 'flow-session.json');
+        });
+        document.getElementById('session-file-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => this.restoreSession(this.session.parse(text)))
+                .catch(err => {
+                    console.error(err);
+                    alert(`Failed to load session: ${err.message}`);
+                });
+            e.target.value = '';
+        });
+        document.getElementById('session-link')?.addEventListener('click', () => {
+            const hash = this.session.toHash(this.session.capture());
+            history.replaceState(null, '', `#${hash}`);
+            const link = document.getElementById('session-link-text');
+            link.value = window.location.href;
+            link.select();
+            navigator.clipboard?.writeText(link.value).catch(() => {});
+        });
+        document.getElementById('session-autosave')?.addEventListener('change', (e) => {
+            this.session.autosaveEnabled = e.target.checked;
+            if (e.target.checked) this.session.scheduleAutosave();
+            else this.session.clearAutosave();
+        });
+        document.getElementById('session-reset')?.addEventListener('click', () => {
+            if (!confirm('Discard the saved session and reload with the default settings?')) return;
+            this.session.clearAutosave();
+            this.session.autosaveEnabled = false;
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            window.location.reload();
+        });
+        // A pasted link in the same tab only changes the hash
+        window.addEventListener('hashchange', () => {
+            const state = this.readSessionHash();
+            if (state) this.restoreSession(state);
+        });
+        // Autosave after edits, camera moves and emitter drags
+        document.getElementById('control-panel')?.addEventListener('change', (e) => {
+            if (!e.target.closest('#session-file-input, #session-autosave')) this.session?.scheduleAutosave();
+        });
+        this.sceneManager.controls.addEventListener('end', () => this.session?.scheduleAutosave());
+        this.particleSystem.emitters.addEventListener('change', () => this.session?.scheduleAutosave());
+
         // Toggles
         document.getElementById('toggle-wireframe')?.addEventListener('change', (e) => {
             this.objLoader.toggleWireframe(e.target.checked);
+            this.showParts();
         });
         
         document.getElementById('toggle-visibility')?.addEventListener('change', (e) => {
             this.objLoader.toggleVisibility(e.target.checked);
+            this.showParts();
+        });
+
+        // Per-part toggles; obstacle changes need a new field
+        this.showParts();
+        document.getElementById('part-list')?.addEventListener('change', (e) => {
+            const id = parseInt(e.target.closest('.part-row').dataset.id);
+            const checked = e.target.checked;
+            switch (e.target.dataset.toggle) {
+                case 'visible': this.objLoader.setPartVisible(id, checked); break;
+                case 'wireframe': this.objLoader.setPartWireframe(id, checked); break;
+                case 'obstacle':
+                    this.objLoader.setPartObstacle(id, checked);
+                    this.runWithOverlay(() => this.regenerateField(this.objLoader.currentMesh));
+                    break;
+            }
+        });
+
+        // Mesh check and repair
+        document.getElementById('mesh-highlight')?.addEventListener('change', (e) => {
+            this.objLoader.setProblemHighlight(e.target.checked);
+        });
+        const repairOptions = () => ({
+            fillHoles: document.getElementById('repair-holes')?.checked ?? false,
+            fixOrientation: document.getElementById('repair-orientation')?.checked ?? false
+        });
+        ['repair-holes', 'repair-orientation'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.objLoader.repairOptions = repairOptions();
+            });
+        });
+        document.getElementById('mesh-repair')?.addEventListener('click', () => {
+            this.runWithOverlay(() => {
+                this.objLoader.repairParts(repairOptions());
+                this.showParts();
+                return this.regenerateField(this.objLoader.currentMesh);
+            }, 'Repairing mesh...');
         });
 
         // Velocity Field Params
         const updateField = () => {
-            const overlay = document.getElementById('loading-overlay');
-            if (overlay) overlay.classList.add('active');
-             setTimeout(() => {
-                this.regenerateField(this.objLoader.currentMesh);
-                if (overlay) overlay.classList.remove('active');
-             }, 50);
+            if (this.restoring) return;
+            this.runWithOverlay(() => this.regenerateField(this.objLoader.currentMesh)).catch(err => {
+                console.error(err);
+                alert(`Failed to generate velocity field: ${err.message}`);
+            });
         };
         
         document.getElementById('flow-method')?.addEventListener('change', updateField);
-        document.getElementById('grid-resolution')?.addEventListener('change', updateField);
+
+        // Grid and domain
+        const gridInputs = ['nx', 'ny', 'nz'].map(axis => document.getElementById(`grid-${axis}`));
+        const showDomain = () => {
+            const { min, max } = this.domain.box;
+            const extent = [0, 1, 2].map(k => `${min.getComponent(k).toFixed(2)}…${max.getComponent(k).toFixed(2)}`);
+            document.getElementById('domain-extent').textContent = `x ${extent[0]}, y ${extent[1]}, z ${extent[2]}`;
+            this.domain.resolution.forEach((n, k) => { gridInputs[k].value = n; });
+        };
+        this.domain.addEventListener('change', showDomain);
+        showDomain();
+
+        document.getElementById('grid-resolution')?.addEventListener('change', (e) => {
+            if (e.target.value === 'fit') this.domain.setCubicResolution(Math.max(...this.domain.resolution));
+            else this.domain.setResolution(...e.target.value.split(',').map(Number));
+            updateField();
+        });
+        gridInputs.forEach(input => input?.addEventListener('change', () => {
+            this.domain.setResolution(...gridInputs.map(i => parseInt(i.value)));
+            updateField();
+        }));
+        document.getElementById('domain-auto-fit')?.addEventListener('change', (e) => {
+            this.domain.setAutoFit(e.target.checked);
+            updateField();
+        });
+        ['upstream', 'downstream', 'lateral'].forEach(margin => {
+            document.getElementById(`domain-${margin}`)?.addEventListener('change', (e) => {
+                this.domain.setMargins({ [margin]: Math.max(0, parseFloat(e.target.value) || 0) });
+                if (this.domain.autoFit) updateField();
+            });
+        });
+        document.getElementById('domain-show-box')?.addEventListener('change', (e) => this.domain.setHelperVisible(e.target.checked));
+
+        // Reynolds number only changes the solver's viscosity, no regeneration needed
+        document.getElementById('reynolds-number')?.addEventListener('input', (e) => {
+            const reynolds = parseFloat(e.target.value);
+            document.getElementById('reynolds-number-val').textContent = reynolds;
+            this.velocityField.setFlowParams({ reynolds: reynolds });
+        });
+        // Freestream: the labels follow the drag, the field is rebuilt on release
+        [['freestream-speed', 1], ['angle-of-attack', 1], ['yaw-angle', 1]].forEach(([id, digits]) => {
+            document.getElementById(id)?.addEventListener('input', (e) => {
+                document.getElementById(`${id}-val`).textContent = parseFloat(e.target.value).toFixed(digits);
+            });
+            document.getElementById(id)?.addEventListener('change', updateField);
+        });
+
+        // The lattice Boltzmann result is steady, so it has to be rerun
+        document.getElementById('reynolds-number')?.addEventListener('change', () => {
+            if (this.velocityField.method === 'lbm') updateField();
+        });
+        
+        // Trail length only changes how much of the recorded history is drawn
+        document.getElementById('trail-length')?.addEventListener('input', (e) => {
+            const length = parseInt(e.target.value);
+            document.getElementById('trail-length-val').textContent = length;
+            this.particleSystem.updateParams({ trailLength: length });
+        });
+        
+        // Particle integration
+        const updateIntegration = () => {
+            const tracerMode = document.getElementById('tracer-mode').value;
+            const drag = parseFloat(document.getElementById('drag-coefficient').value);
+            document.getElementById('drag-coefficient-val').textContent = drag;
+            // Drag only matters for inertial particles
+            document.getElementById('drag-coefficient').disabled = tracerMode !== 'inertial';
+
+            this.particleSystem.updateParams({
+                integrator: document.getElementById('integrator').value,
+                tracerMode: tracerMode,
+                dragCoefficient: drag
+            });
+        };
+        document.getElementById('integrator')?.addEventListener('change', updateIntegration);
+        document.getElementById('tracer-mode')?.addEventListener('change', updateIntegration);
+        document.getElementById('drag-coefficient')?.addEventListener('input', updateIntegration);
+        
+        // Colour mapping
+        const colorMin = document.getElementById('color-min');
+        const colorMax = document.getElementById('color-max');
+        const showRange = () => {
+            colorMin.value = +this.colorMap.min.toPrecision(4);
+            colorMax.value = +this.colorMap.max.toPrecision(4);
+        };
+        this.colorMap.addEventListener('change', showRange);
+
+        document.getElementById('color-scalar')?.addEventListener('change', (e) => {
+            this.colorMap.setScalar(e.target.value);
+            this.updateColorRange();
+        });
+        document.getElementById('colormap')?.addEventListener('change', (e) => {
+            this.colorMap.setColormap(e.target.value);
+        });
+        document.getElementById('color-auto-range')?.addEventListener('change', (e) => {
+            colorMin.disabled = colorMax.disabled = e.target.checked;
+            this.colorMap.setAutoRange(e.target.checked);
+            this.updateColorRange();
+        });
+        const setManualRange = () => {
+            const min = parseFloat(colorMin.value);
+            const max = parseFloat(colorMax.value);
+            if (max > min) this.colorMap.setRange(min, max);
+        };
+        colorMin?.addEventListener('change', setManualRange);
+        colorMax?.addEventListener('change', setManualRange);
+        // Slice planes
+        const sliceList = document.getElementById('slice-list');
+        const sliceInputs = ['pos-x', 'pos-y', 'pos-z', 'rot-x', 'rot-y', 'rot-z'].map(id => document.getElementById(`slice-${id}`));
+        const showSlice = () => {
+            const slice = this.slicePlanes.selected;
+            sliceList.innerHTML = this.slicePlanes.slices
+                .map(s => `<option value="${s.id}">Slice ${s.id} (${s.axis.toUpperCase()})</option>`).join('');
+            if (slice) sliceList.value = slice.id;
+
+            sliceInputs.forEach(input => { input.disabled = !slice; });
+            document.getElementById('slice-arrows').disabled = !slice;
+            if (!slice) return;
+
+            const { position, rotation } = this.slicePlanes.getTransform(slice.id);
+            [...position, ...rotation].forEach((value, i) => {
+                // Leave the field being typed in alone
+                if (document.activeElement !== sliceInputs[i]) sliceInputs[i].value = +value.toFixed(i < 3 ? 3 : 1);
+            });
+            document.getElementById('slice-arrows').checked = slice.arrows.visible;
+        };
+        this.slicePlanes.addEventListener('change', showSlice);
+        showSlice();
+
+        document.getElementById('slice-add')?.addEventListener('click', () => {
+            this.slicePlanes.add(document.getElementById('slice-axis').value);
+        });
+        document.getElementById('slice-remove')?.addEventListener('click', () => {
+            if (this.slicePlanes.selected) this.slicePlanes.remove(this.slicePlanes.selected.id);
+        });
+        sliceList?.addEventListener('change', (e) => this.slicePlanes.select(parseInt(e.target.value)));
+        document.getElementById('slice-gizmo')?.addEventListener('change', (e) => this.slicePlanes.setGizmoMode(e.target.value));
+        sliceInputs.forEach(input => input?.addEventListener('change', () => {
+            const slice = this.slicePlanes.selected;
+            if (!slice) return;
+            const values = sliceInputs.map(i => parseFloat(i.value) || 0);
+            this.slicePlanes.setTransform(slice.id, { position: values.slice(0, 3), rotation: values.slice(3) });
+        }));
+        document.getElementById('slice-arrows')?.addEventListener('change', (e) => {
+            if (this.slicePlanes.selected) this.slicePlanes.setArrowsVisible(this.slicePlanes.selected.id, e.target.checked);
+        });
+
+        // Emitters
+        const emitters = this.particleSystem.emitters;
+        const emitterList = document.getElementById('emitter-list');
+        const emitterInputs = ['pos-x', 'pos-y', 'pos-z', 'rot-x', 'rot-y', 'rot-z'].map(id => document.getElementById(`emitter-${id}`));
+        const emitterSettings = ['size-u', 'size-v', 'share', 'color'].map(id => document.getElementById(`emitter-${id}`));
+        const showEmitter = () => {
+            const emitter = this.emitterGizmos.selected;
+            emitterList.innerHTML = emitters.emitters
+                .map(e => `<option value="${e.id}">Emitter ${e.id} (${e.type})</option>`).join('');
+            if (emitter) emitterList.value = emitter.id;
+
+            [...emitterInputs, ...emitterSettings].forEach(input => { input.disabled = !emitter; });
+            if (!emitter) return;
+
+            const rotation = [emitter.rotation.x, emitter.rotation.y, emitter.rotation.z].map(THREE.MathUtils.radToDeg);
+            [...emitter.position.toArray(), ...rotation].forEach((value, i) => {
+                // Leave the field being typed in alone
+                if (document.activeElement !== emitterInputs[i]) emitterInputs[i].value = +value.toFixed(i < 3 ? 3 : 1);
+            });
+
+            const [labelU, labelV] = ParticleEmitters.SIZE_LABELS[emitter.type];
+            ['u', 'v'].forEach((axis, i) => {
+                const label = i === 0 ? labelU : labelV;
+                const value = i === 0 ? emitter.sizeU : emitter.sizeV;
+                document.getElementById(`emitter-size-${axis}`).style.display = label ? '' : 'none';
+                document.getElementById(`emitter-size-${axis}-label`).parentElement.style.display = label ? '' : 'none';
+                document.getElementById(`emitter-size-${axis}-label`).textContent = label || '';
+                document.getElementById(`emitter-size-${axis}`).value = value;
+                document.getElementById(`emitter-size-${axis}-val`).textContent = value.toFixed(2);
+            });
+            emitterSettings[2].value = emitter.share;
+            document.getElementById('emitter-share-val').textContent = emitter.share;
+            emitterSettings[3].value = emitter.color;
+        };
+        emitters.addEventListener('change', showEmitter);
+        this.emitterGizmos.addEventListener('change', showEmitter);
+        showEmitter();
+
+        document.getElementById('emitter-add')?.addEventListener('click', () => {
+            if (emitters.emitters.length >= ParticleEmitters.MAX) {
+                alert(`At most ${ParticleEmitters.MAX} emitters are supported`);
+                return;
+            }
+            // New emitters start upstream of the field centre, facing the flow
+            const bounds = this.velocityField.bounds;
+            const size = bounds.getSize(new THREE.Vector3());
+            const flow = this.flowDirection;
+            const reach = 0.3 * (Math.abs(flow.x) * size.x + Math.abs(flow.y) * size.y + Math.abs(flow.z) * size.z);
+            const emitter = emitters.add(document.getElementById('emitter-type').value, {
+                position: bounds.getCenter(new THREE.Vector3()).addScaledVector(flow, -reach),
+                quaternion: new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), flow)
+            });
+            this.emitterGizmos.select(emitter.id);
+            console.log("🌬️ Emitter added", { id: emitter.id, type: emitter.type });
+        });
+        document.getElementById('emitter-remove')?.addEventListener('click', () => {
+            if (this.emitterGizmos.selected) emitters.remove(this.emitterGizmos.selected.id);
+        });
+        emitterList?.addEventListener('change', (e) => this.emitterGizmos.select(parseInt(e.target.value)));
+        document.getElementById('emitter-gizmo')?.addEventListener('change', (e) => this.emitterGizmos.setGizmoMode(e.target.value));
+        emitterInputs.forEach(input => input?.addEventListener('change', () => {
+            const emitter = this.emitterGizmos.selected;
+            if (!emitter) return;
+            const values = emitterInputs.map(i => parseFloat(i.value) || 0);
+            emitters.set(emitter.id, { position: values.slice(0, 3), rotation: values.slice(3) });
+        }));
+        emitterSettings.forEach(input => input?.addEventListener('input', () => {
+            const emitter = this.emitterGizmos.selected;
+            if (!emitter) return;
+            emitters.set(emitter.id, {
+                sizeU: parseFloat(emitterSettings[0].value),
+                sizeV: parseFloat(emitterSettings[1].value),
+                share: parseFloat(emitterSettings[2].value),
+                color: emitterSettings[3].value
+            });
+        }));
+        document.getElementById('emitter-color-particles')?.addEventListener('change', (e) => emitters.setColorByEmitter(e.target.checked));
+        document.getElementById('emitter-show')?.addEventListener('change', (e) => {
+            this.emitterGizmos.setVisible(e.target.checked);
+            this.emitterGizmos.setGizmoMode(e.target.checked ? document.getElementById('emitter-gizmo').value : 'off');
+        });
+
+        // Probes
+        document.getElementById('probe-mode')?.addEventListener('change', (e) => this.probeTool.setMode(e.target.value));
+        document.querySelectorAll('.probe-quantity').forEach(box => box.addEventListener('change', () => {
+            const checked = [...document.querySelectorAll('.probe-quantity:checked')].map(b => b.value);
+            this.probeOverlay.setQuantities(checked);
+            this.probeOverlay.update(this.probeTool);
+        }));
+        document.getElementById('probe-clear')?.addEventListener('click', () => this.probeTool.clear());
+        document.getElementById('probe-export')?.addEventListener('click', () => {
+            const { points, line } = this.probeTool;
+            if (!points.length && !line) {
+                alert('Place a point or line probe first');
+                return;
+            }
+            this.download(this.fieldExporter.exportProbes(points, line ? line.samples : []), 'probes.csv');
+        });
+
+        // Surface pressure
+        document.getElementById('cp-enabled')?.addEventListener('change', (e) => {
+            this.bodyPressure.setEnabled(e.target.checked);
+            this.updateForces();
+        });
+
+        // Vector glyphs
+        document.getElementById('glyph-enabled')?.addEventListener('change', (e) => this.vectorGlyphs.setEnabled(e.target.checked));
+        document.getElementById('glyph-shape')?.addEventListener('change', (e) => this.vectorGlyphs.setShape(e.target.value));
+        document.getElementById('glyph-density')?.addEventListener('input', (e) => {
+            document.getElementById('glyph-density-val').textContent = e.target.value;
+            this.vectorGlyphs.setDensity(parseInt(e.target.value));
+        });
+        document.getElementById('glyph-scale')?.addEventListener('input', (e) => {
+            const scale = parseFloat(e.target.value);
+            document.getElementById('glyph-scale-val').textContent = scale.toFixed(1);
+            this.vectorGlyphs.setScale(scale);
+        });
+        document.getElementById('glyph-skip-solid')?.addEventListener('change', (e) => this.vectorGlyphs.setSkipSolid(e.target.checked));
+        const updateSlab = () => {
+            const axis = document.getElementById('glyph-slab').value;
+            const position = parseFloat(document.getElementById('glyph-slab-position').value);
+            document.getElementById('glyph-slab-position').disabled = axis === 'none';
+            document.getElementById('glyph-slab-position-val').textContent = position.toFixed(2);
+            this.vectorGlyphs.setSlab(axis, position);
+        };
+        document.getElementById('glyph-slab')?.addEventListener('change', updateSlab);
+        document.getElementById('glyph-slab-position')?.addEventListener('input', updateSlab);
+
+        // Isosurface
+        document.getElementById('iso-enabled')?.addEventListener('change', (e) => {
+            this.isosurfaces.setEnabled(e.target.checked);
+            this.showIsoValue();
+        });
+        document.getElementById('iso-quantity')?.addEventListener('change', (e) => {
+            this.isosurfaces.setQuantity(e.target.value);
+            this.showIsoValue();
+        });
+        document.getElementById('iso-value')?.addEventListener('input', (e) => {
+            // Only the label follows the drag; extraction waits for release
+            this.isosurfaces.isoValue = parseFloat(e.target.value);
+            document.getElementById('iso-value-val').textContent = this.isosurfaces.label;
+        });
+        document.getElementById('iso-value')?.addEventListener('change', (e) => {
+            this.isosurfaces.setIsoValue(parseFloat(e.target.value));
+        });
+
+        // The age range follows the lifespan
+        document.getElementById('particle-lifespan')?.addEventListener('change', () => {
+            if (this.colorMap.scalar === 'age') this.updateColorRange();
+        });
         
         // Particle System Params
         // We'll update these every frame or on change. On change is better for some.
         const updateParticles = () => {
-            const x = parseFloat(document.getElementById('source-x').value);
-            const y = parseFloat(document.getElementById('source-y').value);
-            const z = parseFloat(document.getElementById('source-z').value);
-            
             const rate = parseInt(document.getElementById('emission-rate').value);
             document.getElementById('emission-rate-val').textContent = rate;
             
@@ -127,7 +1010,6 @@ class App {
             document.getElementById('speed-multiplier-val').textContent = speed;
             
             this.particleSystem.updateParams({
-                emitterPos: new THREE.Vector3(x, y, z),
                 lifespan: life,
                 speedMultiplier: speed,
                 emissionRate: rate
@@ -135,59 +1017,47 @@ class App {
         };
         
         // Listeners for particle controls
-        ['source-x', 'source-y', 'source-z', 'emission-rate', 'particle-lifespan', 'speed-multiplier'].forEach(id => {
+        ['emission-rate', 'particle-lifespan', 'speed-multiplier'].forEach(id => {
             document.getElementById(id)?.addEventListener('input', updateParticles);
         });
         
         // Initial update
         updateParticles();
-
-        // Streamline Emitter Controls 
-        const emitterControls = () => { 
-            const posX = parseFloat(document.getElementById('emitter-pos-x')?.value || -2.0); 
-            const posY = parseFloat(document.getElementById('emitter-pos-y')?.value || 0.0); 
-            const posZ = parseFloat(document.getElementById('emitter-pos-z')?.value || 0.0); 
-            const width = parseFloat(document.getElementById('emitter-width')?.value || 1.5); 
-            const height = parseFloat(document.getElementById('emitter-height')?.value || 1.5); 
-
-            this.particleSystem.updateParams({ 
-                emitterPos: new THREE.Vector3(posX, posY, posZ), 
-                emitterWidth: width, 
-                emitterHeight: height 
-            }); 
-            
-            // Update display values
-            if(document.getElementById('emitter-pos-x-val')) document.getElementById('emitter-pos-x-val').textContent = posX.toFixed(1);
-            if(document.getElementById('emitter-pos-y-val')) document.getElementById('emitter-pos-y-val').textContent = posY.toFixed(1);
-            if(document.getElementById('emitter-pos-z-val')) document.getElementById('emitter-pos-z-val').textContent = posZ.toFixed(1);
-            if(document.getElementById('emitter-width-val')) document.getElementById('emitter-width-val').textContent = width.toFixed(1);
-            if(document.getElementById('emitter-height-val')) document.getElementById('emitter-height-val').textContent = height.toFixed(1);
-        }; 
-
-        // Listeners for emitter controls 
-        ['emitter-pos-x', 'emitter-pos-y', 'emitter-pos-z', 'emitter-width', 'emitter-height'].forEach(id => { 
-            document.getElementById(id)?.addEventListener('input', emitterControls); 
-        }); 
-
-        // Initial emitter update 
-        emitterControls(); 
     }
 
     animate(time) {
         requestAnimationFrame(this.animate);
         
-        const deltaTime = (time - this.lastTime) / 1000;
+        // No elapsed time on the first frame (the page may have loaded long ago)
+        const deltaTime = this.lastTime ? (time - this.lastTime) / 1000 : 0;
         this.lastTime = time;
 
         this.sceneManager.update();
+
+        // Fixed simulation steps, however long the frame took
+        const steps = this.clock.tick(deltaTime);
+        steps.forEach(({ time: simTime, dt, endOfStep }) => {
+            // Advance time-dependent fields before particles sample them
+            this.velocityField.update(dt);
+            this.particleSystem.update(simTime, dt, endOfStep);
+        });
+        if (steps.length) this.showClock();
+
+        // Unsteady fields drift, so refresh the derived views now and then (reading back is not free)
+        if (this.velocityField.isDynamic && (this.colorMap.autoRange || this.bodyPressure.enabled) && time - this.lastRangeUpdate > 3000) {
+            this.lastRangeUpdate = time;
+            this.updateColorRange();
+            this.updateForces();
+        }
         
-        // Update particles
-        this.particleSystem.update(time / 1000, deltaTime); // Time in seconds
+        this.slicePlanes.update();
+        this.vectorGlyphs.update();
+        this.probeTool.update(time);
         
         this.sceneManager.render();
         
         // Update stats
-        const fps = 1 / deltaTime;
+        const fps = deltaTime > 0 ? 1 / deltaTime : 0;
         const fpsElem = document.getElementById('fps-counter');
         const countElem = document.getElementById('particle-count');
         if (time % 500 < 20) {
@@ -197,6 +1067,13 @@ class App {
     }
 }
 
+/**
+ * Part names come from the loaded file, so keep them out of the markup
+ */
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
 window.addEventListener('DOMContentLoaded', () => {
     new App();
 });
@@ -1,16 +1,216 @@
+// Velocity field lookup in world space
+const fieldSampling = `
+precision highp sampler3D;
+
+uniform sampler3D velocityField;
+uniform vec3 gridMin;
+uniform vec3 gridMax;
+
+vec3 sampleField(vec3 pos) {
+    // Grid nodes sit on texel centres; outside the grid the edge (far-field) values continue
+    vec3 size = vec3(textureSize(velocityField, 0));
+    vec3 cell = clamp((pos - gridMin) / (gridMax - gridMin), 0.0, 1.0) * (size - 1.0);
+    return texture(velocityField, (cell + 0.5) / size).xyz;
+}
+
+// Signed distance to the body (negative inside), stored in the field's alpha
+float sampleDistance(vec3 pos) {
+    vec3 size = vec3(textureSize(velocityField, 0));
+    vec3 cell = clamp((pos - gridMin) / (gridMax - gridMin), 0.0, 1.0) * (size - 1.0);
+    return texture(velocityField, (cell + 0.5) / size).w;
+}
+
+bool insideGrid(vec3 pos) {
+    return all(greaterThanEqual(pos, gridMin)) && all(lessThanEqual(pos, gridMax));
+}
+
+// |curl u| by central differences one grid cell apart
+float sampleVorticity(vec3 pos) {
+    vec3 h = (gridMax - gridMin) / (vec3(textureSize(velocityField, 0)) - 1.0);
+    vec3 dudx = (sampleField(pos + vec3(h.x, 0.0, 0.0)) - sampleField(pos - vec3(h.x, 0.0, 0.0))) / (2.0 * h.x);
+    vec3 dudy = (sampleField(pos + vec3(0.0, h.y, 0.0)) - sampleField(pos - vec3(0.0, h.y, 0.0))) / (2.0 * h.y);
+    vec3 dudz = (sampleField(pos + vec3(0.0, 0.0, h.z)) - sampleField(pos - vec3(0.0, 0.0, h.z))) / (2.0 * h.z);
+    return length(vec3(dudy.z - dudz.y, dudz.x - dudx.z, dudx.y - dudy.x));
+}
+`;
+
+// Colour mapping (see ColorMap.js), vertex side: the scalar chosen by scalarType
+const colorMapping = fieldSampling + `
+uniform int scalarType;     // 0 speed, 1-3 velocity x/y/z, 4 Cp, 5 vorticity, 6 age
+uniform float freestreamSpeed;
+
+float scalarValue(vec3 pos, vec3 vel, float age) {
+    if (scalarType == 0) return length(vel);
+    if (scalarType == 1) return vel.x;
+    if (scalarType == 2) return vel.y;
+    if (scalarType == 3) return vel.z;
+    if (scalarType == 4) {
+        vec3 u = sampleField(pos);
+        return 1.0 - dot(u, u) / (freestreamSpeed * freestreamSpeed);
+    }
+    if (scalarType == 5) return sampleVorticity(pos);
+    return age / 60.0;
+}
+`;
+
+// Colour mapping, fragment side: normalise to [rangeMin, rangeMax] and look up the colormap
+const colorLookup = `
+uniform sampler2D colormap;
+uniform float rangeMin;
+uniform float rangeMax;
+
+vec3 mapScalar(float value) {
+    float t = clamp((value - rangeMin) / max(rangeMax - rangeMin, 1e-9), 0.0, 1.0);
+    return texture2D(colormap, vec2(t, 0.5)).rgb;
+}
+`;
+
+// Emitter list (see ParticleEmitters.js). Each emitter owns a block of
+// particles; a particle's place in the block fixes where on the shape it spawns.
+const emitterCommon = `
+#define MAX_EMITTERS 16
+
+uniform int emitterCount;
+uniform vec2 emitterRange[MAX_EMITTERS];   // first particle, particle count
+
+// Emitter owning a particle, or -1 if the budget left it unassigned
+int emitterOf(float index) {
+    for (int i = 0; i < MAX_EMITTERS; i++) {
+        if (i >= emitterCount) break;
+        if (index < emitterRange[i].x + emitterRange[i].y) return i;
+    }
+    return -1;
+}
+`;
+
+const particleEmitters = emitterCommon + `
+uniform vec4 emitterA[MAX_EMITTERS];       // centre, type (0 point, 1 rake, 2 rect, 3 disc, 4 sphere)
+uniform vec4 emitterB[MAX_EMITTERS];       // unit U axis, size along U
+uniform vec4 emitterC[MAX_EMITTERS];       // unit V axis, size along V
+
+const float GOLDEN_ANGLE = 2.39996323;
+
+// Spawn point of particle k of n on emitter e
+vec3 spawnPosition(int e, float k, float n) {
+    vec3 c = emitterA[e].xyz;
+    int type = int(emitterA[e].w + 0.5);
+    vec3 U = emitterB[e].xyz;
+    vec3 V = emitterC[e].xyz;
+    float sizeU = emitterB[e].w;
+    float sizeV = emitterC[e].w;
+    float t = (k + 0.5) / n;
+
+    if (type == 0) return c;
+    if (type == 1) return c + U * (t - 0.5) * sizeU;
+    if (type == 2) {
+        // Rows and columns in proportion to the sides
+        float columns = max(1.0, floor(sqrt(n * sizeU / max(sizeV, 1e-6)) + 0.5));
+        float rows = ceil(n / columns);
+        float i = mod(k, columns);
+        float j = floor(k / columns);
+        return c + U * ((i + 0.5) / columns - 0.5) * sizeU + V * ((j + 0.5) / rows - 0.5) * sizeV;
+    }
+
+    float theta = k * GOLDEN_ANGLE;
+    if (type == 3) {
+        // Sunflower pattern: even density over the disc
+        return c + (U * cos(theta) + V * sin(theta)) * sizeU * sqrt(t);
+    }
+
+    // Fibonacci sphere
+    float z = 1.0 - 2.0 * t;
+    float r = sqrt(max(0.0, 1.0 - z * z));
+    return c + (U * cos(theta) * r + V * sin(theta) * r + cross(U, V) * z) * sizeU;
+}
+`;
+
+// Emitter colour tags for the display shaders
+const emitterTags = emitterCommon + `
+uniform bool colorByEmitter;
+uniform vec3 emitterColors[MAX_EMITTERS];
+
+// rgb: tag colour, a: 1 when it replaces the colour map
+vec4 emitterTag(float index) {
+    int e = emitterOf(index);
+    if (!colorByEmitter || e < 0) return vec4(0.0);
+    return vec4(emitterColors[e], 1.0);
+}
+`;
+
+// Shared by the position and velocity passes. Both read last frame's state and
+// take the same step, so each can keep its half of the result.
+const particleIntegration = fieldSampling + `
+uniform int integrator;          // 0 Euler, 1 midpoint RK2, 2 classic RK4
+uniform bool inertial;           // false: massless tracers that follow the field exactly
+uniform float dragCoefficient;   // Inertial particles relax towards the flow at this rate (1/s)
+uniform vec3 initialDirection;
+uniform float initialSpeed;
+
+// Particle ODE: d(pos)/dt = vel, d(vel)/dt = drag * (u(pos) - vel); massless: d(pos)/dt = u(pos)
+void derivative(vec3 pos, vec3 vel, out vec3 dPos, out vec3 dVel) {
+    if (inertial) {
+        dPos = vel;
+        dVel = dragCoefficient * (sampleField(pos) - vel);
+    } else {
+        dPos = sampleField(pos);
+        dVel = vec3(0.0);
+    }
+}
+
+void rungeKuttaStep(inout vec3 pos, inout vec3 vel, float h) {
+    vec3 k1x, k1v, k2x, k2v, k3x, k3v, k4x, k4v;
+    derivative(pos, vel, k1x, k1v);
+
+    if (integrator == 0) {
+        pos += h * k1x;
+        vel += h * k1v;
+    } else if (integrator == 1) {
+        derivative(pos + 0.5 * h * k1x, vel + 0.5 * h * k1v, k2x, k2v);
+        pos += h * k2x;
+        vel += h * k2v;
+    } else {
+        derivative(pos + 0.5 * h * k1x, vel + 0.5 * h * k1v, k2x, k2v);
+        derivative(pos + 0.5 * h * k2x, vel + 0.5 * h * k2v, k3x, k3v);
+        derivative(pos + h * k3x, vel + h * k3v, k4x, k4v);
+        pos += h / 6.0 * (k1x + 2.0 * k2x + 2.0 * k3x + k4x);
+        vel += h / 6.0 * (k1v + 2.0 * k2v + 2.0 * k3v + k4v);
+    }
+}
+
+void integrateParticle(inout vec3 pos, inout vec3 vel, float age, float h) {
+    // Newly spawned particles get initial velocity
+    if (inertial && age <= delta * 60.0 * 2.0) {
+        vel = normalize(initialDirection) * initialSpeed;
+    }
+
+    // Drag is stiff for large coefficients; split the step to stay stable
+    int substeps = inertial ? clamp(int(ceil(h * dragCoefficient)), 1, 8) : 1;
+    float subH = h / float(substeps);
+    for (int i = 0; i < 8; i++) {
+        if (i >= substeps) break;
+        rungeKuttaStep(pos, vel, subH);
+    }
+
+    // Tracers carry the local flow velocity (used for colouring)
+    if (!inertial) vel = sampleField(pos);
+}
+`;
+
 export const particleComputeShaderPosition = `
 uniform float time;
 uniform float delta;
 uniform float maxAge;
-uniform vec3 emitterPos;
-uniform float emitterWidth;
-uniform float emitterHeight;
 uniform vec3 boundsMin;
 uniform vec3 boundsMax;
 uniform float speedMultiplier;
-
-float rand(vec2 co){
-    return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+uniform float seed;
+uniform float stepIndex;
+` + particleIntegration + particleEmitters + `
+// Arithmetic hash in [0, 1); the usual sin() hash depends on each GPU's sin precision
+float hash(vec3 p) {
+    p = fract(p * 0.1031);
+    p += dot(p, p.zyx + 31.32);
+    return fract((p.x + p.y) * p.z);
 }
 
 void main() {
@@ -21,12 +221,12 @@ void main() {
     vec4 velData = texture2D(textureVelocity, uv);
     vec3 vel = velData.xyz;
 
-    // Update position with velocity field
-    pos += vel * delta * speedMultiplier;
+    // Advance through the velocity field
+    integrateParticle(pos, vel, age, delta * speedMultiplier);
     age += delta * 60.0;
 
     // Random lifespan variance
-    float myMaxAge = maxAge * (0.9 + 0.1 * rand(uv));
+    float myMaxAge = maxAge * (0.9 + 0.1 * hash(vec3(gl_FragCoord.xy, seed)));
 
     // Reset if dead or out of bounds
     if (age >= myMaxAge ||
@@ -34,19 +234,23 @@ void main() {
         pos.y < boundsMin.y || pos.y > boundsMax.y ||
         pos.z < boundsMin.z || pos.z > boundsMax.z) {
 
-        // Spawn uniformly across plane emitter
-        float u = uv.x;  // 0 to 1
-        float v = uv.y;  // 0 to 1
-        
-        float r1 = rand(uv + time);
-        float r2 = rand(uv + time * 1.1);
-        float r3 = rand(uv + time * 1.2);
-
-        // Plane emitter: YZ plane at X position
-        float y = emitterPos.y + (v - 0.5) * emitterHeight;
-        float z = emitterPos.z + (u - 0.5) * emitterWidth;
-        
-        pos = vec3(emitterPos.x + r1 * 0.05, y + r2 * 0.01, z + r3 * 0.01);
+        // Keyed on the seed and step count, so runs repeat
+        float phase = seed + stepIndex * 0.618;
+        float r1 = hash(vec3(gl_FragCoord.xy, phase));
+        float r2 = hash(vec3(gl_FragCoord.yx + 17.0, phase + 7.0));
+        float r3 = hash(vec3(gl_FragCoord.xy + 113.0, phase + 13.0));
+
+        // Respawn on the emitter owning this particle
+        float index = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+        int e = emitterOf(index);
+        if (e >= 0) {
+            float first = emitterRange[e].x;
+            float jitter = int(emitterA[e].w + 0.5) == 0 ? 0.03 : 0.01;  // Spread point emitters into a thin tube
+            pos = spawnPosition(e, index - first, emitterRange[e].y) + (vec3(r1, r2, r3) - 0.5) * jitter;
+        } else {
+            // Unassigned: park far outside the scene
+            pos = vec3(1e6);
+        }
         age = 0.0;
     }
 
@@ -56,17 +260,11 @@ void main() {
 
 export const particleComputeShaderVelocity = `
 precision highp float;
-precision highp sampler3D;
 
 uniform float time;
 uniform float delta;
-uniform sampler3D velocityField;
-uniform vec3 gridMin;
-uniform vec3 gridMax;
-uniform vec3 initialDirection;
-uniform float initialSpeed;
-uniform float dragCoefficient;
-
+uniform float speedMultiplier;
+` + particleIntegration + `
 void main() {
     vec2 uv = gl_FragCoord.xy / resolution.xy;
     vec4 posData = texture2D(texturePosition, uv);
@@ -75,24 +273,8 @@ void main() {
     vec4 velData = texture2D(textureVelocity, uv);
     vec3 vel = velData.xyz;
 
-    // Newly spawned particles get initial velocity
-    if (age <= delta * 60.0 * 2.0) {
-        vel = normalize(initialDirection) * initialSpeed;
-    }
-
-    // Sample Velocity Field
-    vec3 texCoord = (pos - gridMin) / (gridMax - gridMin);
-
-    // Check if inside grid
-    if (texCoord.x >= 0.0 && texCoord.x <= 1.0 &&
-        texCoord.y >= 0.0 && texCoord.y <= 1.0 &&
-        texCoord.z >= 0.0 && texCoord.z <= 1.0) {
-        
-        vec4 fieldVel = texture(velocityField, texCoord);
-        
-        // Strong advection - particles follow flow field closely
-        vel = mix(vel, fieldVel.xyz, 0.3);
-    }
+    // Same step as the position pass, keeping the velocity half
+    integrateParticle(pos, vel, age, delta * speedMultiplier);
 
     gl_FragColor = vec4(vel, 0.0);
 }
@@ -102,9 +284,9 @@ export const particleVertexShader = `
 uniform sampler2D texturePosition;
 uniform sampler2D textureVelocity;
 uniform float pointSize;
-
-varying vec3 vVelocity;
-varying float vAge;
+` + colorMapping + emitterTags + `
+varying float vScalar;
+varying vec4 vTag;
 
 void main() {
     // Read position from texture
@@ -113,8 +295,10 @@ void main() {
     float age = posData.w;
 
     vec4 velData = texture2D(textureVelocity, position.xy);
-    vVelocity = velData.xyz;
-    vAge = age;
+    vScalar = scalarValue(pos, velData.xyz, age);
+
+    vec2 size = vec2(textureSize(texturePosition, 0));
+    vTag = emitterTag(floor(position.y * size.y + 0.5) * size.x + floor(position.x * size.x + 0.5));
 
     vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
     gl_Position = projectionMatrix * mvPosition;
@@ -126,41 +310,464 @@ void main() {
 
 export const particleFragmentShader = `
 precision mediump float;
+` + colorLookup + `
+varying float vScalar;
+varying vec4 vTag;
 
-varying vec3 vVelocity;
-varying float vAge;
-
-void main() {
-    // Color based on velocity magnitude (speed gradient)
-    float vMag = length(vVelocity);
-    float vNorm = clamp(vMag / 3.0, 0.0, 1.0);  // Normalized 0-3 speed range
-
-    // Gradient: Blue (slow) -> Cyan -> Yellow -> Orange -> Red (fast)
-    vec3 color;
-
-    if (vNorm < 0.2) {
-        // Blue to Cyan
-        color = mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 1.0), vNorm / 0.2);
-    } else if (vNorm < 0.4) {
-        // Cyan to Green
-        color = mix(vec3(0.0, 1.0, 1.0), vec3(0.0, 1.0, 0.0), (vNorm - 0.2) / 0.2);
-    } else if (vNorm < 0.6) {
-        // Green to Yellow
-        color = mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 1.0, 0.0), (vNorm - 0.4) / 0.2);
-    } else if (vNorm < 0.8) {
-        // Yellow to Orange
-        color = mix(vec3(1.0, 1.0, 0.0), vec3(1.0, 0.6, 0.0), (vNorm - 0.6) / 0.2);
-    } else {
-        // Orange to Red
-        color = mix(vec3(1.0, 0.6, 0.0), vec3(1.0, 0.0, 0.0), (vNorm - 0.8) / 0.2);
-    }
-
+void main() {
     // Circle shape
     vec2 coord = gl_PointCoord - vec2(0.5);
     if (length(coord) > 0.5) discard;
 
-    // Fade out with age (optional visual effect)
-    float alpha = 1.0;
-    gl_FragColor = vec4(color, alpha);
+    gl_FragColor = vec4(vTag.a > 0.5 ? vTag.rgb : mapScalar(vScalar), 1.0);
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Streamline trails. The history texture holds historyLength slots of
+// particleWidth x particleWidth positions, slotColumns to a row (xyz =
+// position, w = age); head is the slot written most recently.
+// ---------------------------------------------------------------------------
+
+export const trailCopyShader = `
+precision highp float;
+precision highp int;
+
+uniform sampler2D texturePosition;
+uniform ivec2 slotOrigin;
+
+void main() {
+    ivec2 texel = ivec2(gl_FragCoord.xy) - slotOrigin;
+    gl_FragColor = texelFetch(texturePosition, texel, 0);
+}
+`;
+
+export const trailVertexShader = `
+precision highp float;
+precision highp int;
+
+uniform sampler2D historyTexture;
+uniform int particleWidth;
+uniform int historyLength;
+uniform int slotColumns;
+uniform int head;
+uniform int filled;
+uniform float trailLength;
+uniform float speedMultiplier;
+` + colorMapping + emitterTags + `
+varying float vScalar;
+varying float vFade;
+varying vec4 vTag;
+
+vec4 historySample(ivec2 particle, int k) {
+    int slot = (head - k + historyLength) % historyLength;
+    ivec2 origin = ivec2(slot % slotColumns, slot / slotColumns) * particleWidth;
+    return texelFetch(historyTexture, origin + particle, 0);
+}
+
+void main() {
+    // No per-vertex attributes: every vertex is one end of one trail segment
+    int segments = historyLength - 1;
+    int endpoint = gl_VertexID % 2;
+    int segment = (gl_VertexID / 2) % segments;
+    int index = gl_VertexID / (2 * segments);
+    ivec2 particle = ivec2(index % particleWidth, index / particleWidth);
+
+    vec4 newer = historySample(particle, segment);
+    vec4 older = historySample(particle, segment + 1);
+
+    // Hidden past the trail length, before enough frames exist, or across a respawn (age drops)
+    bool visible = float(segment + 1) < min(trailLength, float(filled)) && older.w < newer.w;
+
+    // Age advances 60 units per second, so this recovers the particle velocity
+    float dt = max((newer.w - older.w) / 60.0, 1e-4);
+    vec3 vel = (newer.xyz - older.xyz) / dt / speedMultiplier;
+    vFade = visible ? 1.0 - float(segment + endpoint) / trailLength : 0.0;
+
+    vec3 pos = endpoint == 0 ? newer.xyz : older.xyz;
+    vScalar = scalarValue(pos, vel, endpoint == 0 ? newer.w : older.w);
+    vTag = emitterTag(float(index));
+    gl_Position = visible ? projectionMatrix * modelViewMatrix * vec4(pos, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+}
+`;
+
+export const trailFragmentShader = `
+precision mediump float;
+` + colorLookup + `
+varying float vScalar;
+varying float vFade;
+varying vec4 vTag;
+
+void main() {
+    if (vFade <= 0.0) discard;
+    gl_FragColor = vec4(vTag.a > 0.5 ? vTag.rgb : mapScalar(vScalar), vFade);
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Slice planes. A unit quad (model space [-0.5, 0.5]^2 in z = 0) placed by the
+// plane's matrix; the field is sampled per fragment and per arrow.
+// ---------------------------------------------------------------------------
+
+export const sliceVertexShader = `
+varying vec3 vWorldPos;
+
+void main() {
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPos = worldPos.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+}
+`;
+
+// Only this stage declares the colour uniforms, so it can keep them at highp
+export const sliceFragmentShader = `
+precision highp float;
+precision highp int;
+
+uniform float opacity;
+` + colorMapping + colorLookup + `
+varying vec3 vWorldPos;
+
+void main() {
+    // Clip to the grid and cut away the part inside the body
+    if (!insideGrid(vWorldPos) || sampleDistance(vWorldPos) < 0.0) discard;
+
+    // Age only exists on particles, so the slice goes neutral
+    vec3 color = scalarType == 6 ? vec3(0.5) : mapScalar(scalarValue(vWorldPos, sampleField(vWorldPos), 0.0));
+    gl_FragColor = vec4(color, opacity);
 }
-`;
\ No newline at end of file
+`;
+
+export const sliceArrowVertexShader = `
+precision highp float;
+precision highp int;
+
+uniform int arrowCount;          // Arrows per side of the plane
+uniform float freestreamSpeed;   // Speed drawn at 0.8 arrow spacings
+` + fieldSampling + `
+void main() {
+    // No attributes: six vertices (shaft and two head strokes) per arrow
+    int vertex = gl_VertexID % 6;
+    int arrow = gl_VertexID / 6;
+    vec2 uv = (vec2(arrow % arrowCount, arrow / arrowCount) + 0.5) / float(arrowCount) - 0.5;
+
+    vec3 base = (modelMatrix * vec4(uv, 0.0, 1.0)).xyz;
+    vec3 normal = normalize(mat3(modelMatrix) * vec3(0.0, 0.0, 1.0));
+    float spacing = length(modelMatrix[0].xyz) / float(arrowCount);
+
+    // In-plane part of the velocity
+    vec3 vel = sampleField(base);
+    vel -= dot(vel, normal) * normal;
+    float speed = length(vel);
+
+    vec3 dir = vel / max(speed, 1e-9);
+    vec3 side = cross(normal, dir);
+    float len = min(speed / freestreamSpeed, 2.0) * spacing * 0.8;
+    vec3 tip = base + dir * len;
+
+    vec3 pos = tip;
+    if (vertex == 0) pos = base;
+    else if (vertex == 3) pos = tip - dir * len * 0.3 + side * len * 0.15;
+    else if (vertex == 5) pos = tip - dir * len * 0.3 - side * len * 0.15;
+
+    bool visible = insideGrid(base) && sampleDistance(base) >= 0.0 && speed > 1e-6;
+    gl_Position = visible ? projectionMatrix * viewMatrix * vec4(pos, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+}
+`;
+
+export const sliceArrowFragmentShader = `
+precision mediump float;
+
+uniform vec3 arrowColor;
+
+void main() {
+    gl_FragColor = vec4(arrowColor, 1.0);
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Vector glyphs. Each instance matrix only places a glyph at a sub-grid node;
+// orientation, length and colour come from the field, so unsteady fields
+// need no CPU work per frame. Glyph geometry points along +y, length 1.
+// ---------------------------------------------------------------------------
+
+export const glyphVertexShader = `
+precision highp float;
+
+uniform float glyphLength;   // World length of a glyph at freestream speed
+uniform bool skipSolid;
+` + colorMapping + `
+varying float vScalar;
+varying float vNeutral;
+varying vec3 vNormal;
+
+void main() {
+    vec3 base = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vec3 vel = sampleField(base);
+    float speed = length(vel);
+
+    // Basis with +y along the flow
+    vec3 dir = vel / max(speed, 1e-9);
+    vec3 helper = abs(dir.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    vec3 xAxis = normalize(cross(helper, dir));
+    mat3 orient = mat3(xAxis, dir, cross(xAxis, dir));
+
+    float len = glyphLength * min(speed / freestreamSpeed, 2.0);
+    vec3 pos = base + orient * position * len;
+
+    vNormal = mat3(viewMatrix) * (orient * normal);
+    vScalar = scalarValue(base, vel, 0.0);
+    vNeutral = scalarType == 6 ? 1.0 : 0.0; // Age only exists on particles
+
+    bool visible = speed > 1e-6 && !(skipSolid && sampleDistance(base) < 0.0);
+    gl_Position = visible ? projectionMatrix * viewMatrix * vec4(pos, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+}
+`;
+
+export const glyphFragmentShader = `
+precision mediump float;
+` + colorLookup + `
+varying float vScalar;
+varying float vNeutral;
+varying vec3 vNormal;
+
+void main() {
+    // Headlight shading so the glyphs read as solid shapes
+    float shade = 0.45 + 0.55 * abs(normalize(vNormal).z);
+    vec3 color = vNeutral > 0.5 ? vec3(0.7) : mapScalar(vScalar);
+    gl_FragColor = vec4(color * shade, 1.0);
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Navier-Stokes (stable fluids) passes. Each pass draws a full-screen quad into
+// one z-layer of a 3D render target; cells are addressed by texelFetch.
+// ---------------------------------------------------------------------------
+
+export const fluidVertexShader = `
+void main() {
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const fluidCommon = `
+precision highp float;
+precision highp sampler3D;
+
+uniform ivec3 gridSize;
+uniform vec3 cellSize;
+uniform int layer;
+uniform sampler3D solidMask;
+uniform vec3 freestream;
+
+ivec3 cellIndex() {
+    return ivec3(int(gl_FragCoord.x), int(gl_FragCoord.y), layer);
+}
+
+ivec3 clampCell(ivec3 c) {
+    return clamp(c, ivec3(0), gridSize - 1);
+}
+
+bool isSolid(ivec3 c) {
+    return texelFetch(solidMask, clampCell(c), 0).r > 0.5;
+}
+
+// Outward normal of the domain face a cell sits on, zero for interior cells
+vec3 boundaryNormal(ivec3 c) {
+    vec3 n = vec3(0.0);
+    if (c.x == 0) n.x = -1.0; else if (c.x == gridSize.x - 1) n.x = 1.0;
+    if (c.y == 0) n.y = -1.0; else if (c.y == gridSize.y - 1) n.y = 1.0;
+    if (c.z == 0) n.z = -1.0; else if (c.z == gridSize.z - 1) n.z = 1.0;
+    return n;
+}
+
+// Outflow faces are the ones the freestream leaves through
+bool isOutflow(vec3 n) {
+    return dot(n, freestream) > 0.0;
+}
+
+ivec3 inwardCell(ivec3 c, vec3 n) {
+    return c - ivec3(n);
+}
+`;
+
+export const fluidInitShader = fluidCommon + `
+uniform sampler3D source;
+
+void main() {
+    gl_FragColor = texelFetch(source, cellIndex(), 0);
+}
+`;
+
+export const fluidAdvectShader = fluidCommon + `
+uniform sampler3D velocity;
+uniform float dt;
+
+vec3 sampleVelocity(vec3 cell) {
+    vec3 uvw = (cell + 0.5) / vec3(gridSize);
+    return texture(velocity, uvw).xyz;
+}
+
+void main() {
+    ivec3 c = cellIndex();
+    vec4 current = texelFetch(velocity, c, 0);
+    float sdf = current.w; // Signed distance rides along in alpha
+
+    if (isSolid(c)) {
+        gl_FragColor = vec4(vec3(0.0), sdf);
+        return;
+    }
+
+    vec3 n = boundaryNormal(c);
+    if (dot(n, n) > 0.0 && !isOutflow(n)) {
+        // Inflow and far-field faces hold the freestream
+        gl_FragColor = vec4(freestream, sdf);
+        return;
+    }
+
+    // Semi-Lagrangian backtrace, midpoint in time
+    vec3 p = vec3(c);
+    vec3 v0 = current.xyz;
+    vec3 mid = p - 0.5 * dt * v0 / cellSize;
+    vec3 vMid = sampleVelocity(mid);
+    vec3 back = p - dt * vMid / cellSize;
+
+    vec3 v = sampleVelocity(back);
+
+    if (dot(n, n) > 0.0) {
+        // Outflow: zero gradient across the face
+        v = sampleVelocity(vec3(inwardCell(c, n)) - dt * vMid / cellSize);
+    }
+
+    gl_FragColor = vec4(v, sdf);
+}
+`;
+
+export const fluidDiffuseShader = fluidCommon + `
+uniform sampler3D velocity;      // Current Jacobi iterate
+uniform sampler3D velocitySource; // Field before diffusion
+uniform float viscosityDt;
+
+vec3 neighbour(ivec3 c) {
+    if (isSolid(c)) return vec3(0.0);
+    return texelFetch(velocity, clampCell(c), 0).xyz;
+}
+
+void main() {
+    ivec3 c = cellIndex();
+    vec4 source = texelFetch(velocitySource, c, 0);
+    vec3 v0 = source.xyz;
+
+    if (isSolid(c) || dot(boundaryNormal(c), boundaryNormal(c)) > 0.0) {
+        gl_FragColor = source;
+        return;
+    }
+
+    vec3 w = viscosityDt / (cellSize * cellSize);
+
+    vec3 sum = w.x * (neighbour(c + ivec3(1, 0, 0)) + neighbour(c - ivec3(1, 0, 0))) +
+               w.y * (neighbour(c + ivec3(0, 1, 0)) + neighbour(c - ivec3(0, 1, 0))) +
+               w.z * (neighbour(c + ivec3(0, 0, 1)) + neighbour(c - ivec3(0, 0, 1)));
+
+    vec3 v = (v0 + sum) / (1.0 + 2.0 * (w.x + w.y + w.z));
+    gl_FragColor = vec4(v, source.w);
+}
+`;
+
+export const fluidDivergenceShader = fluidCommon + `
+uniform sampler3D velocity;
+
+vec3 wallVelocity(ivec3 c) {
+    if (isSolid(c)) return vec3(0.0);
+    return texelFetch(velocity, clampCell(c), 0).xyz;
+}
+
+void main() {
+    ivec3 c = cellIndex();
+
+    if (isSolid(c)) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    float div =
+        (wallVelocity(c + ivec3(1, 0, 0)).x - wallVelocity(c - ivec3(1, 0, 0)).x) / (2.0 * cellSize.x) +
+        (wallVelocity(c + ivec3(0, 1, 0)).y - wallVelocity(c - ivec3(0, 1, 0)).y) / (2.0 * cellSize.y) +
+        (wallVelocity(c + ivec3(0, 0, 1)).z - wallVelocity(c - ivec3(0, 0, 1)).z) / (2.0 * cellSize.z);
+
+    gl_FragColor = vec4(div, 0.0, 0.0, 0.0);
+}
+`;
+
+export const fluidPressureShader = fluidCommon + `
+uniform sampler3D pressure;
+uniform sampler3D divergence;
+
+float neighbour(ivec3 c, float centre) {
+    // Zero normal pressure gradient at walls and closed faces
+    if (isSolid(c)) return centre;
+    return texelFetch(pressure, clampCell(c), 0).r;
+}
+
+void main() {
+    ivec3 c = cellIndex();
+    float centre = texelFetch(pressure, c, 0).r;
+
+    if (isSolid(c)) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    vec3 n = boundaryNormal(c);
+    if (dot(n, n) > 0.0) {
+        float inner = texelFetch(pressure, inwardCell(c, n), 0).r;
+        gl_FragColor = vec4(isOutflow(n) ? 0.0 : inner, 0.0, 0.0, 0.0);
+        return;
+    }
+
+    vec3 w = 1.0 / (cellSize * cellSize);
+    float div = texelFetch(divergence, c, 0).r;
+
+    float sum = w.x * (neighbour(c + ivec3(1, 0, 0), centre) + neighbour(c - ivec3(1, 0, 0), centre)) +
+                w.y * (neighbour(c + ivec3(0, 1, 0), centre) + neighbour(c - ivec3(0, 1, 0), centre)) +
+                w.z * (neighbour(c + ivec3(0, 0, 1), centre) + neighbour(c - ivec3(0, 0, 1), centre));
+
+    float p = (sum - div) / (2.0 * (w.x + w.y + w.z));
+    gl_FragColor = vec4(p, 0.0, 0.0, 0.0);
+}
+`;
+
+export const fluidProjectShader = fluidCommon + `
+uniform sampler3D velocity;
+uniform sampler3D pressure;
+
+float neighbour(ivec3 c, float centre) {
+    if (isSolid(c)) return centre;
+    return texelFetch(pressure, clampCell(c), 0).r;
+}
+
+void main() {
+    ivec3 c = cellIndex();
+    vec4 v = texelFetch(velocity, c, 0);
+
+    if (isSolid(c)) {
+        gl_FragColor = vec4(vec3(0.0), v.w);
+        return;
+    }
+
+    vec3 n = boundaryNormal(c);
+    if (dot(n, n) > 0.0 && !isOutflow(n)) {
+        gl_FragColor = v;
+        return;
+    }
+
+    float centre = texelFetch(pressure, c, 0).r;
+    vec3 grad = vec3(
+        neighbour(c + ivec3(1, 0, 0), centre) - neighbour(c - ivec3(1, 0, 0), centre),
+        neighbour(c + ivec3(0, 1, 0), centre) - neighbour(c - ivec3(0, 1, 0), centre),
+        neighbour(c + ivec3(0, 0, 1), centre) - neighbour(c - ivec3(0, 0, 1), centre)
+    ) / (2.0 * cellSize);
+
+    gl_FragColor = vec4(v.xyz - grad, v.w);
+}
+`;